@@ -0,0 +1,188 @@
+/**
+ * Tests for the AI response cache
+ */
+
+const express = require('express');
+const request = require('supertest');
+const aiCacheRoutes = require('../src/routes/aiCache');
+const scoringRoutes = require('../src/routes/scoring');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const aiCache = require('../src/utils/aiCache');
+const { AICache } = require('../src/utils/aiCache');
+const aiScorer = require('../src/utils/aiScorer');
+const { scoreLead } = require('../src/utils/scoringPipeline');
+const { MemoryAdapter } = require('../src/utils/storage');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', scoringRoutes);
+  app.use('/api', aiCacheRoutes);
+  return app;
+}
+
+const lead = {
+  name: 'John Smith',
+  role: 'CEO',
+  company: 'TechCorp',
+  industry: 'SaaS',
+  location: 'New York',
+  linkedin_bio: 'Chief Executive Officer'
+};
+const offer = { id: '1', name: 'AI Outreach', ideal_use_cases: ['B2B SaaS'] };
+
+describe('AI cache', () => {
+  const app = createApp();
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    aiScorer.init({ provider: 'mock' });
+    aiCache.purge();
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    aiScorer.init();
+    console.log.mockRestore();
+  });
+
+  test('should key entries on lead, offer, prompt version and model', () => {
+    const cache = new AICache({ adapter: new MemoryAdapter() });
+    const base = { lead, offer, promptVersion: '1', provider: 'mock', model: 'mock-v1' };
+    const key = cache.buildKey(base);
+
+    // Ids, timestamps and field order don't matter
+    expect(cache.buildKey({ ...base, lead: { id: 'lead_9', ...lead }, offer: { ideal_use_cases: ['B2B SaaS'], name: 'AI Outreach', id: '2' } })).toBe(key);
+
+    expect(cache.buildKey({ ...base, lead: { ...lead, role: 'Intern' } })).not.toBe(key);
+    expect(cache.buildKey({ ...base, lead: { ...lead, custom_fields: { budget: '50k' } } })).not.toBe(key);
+    expect(cache.buildKey({ ...base, offer: { ...offer, value_props: ['Speed'] } })).not.toBe(key);
+    expect(cache.buildKey({ ...base, promptVersion: '2' })).not.toBe(key);
+    expect(cache.buildKey({ ...base, model: 'mock-v2' })).not.toBe(key);
+  });
+
+  test('should expire entries after the TTL', () => {
+    const cache = new AICache({ adapter: new MemoryAdapter() });
+    cache.set('fresh', { intent: 'High' });
+    cache.adapter.set('aiResponses', 'stale', { key: 'stale', value: { intent: 'Low' }, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(cache.getStats()).toMatchObject({ entries: 2, expired_entries: 1 });
+    expect(cache.get('fresh')).toEqual({ intent: 'High' });
+    expect(cache.get('stale')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 1, hit_rate: 0.5 });
+  });
+
+  test('should serve repeated classifications from the cache', async () => {
+    const generate = jest.spyOn(aiScorer.provider, 'generate');
+
+    const first = await aiScorer.scoreLeadWithAI(lead, offer);
+    const second = await aiScorer.scoreLeadWithAI(lead, offer);
+
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ intent: 'High', cache: 'miss', attempts: 1 });
+    expect(second).toMatchObject({ intent: 'High', cache: 'hit', attempts: 0, reasoning: first.reasoning });
+  });
+
+  test('should not cache failed classifications', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    aiScorer.provider.generate = jest.fn(async () => 'not json');
+
+    const result = await aiScorer.scoreLeadWithAI(lead, offer);
+
+    expect(result).toMatchObject({ parse_failed: true, cache: 'miss' });
+    expect(aiCache.getStats().entries).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test('should keep scoring when the cache file cannot be written', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const savedAdapter = aiCache.adapter;
+    process.env.AI_CACHE_DRIVER = 'file';
+    process.env.AI_CACHE_FILE = '/dev/null/ai-cache.json';
+    aiCache.adapter = null;
+
+    try {
+      const scored = await scoreLead(lead, offer);
+      expect(scored.details).toMatchObject({ ai_source: 'mock', ai_cache: 'miss' });
+      expect(scored.details.error).toBeUndefined();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('AI cache read failed'));
+    } finally {
+      delete process.env.AI_CACHE_DRIVER;
+      delete process.env.AI_CACHE_FILE;
+      aiCache.adapter = savedAdapter;
+      console.warn.mockRestore();
+    }
+  });
+
+  test('should treat storage write errors as misses', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = new MemoryAdapter();
+    adapter.set = () => { throw new Error('EROFS: read-only file system'); };
+    const cache = new AICache({ adapter });
+
+    expect(() => cache.set('key', { intent: 'High' })).not.toThrow();
+    expect(cache.get('key')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ errors: 1, misses: 1 });
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    console.warn.mockRestore();
+  });
+
+  test('should evict the oldest entries past AI_CACHE_MAX_ENTRIES', () => {
+    process.env.AI_CACHE_MAX_ENTRIES = '10';
+    const cache = new AICache({ adapter: new MemoryAdapter() });
+    cache.adapter.set('aiResponses', 'stale', { key: 'stale', value: {}, createdAt: new Date().toISOString(), expiresAt: new Date(Date.now() - 1000).toISOString() });
+    for (let index = 0; index < 10; index++) {
+      cache.adapter.set('aiResponses', `old_${index}`, {
+        key: `old_${index}`,
+        value: {},
+        createdAt: new Date(Date.now() - (10 - index) * 1000).toISOString(),
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+    }
+
+    cache.set('newest', { intent: 'High' });
+    delete process.env.AI_CACHE_MAX_ENTRIES;
+
+    const keys = cache.adapter.list('aiResponses').map(entry => entry.key);
+    expect(keys).toHaveLength(9);
+    expect(keys).not.toContain('stale');
+    expect(keys).not.toContain('old_0');
+    expect(keys).toContain('newest');
+  });
+
+  test('should report hit and miss counts for a scoring run', async () => {
+    const workspace = 'ai-cache-test';
+    const store = dataStore.forWorkspace(workspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    store.setLeads([lead, { ...lead, name: 'Jane Doe', role: 'Marketing Manager' }]);
+
+    const first = await request(app).post('/api/score?wait=true').set('X-Workspace-Id', workspace).expect(200);
+    expect(first.body.data.ai_cache).toEqual({ hits: 0, misses: 2 });
+
+    store.setLeads([lead, { ...lead, name: 'Sam Lee', role: 'Intern' }]);
+    const second = await request(app).post('/api/score?wait=true').set('X-Workspace-Id', workspace).expect(200);
+    expect(second.body.data.ai_cache).toEqual({ hits: 1, misses: 1 });
+    expect(store.getResults(second.body.data.results_id).data[0].details.ai_cache).toBe('hit');
+  });
+
+  test('should show stats and purge the cache', async () => {
+    await aiScorer.scoreLeadWithAI(lead, offer);
+
+    const stats = await request(app).get('/api/ai-cache').expect(200);
+    expect(stats.body.data).toMatchObject({ enabled: true, storage: 'memory', entries: 1 });
+
+    const expired = await request(app).delete('/api/ai-cache?expired_only=true').expect(200);
+    expect(expired.body.data).toMatchObject({ removed: 0, entries: 1 });
+
+    const purged = await request(app).delete('/api/ai-cache').expect(200);
+    expect(purged.body.data).toMatchObject({ removed: 1, entries: 0 });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the AI scorer and provider layer
+ */
+
+const aiScorer = require('../src/utils/aiScorer');
+const { createProvider, resolveProviderName } = require('../src/utils/providers');
+const MockProvider = require('../src/utils/providers/mockProvider');
+const { extractJSON, validateAIResponse } = require('../src/utils/aiResponseSchema');
+
+const VALID_RESPONSE = JSON.stringify({
+  intent: 'medium',
+  confidence: 0.7,
+  reasoning: 'Manager with some buying signals.',
+  signals: { pain_points: ['manual outreach'], buying_triggers: [] }
+});
+
+/**
+ * Provider returning queued responses in order
+ */
+function scriptedProvider(responses) {
+  return {
+    name: 'scripted',
+    model: 'scripted-v1',
+    generate: jest.fn(async () => responses.shift())
+  };
+}
+
+describe('AI Scorer', () => {
+  const lead = {
+    name: 'John Smith',
+    role: 'CEO',
+    company: 'TechCorp',
+    industry: 'SaaS',
+    location: 'New York',
+    linkedin_bio: 'Chief Executive Officer'
+  };
+  const offer = { name: 'AI Outreach', value_props: ['24/7 outreach'], ideal_use_cases: ['B2B SaaS'] };
+
+  beforeAll(() => {
+    // Caching is covered in aiCache.test.js
+    process.env.AI_CACHE_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AI_CACHE_ENABLED;
+    aiScorer.init();
+    console.log.mockRestore();
+  });
+
+  describe('provider selection', () => {
+    test('should create the requested provider', () => {
+      const provider = createProvider({ provider: 'mock', model: 'mock-test' });
+      expect(provider).toBeInstanceOf(MockProvider);
+      expect(provider.model).toBe('mock-test');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'llama' })).toThrow('Unknown AI provider');
+    });
+
+    test('should require an API key for remote providers', () => {
+      expect(() => createProvider({ provider: 'openai', apiKey: null })).toThrow('OPENAI_API_KEY');
+    });
+
+    test('should fall back to no provider without keys', () => {
+      const saved = { ...process.env };
+      delete process.env.AI_PROVIDER;
+      delete process.env.GEMINI_API_KEY;
+      process.env.OPENAI_API_KEY = 'your_openai_api_key_here';
+
+      expect(resolveProviderName()).toBeNull();
+      process.env = saved;
+    });
+  });
+
+  describe('with the mock provider', () => {
+    beforeEach(() => {
+      aiScorer.init({ provider: 'mock' });
+    });
+
+    test('should report the active provider and model', async () => {
+      expect(aiScorer.getStatus()).toEqual({ configured: true, provider: 'mock', model: 'mock-v1' });
+
+      const connection = await aiScorer.testConnection();
+      expect(connection).toMatchObject({ success: true, provider: 'mock', model: 'mock-v1' });
+    });
+
+    test('should score deterministically', async () => {
+      const first = await aiScorer.scoreLeadWithAI(lead, offer);
+      const second = await aiScorer.scoreLeadWithAI(lead, offer);
+
+      expect(first).toEqual(second);
+      expect(first).toMatchObject({ intent: 'High', aiPoints: 50, source: 'mock', attempts: 1 });
+    });
+  });
+
+  describe('structured responses', () => {
+    beforeAll(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      console.error.mockRestore();
+    });
+
+    test('should extract JSON from fenced or chatty responses', () => {
+      expect(extractJSON('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(extractJSON('Sure! {"a": 1} Hope this helps.')).toEqual({ a: 1 });
+      expect(extractJSON('Intent: High')).toBeNull();
+    });
+
+    test('should validate and normalize the schema', () => {
+      const result = validateAIResponse(JSON.parse(VALID_RESPONSE));
+      expect(result.isValid).toBe(true);
+      expect(result.value.intent).toBe('Medium');
+
+      const invalid = validateAIResponse({ intent: 'Maybe', confidence: 3, reasoning: '', signals: [] });
+      expect(invalid.isValid).toBe(false);
+      expect(invalid.errors).toHaveLength(4);
+    });
+
+    test('should re-ask once when the response is invalid', async () => {
+      const provider = scriptedProvider(['Intent: High\nReasoning: legacy format', VALID_RESPONSE]);
+      aiScorer.provider = provider;
+      aiScorer.isConfigured = true;
+
+      const result = await aiScorer.scoreLeadWithAI(lead, offer);
+
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      expect(provider.generate.mock.calls[1][0]).toContain('Your previous response was');
+      expect(result).toMatchObject({ intent: 'Medium', confidence: 0.7, repaired: true, source: 'scripted' });
+      expect(result.signals.pain_points).toEqual(['manual outreach']);
+    });
+
+    test('should flag results when the repair also fails', async () => {
+      aiScorer.provider = scriptedProvider(['nonsense', '{"intent": "High"}']);
+      aiScorer.isConfigured = true;
+
+      const result = await aiScorer.scoreLeadWithAI(lead, offer);
+
+      expect(result.parse_failed).toBe(true);
+      expect(result.source).toBe('fallback');
+      expect(result.parse_errors.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('without a provider', () => {
+    test('should use heuristic fallback scoring', async () => {
+      aiScorer.init();
+
+      const result = await aiScorer.scoreLeadWithAI(lead, offer);
+      expect(result).toMatchObject({ source: 'fallback', attempts: 0 });
+      expect(aiScorer.getStatus().provider).toBe('fallback');
+    });
+  });
+});
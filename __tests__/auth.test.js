@@ -0,0 +1,139 @@
+/**
+ * API tests for API key authentication and role-based permissions
+ */
+
+const express = require('express');
+const request = require('supertest');
+const offerRoutes = require('../src/routes/offer');
+const keysRoutes = require('../src/routes/keys');
+const { authenticate, checkAuthConfig } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const apiKeys = require('../src/utils/apiKeys');
+const { ApiKeyManager, hasRole } = require('../src/utils/apiKeys');
+const { MemoryAdapter } = require('../src/utils/storage');
+
+const ADMIN_KEY = 'test-admin-key';
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', offerRoutes);
+  app.use('/api', keysRoutes);
+  return app;
+}
+
+async function issueKey(app, payload) {
+  const response = await request(app)
+    .post('/api/keys')
+    .set('Authorization', `Bearer ${ADMIN_KEY}`)
+    .send(payload)
+    .expect(201);
+  return response.body.data;
+}
+
+describe('Authentication', () => {
+  const app = createApp();
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  test('should rank roles viewer < analyst < admin', () => {
+    expect(hasRole('admin', 'viewer')).toBe(true);
+    expect(hasRole('analyst', 'analyst')).toBe(true);
+    expect(hasRole('viewer', 'analyst')).toBe(false);
+    expect(hasRole('unknown', 'viewer')).toBe(false);
+  });
+
+  test('should reject requests without an API key', async () => {
+    const response = await request(app).delete('/api/offer').expect(401);
+    expect(response.body.error).toBe('Authentication required');
+  });
+
+  test('should reject unknown API keys', async () => {
+    await request(app).get('/api/offer').set('X-API-Key', 'lsk_nope').expect(401);
+  });
+
+  test('should enforce roles per endpoint', async () => {
+    const viewer = await issueKey(app, { name: 'Viewer', role: 'viewer', workspace: 'auth-test' });
+    const analyst = await issueKey(app, { name: 'Analyst', role: 'analyst', workspace: 'auth-test' });
+
+    await request(app).post('/api/offer').set('X-API-Key', viewer.key).send({ name: 'Offer' }).expect(403);
+    await request(app).post('/api/offer').set('X-API-Key', analyst.key).send({ name: 'Offer' }).expect(201);
+    await request(app).get('/api/offer').set('X-API-Key', viewer.key).expect(200);
+    await request(app).delete('/api/offer').set('X-API-Key', analyst.key).expect(403);
+  });
+
+  test('should bind keys to their workspace', async () => {
+    const analyst = await issueKey(app, { name: 'Bound', role: 'analyst', workspace: 'bound-ws' });
+
+    await request(app)
+      .get('/api/offer')
+      .set('X-API-Key', analyst.key)
+      .set('X-Workspace-Id', 'other-ws')
+      .expect(403);
+  });
+
+  test('should list keys without secrets and revoke them', async () => {
+    const issued = await issueKey(app, { name: 'Temp', role: 'viewer' });
+
+    const list = await request(app).get('/api/keys').set('X-API-Key', ADMIN_KEY).expect(200);
+    const listed = list.body.data.find(key => key.id === issued.id);
+    expect(listed).toBeDefined();
+    expect(listed.key).toBeUndefined();
+    expect(listed.keyHash).toBeUndefined();
+
+    await request(app).delete(`/api/keys/${issued.id}`).set('X-API-Key', ADMIN_KEY).expect(200);
+    await request(app).get('/api/offer').set('X-API-Key', issued.key).expect(401);
+  });
+
+  test('should update lastUsedAt at most once a minute', () => {
+    const adapter = new MemoryAdapter();
+    const manager = new ApiKeyManager(adapter);
+    const issued = manager.issueKey({ name: 'Busy', role: 'viewer' });
+    const record = manager.findByKey(issued.key);
+    const write = jest.spyOn(adapter, 'set');
+    const start = Date.parse('2026-01-01T00:00:00.000Z');
+
+    expect(manager.touch(record, start)).toBe(true);
+    expect(manager.touch(record, start + 30 * 1000)).toBe(false);
+    expect(manager.touch(record, start + 61 * 1000)).toBe(true);
+
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(manager.getKey(issued.id).lastUsedAt).toBe('2026-01-01T00:01:01.000Z');
+  });
+
+  test('should warn at startup when no admin key is configured', () => {
+    expect(checkAuthConfig()).toBeNull();
+
+    delete process.env.ADMIN_API_KEY;
+    try {
+      // Earlier tests issued keys, so only those can still authenticate
+      expect(checkAuthConfig()).toMatch(/ADMIN_API_KEY is not set; only the \d+ issued API key/);
+
+      jest.spyOn(apiKeys, 'countActive').mockReturnValueOnce(0);
+      expect(checkAuthConfig()).toMatch(/every \/api request will be rejected with 401/);
+
+      process.env.AUTH_ENABLED = 'false';
+      expect(checkAuthConfig()).toBeNull();
+    } finally {
+      delete process.env.AUTH_ENABLED;
+      process.env.ADMIN_API_KEY = ADMIN_KEY;
+    }
+
+  });
+
+  test('should validate the role when issuing keys', async () => {
+    await request(app)
+      .post('/api/keys')
+      .set('X-API-Key', ADMIN_KEY)
+      .send({ name: 'Bad', role: 'superuser' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the data store and storage adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataStore } = require('../src/utils/dataStore');
+const { createStorageAdapter, MemoryAdapter, FileAdapter } = require('../src/utils/storage');
+const { LATEST_VERSION } = require('../src/utils/storage/migrations');
+
+describe('DataStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datastore-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createStorageAdapter', () => {
+    test('should default to the memory adapter', () => {
+      expect(createStorageAdapter()).toBeInstanceOf(MemoryAdapter);
+    });
+
+    test('should create a file adapter when requested', () => {
+      const adapter = createStorageAdapter({ driver: 'file', filePath: path.join(tempDir, 'store.json') });
+      expect(adapter).toBeInstanceOf(FileAdapter);
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createStorageAdapter({ driver: 'mongo' })).toThrow('Unknown storage driver');
+    });
+  });
+
+  describe('with memory adapter', () => {
+    test('should track current offer and leads', () => {
+      const store = new DataStore(new MemoryAdapter());
+      const offer = store.setOffer({ name: 'Test Offer' });
+      store.setLeads([{ name: 'Ava' }]);
+
+      expect(store.getCurrentOffer()).toEqual(offer);
+      expect(store.getCurrentLeads().count).toBe(1);
+      expect(store.getStatus().ready).toBe(true);
+    });
+
+    test('should keep workspaces isolated', () => {
+      const store = new DataStore(new MemoryAdapter());
+      const teamA = store.forWorkspace('team-a');
+      const teamB = store.forWorkspace('team-b');
+
+      const offerA = teamA.setOffer({ name: 'Offer A' });
+      teamB.setOffer({ name: 'Offer B' });
+      teamB.clearOffers();
+
+      expect(teamA.getCurrentOffer()).toEqual(offerA);
+      expect(teamB.getCurrentOffer()).toBeNull();
+      expect(teamB.getOffer(offerA.id)).toBeUndefined();
+      expect(store.getCurrentOffer()).toBeNull();
+    });
+
+    test('should generate unique ids within the same millisecond', () => {
+      const store = new DataStore(new MemoryAdapter());
+      const first = store.forWorkspace('a').setOffer({ name: 'A' });
+      const second = store.forWorkspace('b').setOffer({ name: 'B' });
+
+      expect(first.id).not.toBe(second.id);
+    });
+
+    test('should clear offers and reset the current pointer', () => {
+      const store = new DataStore(new MemoryAdapter());
+      store.setOffer({ name: 'Test Offer' });
+      store.clearOffers();
+
+      expect(store.getCurrentOffer()).toBeNull();
+      expect(store.getStatus().offers).toBe(0);
+    });
+  });
+
+  describe('with file adapter', () => {
+    test('should persist data across instances', () => {
+      const filePath = path.join(tempDir, 'store.json');
+      const first = new DataStore(new FileAdapter({ filePath }));
+      const offer = first.setOffer({ name: 'Durable Offer' });
+      first.setLeads([{ name: 'Ava' }, { name: 'John' }]);
+      const results = first.setResults([{ name: 'Ava', score: 80 }]);
+
+      const second = new DataStore(new FileAdapter({ filePath }));
+      expect(second.getCurrentOffer()).toEqual(offer);
+      expect(second.getCurrentLeads().count).toBe(2);
+      expect(second.getLatestResults().id).toBe(results.id);
+    });
+
+    test('should migrate a new data file to the latest schema', () => {
+      const filePath = path.join(tempDir, 'nested', 'store.json');
+      const adapter = new FileAdapter({ filePath });
+
+      const persisted = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(persisted.schemaVersion).toBe(LATEST_VERSION);
+      expect(adapter.getStatus().durable).toBe(true);
+    });
+
+    test('should move legacy records into the default workspace', () => {
+      const filePath = path.join(tempDir, 'store.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        schemaVersion: 1,
+        collections: { offers: { 1: { id: '1', name: 'Legacy' } }, leads: {}, results: {} },
+        meta: { currentOfferId: '1' }
+      }));
+
+      const store = new DataStore(new FileAdapter({ filePath }));
+      expect(store.getCurrentOffer().name).toBe('Legacy');
+      expect(store.forWorkspace('other').getCurrentOffer()).toBeNull();
+    });
+
+    test('should give stored leads persistent ids', () => {
+      const filePath = path.join(tempDir, 'store.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        schemaVersion: 2,
+        collections: {
+          offers: {},
+          leads: { 1: { id: '1', workspaceId: 'default', data: [{ name: 'Ava' }, { id: 'lead_kept', name: 'John' }] } },
+          results: {}
+        },
+        meta: { 'workspace:default:currentLeadsId': '1' }
+      }));
+
+      const store = new DataStore(new FileAdapter({ filePath }));
+      const [ava, john] = store.getCurrentLeads().data;
+      expect(ava.id).toMatch(/^lead_/);
+      expect(john.id).toBe('lead_kept');
+      expect(store.findLead(ava.id).lead.name).toBe('Ava');
+    });
+
+    test('should refuse data files from a newer schema', () => {
+      const filePath = path.join(tempDir, 'store.json');
+      fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: LATEST_VERSION + 1 }));
+
+      expect(() => new FileAdapter({ filePath })).toThrow('newer than supported');
+    });
+  });
+});
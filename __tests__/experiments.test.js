@@ -0,0 +1,206 @@
+/**
+ * Tests for prompt/model A/B experiments
+ */
+
+const express = require('express');
+const request = require('supertest');
+const scoringRoutes = require('../src/routes/scoring');
+const resultsRoutes = require('../src/routes/results');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const {
+  validateExperiment,
+  resolveExperiment,
+  scoreExperimentLead,
+  summarizeExperiment
+} = require('../src/utils/experiments');
+const promptTemplates = require('../src/utils/promptTemplates');
+const aiScorer = require('../src/utils/aiScorer');
+const aiCache = require('../src/utils/aiCache');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', scoringRoutes);
+  app.use('/api', resultsRoutes);
+  return app;
+}
+
+// The mock provider classifies from the "- Role:" line; appending "manager"
+// turns Low intents into Medium ones
+const CONTROL_TEMPLATE = 'Offer: {{offer.name}}\n- Role: {{lead.role}}\n{{response_schema}}';
+const TREATMENT_TEMPLATE = 'Offer: {{offer.name}}\n- Role: {{lead.role}} manager\n{{response_schema}}';
+
+const leads = [
+  { name: 'Ava Patel', role: 'CEO', company: 'FlowMetrics', industry: 'SaaS', location: 'NYC', linkedin_bio: 'Founder' },
+  { name: 'Ben Ortiz', role: 'Sales Manager', company: 'Acme', industry: 'SaaS', location: 'Austin', linkedin_bio: 'Sales' },
+  { name: 'Cara Lee', role: 'Intern', company: 'Acme', industry: 'Retail', location: 'Austin', linkedin_bio: 'Student' },
+  { name: 'Dan Wu', role: 'Analyst', company: 'Globex', industry: 'Retail', location: 'Boston', linkedin_bio: 'Numbers' }
+];
+
+function output(intent, score, aiIntent = intent) {
+  return { intent, score, ai_intent: aiIntent, ai_score: score / 2, ai_confidence: 0.8 };
+}
+
+describe('Prompt experiments', () => {
+  const app = createApp();
+  const workspace = 'experiments-test';
+  let store;
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    aiScorer.init({ provider: 'mock' });
+
+    promptTemplates.saveVersion(workspace, { name: 'default', template: CONTROL_TEMPLATE });
+    promptTemplates.saveVersion(workspace, { name: 'manager', template: TREATMENT_TEMPLATE });
+
+    store = dataStore.forWorkspace(workspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    store.setLeads(leads);
+  });
+
+  beforeEach(() => {
+    aiCache.purge();
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    aiScorer.init();
+    console.log.mockRestore();
+  });
+
+  test('should validate experiment definitions', () => {
+    expect(validateExperiment({ mode: 'shadow', variants: { b: { prompt_template: 'manager' } } }).isValid).toBe(true);
+
+    expect(validateExperiment({ mode: 'canary', sample_rate: 2, variants: { b: { temperature: 1 }, c: {} } }).errors).toEqual([
+      'experiment.mode must be one of: split, shadow',
+      'experiment.sample_rate must be a number greater than 0 and at most 1',
+      'Unknown experiment variants: c (use "a" and "b")',
+      expect.stringMatching(/^experiment\.variants\.b has unknown fields: temperature/)
+    ]);
+
+    expect(validateExperiment({ mode: 'split', variants: {} }).isValid).toBe(false);
+  });
+
+  test('should split leads between variants by a stable hash', async () => {
+    const resolved = resolveExperiment(workspace, store.getCurrentOffer(), {
+      mode: 'split',
+      variants: { b: { prompt_template: 'manager' } }
+    });
+    const experiment = { ...resolved.experiment, id: 'exp_fixed' };
+    const many = Array.from({ length: 20 }, (_, index) => ({ ...leads[index % leads.length], id: `lead_${index}` }));
+
+    const first = await Promise.all(many.map(lead => scoreExperimentLead(lead, store.getCurrentOffer(), experiment)));
+    const second = await Promise.all(many.map(lead => scoreExperimentLead(lead, store.getCurrentOffer(), experiment)));
+
+    const variants = first.map(scored => scored.experiment.variant);
+    expect(variants).toEqual(second.map(scored => scored.experiment.variant));
+    expect(variants).toEqual(expect.arrayContaining(['a', 'b']));
+
+    for (const scored of first) {
+      expect(Object.keys(scored.experiment.outputs)).toEqual([scored.experiment.variant]);
+      expect(scored.details.prompt_template.name).toBe(scored.experiment.variant === 'b' ? 'manager' : 'default');
+    }
+  });
+
+  test('should double-score leads in shadow mode and report agreement', async () => {
+    const response = await request(app)
+      .post('/api/score?wait=true')
+      .set('X-Workspace-Id', workspace)
+      .send({ experiment: { mode: 'shadow', variants: { b: { prompt_template: 'manager' } } } })
+      .expect(200);
+
+    const report = response.body.data.experiment;
+    expect(report).toMatchObject({ mode: 'shadow', sample_rate: 1, total_leads: 4 });
+    expect(report.variants.a).toMatchObject({
+      prompt_template: { name: 'default', version: 1 },
+      provider: 'mock',
+      leads: 4,
+      ai_intents: { High: 1, Medium: 1, Low: 2 }
+    });
+    expect(report.variants.b).toMatchObject({
+      prompt_template: { name: 'manager', version: 1 },
+      leads: 4,
+      ai_intents: { High: 1, Medium: 3, Low: 0 }
+    });
+    expect(report.agreement).toMatchObject({ compared_leads: 4, ai_intent_rate: 0.5 });
+    expect(report.agreement.ai_intent_matrix.Low).toEqual({ High: 0, Medium: 2, Low: 0 });
+    expect(report.score_delta.paired.mean).toBeGreaterThan(0);
+    expect(report.score_delta.paired.max_decrease).toBe(0);
+    expect(report.score_delta.paired.largest.map(lead => lead.name).sort()).toEqual(['Cara Lee', 'Dan Wu']);
+
+    // Variant a keeps producing the scores; b's outputs are stored alongside
+    const results = store.getResults(response.body.data.results_id);
+    const intern = results.data.find(lead => lead.name === 'Cara Lee');
+    expect(intern.details.ai_intent).toBe('Low');
+    expect(intern.experiment).toMatchObject({ variant: 'a', outputs: { a: { ai_intent: 'Low' }, b: { ai_intent: 'Medium' } } });
+
+    const fetched = await request(app)
+      .get(`/api/results/${results.id}/experiment`)
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+    expect(fetched.body.data).toEqual(report);
+
+    const runs = await request(app).get('/api/results/runs').set('X-Workspace-Id', workspace).expect(200);
+    expect(runs.body.data[0].experiment_id).toBe(report.id);
+  });
+
+  test('should summarize split runs without paired comparisons', () => {
+    const experiment = {
+      id: 'exp_1',
+      mode: 'split',
+      sample_rate: 0.5,
+      variants: { a: { provider: 'mock', model: 'mock-v1' }, b: { provider: 'mock', model: 'mock-v2' } }
+    };
+    const tag = (variant, result) => ({ experiment: { id: 'exp_1', variant, outputs: { [variant]: result } } });
+
+    const report = summarizeExperiment([
+      tag('a', output('High', 80)),
+      tag('a', output('Low', 20)),
+      tag('b', output('High', 90)),
+      tag('b', output('High', 70)),
+      { name: 'Not in experiment' }
+    ], experiment);
+
+    expect(report.total_leads).toBe(4);
+    expect(report.variants.a).toMatchObject({ leads: 2, average_score: 50, intent_share: { High: 0.5, Medium: 0, Low: 0.5 } });
+    expect(report.variants.b).toMatchObject({ leads: 2, average_score: 80, model: 'mock-v2' });
+    expect(report.intent_shift).toEqual({ High: 0.5, Medium: 0, Low: -0.5 });
+    expect(report.agreement).toBeNull();
+    expect(report.score_delta).toEqual({ average: 30, paired: null });
+  });
+
+  test('should reject experiments that cannot run', async () => {
+    const send = experiment => request(app)
+      .post('/api/score')
+      .set('X-Workspace-Id', workspace)
+      .send({ experiment });
+
+    const invalid = await send({ mode: 'shadow' }).expect(400);
+    expect(invalid.body.error).toBe('Validation failed');
+
+    const identical = await send({ mode: 'shadow', variants: { b: { prompt_template: 'default' } } }).expect(400);
+    expect(identical.body.error).toMatch(/must differ/);
+
+    const missing = await send({ mode: 'split', variants: { b: { prompt_template: { name: 'manager', version: 5 } } } }).expect(404);
+    expect(missing.body.error).toBe('Prompt template manager version 5 not found (variant b)');
+
+    const noKey = await send({ mode: 'split', variants: { b: { provider: 'openai' } } }).expect(400);
+    expect(noKey.body.error).toMatch(/^Variant b: /);
+
+    await request(app)
+      .post('/api/score')
+      .set('X-Workspace-Id', workspace)
+      .send({ incremental: true, experiment: { mode: 'shadow', variants: { b: { model: 'mock-v2' } } } })
+      .expect(400);
+
+    await request(app)
+      .get(`/api/results/${store.setResults([]).id}/experiment`)
+      .set('X-Workspace-Id', workspace)
+      .expect(404);
+  });
+});
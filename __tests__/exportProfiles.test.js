@@ -0,0 +1,156 @@
+/**
+ * Tests for CRM export profiles
+ */
+
+const express = require('express');
+const request = require('supertest');
+const resultsRoutes = require('../src/routes/results');
+const exportProfilesRoutes = require('../src/routes/exportProfiles');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const { splitName, validateExportProfile } = require('../src/utils/exportProfiles');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', resultsRoutes);
+  app.use('/api', exportProfilesRoutes);
+  return app;
+}
+
+const leads = [
+  {
+    id: 'lead_1', name: 'Dr. Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS',
+    location: 'San Francisco', linkedin_bio: 'Growth leader', intent: 'High', score: 85, reasoning: 'Strong fit',
+    custom_fields: { deal_stage: 'Demo' }
+  },
+  {
+    id: 'lead_2', name: 'Cher', role: 'Intern', company: 'Acme', industry: 'Retail',
+    location: 'Austin', linkedin_bio: 'Student', intent: 'Low', score: 20, reasoning: 'Weak fit'
+  }
+];
+
+describe('Export profiles', () => {
+  const app = createApp();
+  const workspace = 'export-profiles-test';
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dataStore.forWorkspace(workspace).setResults(leads);
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  test('should split names into first and last name', () => {
+    expect(splitName('John Smith')).toEqual({ first: 'John', last: 'Smith' });
+    expect(splitName('Mary Ann van Berg')).toEqual({ first: 'Mary Ann van', last: 'Berg' });
+    expect(splitName('Dr. Jane Doe Jr.')).toEqual({ first: 'Jane', last: 'Doe Jr.' });
+    expect(splitName('Cher')).toEqual({ first: '', last: 'Cher' });
+    expect(splitName('  ')).toEqual({ first: '', last: '' });
+  });
+
+  test('should validate profile definitions', () => {
+    const result = validateExportProfile({
+      name: 'Broken',
+      columns: [
+        { header: 'Name', source: 'name' },
+        { header: 'Name', source: 'salary' },
+        { header: 'Both', source: 'score', value: 1 },
+        { header: 'Stage', source: 'intent', map: ['Hot'] }
+      ]
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'columns[1].header "Name" is duplicated',
+      expect.stringContaining('columns[1].source must be one of'),
+      'columns[2] must have either "source" or "value"',
+      'columns[3].map must be an object of { "<value>": "<CRM value>" }'
+    ]);
+  });
+
+  test('should export the HubSpot layout', async () => {
+    const response = await request(app)
+      .get('/api/results/export?profile=hubspot')
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    const lines = response.text.trim().split('\n');
+    expect(lines[0]).toBe('First Name,Last Name,Job Title,Company Name,Industry,City,LinkedIn URL,Lead Status,Lifecycle Stage,AI Lead Score,AI Lead Reasoning');
+    expect(lines[1]).toBe('Ava,Patel,Head of Growth,FlowMetrics,SaaS,San Francisco,,Open,Sales Qualified Lead,85,Strong fit');
+    expect(lines[2]).toBe(',Cher,Intern,Acme,Retail,Austin,,Unqualified,Lead,20,Weak fit');
+    expect(response.headers['content-disposition']).toMatch(/filename="hubspot_lead_scores_/);
+  });
+
+  test('should export the Salesforce layout with filters', async () => {
+    const response = await request(app)
+      .get('/api/results/export?profile=salesforce&format=json&intent=high')
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    expect(response.body).toEqual([{
+      FirstName: 'Ava',
+      LastName: 'Patel',
+      Title: 'Head of Growth',
+      Company: 'FlowMetrics',
+      Industry: 'SaaS',
+      City: 'San Francisco',
+      Status: 'Open - Not Contacted',
+      Rating: 'Hot',
+      LeadSource: 'Lead Scoring',
+      Description: 'Growth leader',
+      Lead_Score__c: 85,
+      Lead_Score_Reasoning__c: 'Strong fit'
+    }]);
+  });
+
+  test('should save, use and delete a custom profile', async () => {
+    const saved = await request(app)
+      .put('/api/export-profiles/pipedrive')
+      .set('X-Workspace-Id', workspace)
+      .send({
+        name: 'Pipedrive',
+        columns: [
+          { header: 'Person - Name', source: 'name' },
+          { header: 'Lead - Label', source: 'intent', map: { High: 'Hot' }, default: 'Cold' },
+          { header: 'Deal Stage', source: 'custom_fields.deal_stage', default: 'New' },
+          { header: 'Lead - Source', value: 'Lead scoring' }
+        ]
+      })
+      .expect(200);
+    expect(saved.body.data).toMatchObject({ id: 'pipedrive', built_in: false, name: 'Pipedrive' });
+
+    const list = await request(app).get('/api/export-profiles').set('X-Workspace-Id', workspace).expect(200);
+    expect(list.body.data.map(profile => profile.id)).toEqual(['hubspot', 'salesforce', 'pipedrive']);
+
+    const exported = await request(app)
+      .get('/api/results/export?profile=pipedrive')
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+    expect(exported.text.trim().split('\n')).toEqual([
+      'Person - Name,Lead - Label,Deal Stage,Lead - Source',
+      'Dr. Ava Patel,Hot,Demo,Lead scoring',
+      'Cher,Cold,New,Lead scoring'
+    ]);
+
+    // Profiles are scoped to their workspace
+    await request(app).get('/api/results/export?profile=pipedrive').set('X-Workspace-Id', 'elsewhere').expect(404);
+
+    await request(app).delete('/api/export-profiles/pipedrive').set('X-Workspace-Id', workspace).expect(200);
+    await request(app).get('/api/export-profiles/pipedrive').set('X-Workspace-Id', workspace).expect(404);
+  });
+
+  test('should reject invalid profile requests', async () => {
+    await request(app).put('/api/export-profiles/hubspot').set('X-Workspace-Id', workspace).send({ name: 'Mine', columns: [] }).expect(409);
+    await request(app).put('/api/export-profiles/Bad%20Id').set('X-Workspace-Id', workspace).send({}).expect(400);
+    await request(app).delete('/api/export-profiles/salesforce').set('X-Workspace-Id', workspace).expect(409);
+    await request(app).get('/api/results/export?profile=hubspot&columns=name').set('X-Workspace-Id', workspace).expect(400);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Tests for asynchronous scoring jobs
+ */
+
+const express = require('express');
+const request = require('supertest');
+const scoringRoutes = require('../src/routes/scoring');
+const jobsRoutes = require('../src/routes/jobs');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const { DataStore } = require('../src/utils/dataStore');
+const jobManager = require('../src/utils/jobManager');
+const { JobManager } = require('../src/utils/jobManager');
+const { MemoryAdapter } = require('../src/utils/storage');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', scoringRoutes);
+  app.use('/api', jobsRoutes);
+  return app;
+}
+
+function buildLeads(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    name: `Lead ${index}`,
+    role: 'CEO',
+    company: 'TechCorp',
+    industry: 'SaaS',
+    location: 'New York',
+    linkedin_bio: 'Leads digital transformation'
+  }));
+}
+
+describe('Scoring jobs', () => {
+  const app = createApp();
+  const workspace = 'jobs-test';
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  test('should queue a job and expose its progress', async () => {
+    const store = dataStore.forWorkspace(workspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    store.setLeads(buildLeads(3));
+
+    const queued = await request(app)
+      .post('/api/score')
+      .set('X-Workspace-Id', workspace)
+      .expect(202);
+
+    const jobId = queued.body.data.job_id;
+    expect(queued.body.data.total_leads).toBe(3);
+
+    let job;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await request(app).get(`/api/jobs/${jobId}`).set('X-Workspace-Id', workspace).expect(200);
+      job = response.body.data;
+      if (job.status === 'completed') break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(job.status).toBe('completed');
+    expect(job.progress).toMatchObject({ processed: 3, total: 3, errors_count: 0, eta_seconds: 0 });
+    expect(store.getResults(job.results_id).count).toBe(3);
+  });
+
+  test('should score synchronously with wait=true', async () => {
+    const response = await request(app)
+      .post('/api/score?wait=true')
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    expect(response.body.data.total_leads).toBe(3);
+    expect(response.body.data.summary.intent_distribution.high).toBe(3);
+  });
+
+  test('should always wait for the job on Vercel', async () => {
+    process.env.VERCEL = '1';
+    try {
+      const response = await request(app)
+        .post('/api/score')
+        .set('X-Workspace-Id', workspace)
+        .expect(200);
+
+      expect(response.body.data.results_id).toBeDefined();
+      expect(response.body.data.total_leads).toBe(3);
+    } finally {
+      delete process.env.VERCEL;
+    }
+  });
+
+  test('should list jobs most recent first', async () => {
+    const listWorkspace = 'jobs-list-test';
+    const store = dataStore.forWorkspace(listWorkspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    store.setLeads(buildLeads(2));
+
+    const first = await request(app).post('/api/score?wait=true').set('X-Workspace-Id', listWorkspace).expect(200);
+    const second = await request(app).post('/api/score?wait=true').set('X-Workspace-Id', listWorkspace).expect(200);
+    // Make the ordering deterministic
+    const stored = jobManager.adapter.get('jobs', first.body.data.job_id);
+    jobManager.adapter.set('jobs', stored.id, { ...stored, createdAt: new Date(Date.now() - 60000).toISOString() });
+
+    const response = await request(app).get('/api/jobs').set('X-Workspace-Id', listWorkspace).expect(200);
+
+    expect(response.body.data.map(job => job.id)).toEqual([second.body.data.job_id, first.body.data.job_id]);
+    expect(response.body.data[0]).toMatchObject({ status: 'completed', progress: { processed: 2, total: 2 } });
+    expect(response.body.meta).toEqual({ total: 2 });
+
+    const empty = await request(app).get('/api/jobs').set('X-Workspace-Id', 'jobs-list-empty').expect(200);
+    expect(empty.body.data).toEqual([]);
+  });
+
+  test('should cancel a job through the API', async () => {
+    const cancelWorkspace = 'jobs-cancel-test';
+    const store = dataStore.forWorkspace(cancelWorkspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    store.setLeads(buildLeads(5));
+
+    // Hold the job until the cancellation has been requested
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const run = jobManager.runScoringJob;
+    const spy = jest.spyOn(jobManager, 'runScoringJob').mockImplementation(async (...args) => {
+      await gate;
+      return run.apply(jobManager, args);
+    });
+
+    try {
+      const queued = await request(app).post('/api/score').set('X-Workspace-Id', cancelWorkspace).expect(202);
+      const jobId = queued.body.data.job_id;
+
+      const cancelled = await request(app).post(`/api/jobs/${jobId}/cancel`).set('X-Workspace-Id', cancelWorkspace).expect(202);
+      expect(cancelled.body.data).toMatchObject({ id: jobId, cancel_requested: true });
+
+      release();
+      const finished = await jobManager.waitForJob(jobId);
+      expect(finished.status).toBe('cancelled');
+
+      // Finished jobs can't be cancelled
+      const completed = await request(app).post('/api/score?wait=true').set('X-Workspace-Id', cancelWorkspace).expect(200);
+      const conflict = await request(app)
+        .post(`/api/jobs/${completed.body.data.job_id}/cancel`)
+        .set('X-Workspace-Id', cancelWorkspace)
+        .expect(409);
+      expect(conflict.body.error).toBe('Job already completed');
+
+      await request(app).post(`/api/jobs/${jobId}/cancel`).set('X-Workspace-Id', 'intruder').expect(404);
+      await request(app).post('/api/jobs/missing/cancel').set('X-Workspace-Id', cancelWorkspace).expect(404);
+    } finally {
+      release();
+      spy.mockRestore();
+    }
+  });
+
+  test('should apply and record a per-run scoring config', async () => {
+    const response = await request(app)
+      .post('/api/score?wait=true')
+      .set('X-Workspace-Id', workspace)
+      .send({ scoring_config: { ai_weight: 0, thresholds: { High: 60 } } })
+      .expect(200);
+
+    const results = dataStore.forWorkspace(workspace).getResults(response.body.data.results_id);
+    expect(response.body.data.scoring_config).toMatchObject({ rule_weight: 1, ai_weight: 0, thresholds: { High: 60, Medium: 40 } });
+    expect(results.data[0]).toMatchObject({ score: 50, intent: 'Medium' });
+    expect(results.data[0].details.scoring_config.ai_weight).toBe(0);
+  });
+
+  test('should reject an invalid scoring config', async () => {
+    const response = await request(app)
+      .post('/api/score')
+      .set('X-Workspace-Id', workspace)
+      .send({ scoring_config: { thresholds: { Medium: 80 } } })
+      .expect(400);
+
+    expect(response.body.details).toContain('scoring_config.thresholds.High must be greater than thresholds.Medium');
+  });
+
+  test('should score against several offers and recommend the best fit', async () => {
+    const multiWorkspace = 'jobs-multi-offer-test';
+    const store = dataStore.forWorkspace(multiWorkspace);
+    const saas = store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'], target_geographies: ['New York'] });
+    const retail = store.setOffer({ name: 'Store Insights', ideal_use_cases: ['Retail'], target_geographies: ['Austin'] });
+    store.setLeads([
+      ...buildLeads(1),
+      { name: 'Rita Gomez', role: 'CEO', company: 'ShopCo', industry: 'Retail', location: 'Austin', linkedin_bio: 'Runs 40 stores' }
+    ]);
+
+    const response = await request(app)
+      .post('/api/score?wait=true')
+      .set('X-Workspace-Id', multiWorkspace)
+      .send({ offer_ids: [saas.id, retail.id], scoring_config: { ai_weight: 0 } })
+      .expect(200);
+
+    expect(response.body.data.offer_ids).toEqual([saas.id, retail.id]);
+    const results = store.getResults(response.body.data.results_id);
+    expect(results).toMatchObject({ offerId: null, offerIds: [saas.id, retail.id] });
+
+    const [saasLead, retailLead] = results.data;
+    expect(saasLead.offer_scores.map(entry => entry.offer_id)).toEqual([saas.id, retail.id]);
+    expect(saasLead.best_offer).toMatchObject({ offer_id: saas.id, offer_name: 'AI Outreach' });
+    expect(saasLead.best_offer.reasoning).toMatch(/^Best fit: AI Outreach \(\d+\/100, \w+\), \d+ points ahead of Store Insights \(\d+\/100, \w+\)\. Rule fit: /);
+    expect(saasLead.score).toBe(saasLead.offer_scores[0].score);
+    expect(retailLead.best_offer.offer_id).toBe(retail.id);
+
+    expect(response.body.data.summary.offers).toEqual([
+      expect.objectContaining({ offer_id: saas.id, best_fit_leads: 1 }),
+      expect.objectContaining({ offer_id: retail.id, best_fit_leads: 1 })
+    ]);
+  });
+
+  test('should reject unknown offer ids', async () => {
+    const response = await request(app)
+      .post('/api/score')
+      .set('X-Workspace-Id', workspace)
+      .send({ offer_ids: ['missing'] })
+      .expect(404);
+
+    expect(response.body.error).toBe('Offers not found: missing');
+    await request(app).post('/api/score').set('X-Workspace-Id', workspace).send({ offer_ids: [] }).expect(400);
+  });
+
+  test('should only rescore new and changed leads in incremental runs', async () => {
+    const manager = new JobManager(new MemoryAdapter());
+    const store = new DataStore(new MemoryAdapter());
+    const offer = store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+    const leads = store.setLeads(buildLeads(3));
+
+    const first = manager.createScoringJob({ store, offer, leads, incremental: true });
+    const firstRun = await manager.waitForJob(first.id);
+    expect(firstRun.incremental).toMatchObject({ base_results_id: null, reused: 0, rescored: 3 });
+
+    const [edited] = leads.data;
+    store.updateLead(edited.id, { role: 'Intern' });
+    const batch = store.replaceBatchLeads(leads.id, [...store.getLeads(leads.id).data, ...buildLeads(1)]);
+
+    const second = manager.createScoringJob({ store, offer, leads: batch, incremental: true });
+    const secondRun = await manager.waitForJob(second.id);
+    expect(secondRun.incremental).toMatchObject({ base_results_id: firstRun.results_id, reused: 2, rescored: 2 });
+
+    const results = store.getResults(secondRun.results_id);
+    expect(results.data.map(lead => lead.id)).toEqual(batch.data.map(lead => lead.id));
+    expect(results.data[0].role).toBe('Intern');
+    expect(results.data[1]).toEqual(store.getResults(firstRun.results_id).data[1]);
+
+    // A different scoring config can't reuse earlier scores
+    const third = manager.createScoringJob({ store, offer, leads: batch, incremental: true, scoringConfig: { ai_weight: 0 } });
+    expect((await manager.waitForJob(third.id)).incremental.reused).toBe(0);
+  });
+
+  test('should hide jobs from other workspaces', async () => {
+    const queued = await request(app).post('/api/score').set('X-Workspace-Id', workspace).expect(202);
+    await request(app).get(`/api/jobs/${queued.body.data.job_id}`).set('X-Workspace-Id', 'intruder').expect(404);
+  });
+
+  test('should cancel a job before it finishes', async () => {
+    const manager = new JobManager(new MemoryAdapter());
+    const store = new DataStore(new MemoryAdapter());
+    const offer = store.setOffer({ name: 'AI Outreach' });
+    const leads = store.setLeads(buildLeads(20));
+
+    const job = manager.createScoringJob({ store, offer, leads });
+    manager.cancelJob(job.id, store.workspaceId);
+
+    const finished = await manager.waitForJob(job.id);
+    expect(finished.status).toBe('cancelled');
+    expect(store.getLatestResults()).toBeNull();
+  });
+
+  test('should mark unfinished jobs as interrupted on restart', () => {
+    const adapter = new MemoryAdapter();
+    adapter.set('jobs', 'stale', { id: 'stale', status: 'running', workspaceId: 'default', errors: [] });
+
+    new JobManager(adapter);
+    expect(adapter.get('jobs', 'stale').status).toBe('interrupted');
+  });
+});
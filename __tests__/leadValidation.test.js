@@ -0,0 +1,78 @@
+/**
+ * Tests for row-level lead validation
+ */
+
+const { validateLeadData, summarizeReport, reportRows } = require('../src/utils/leadValidation');
+
+describe('Lead validation', () => {
+  const lead = {
+    name: 'Zoë O\'Brien-Smith',
+    role: 'CEO',
+    company: 'TechCorp',
+    industry: 'SaaS',
+    location: 'New York',
+    linkedin_bio: 'Chief Executive Officer'
+  };
+
+  test('should accept a complete lead with an accented name', () => {
+    expect(validateLeadData(lead)).toEqual({ isValid: true, errors: [], warnings: [], issues: [] });
+  });
+
+  test('should flag empty required values', () => {
+    const result = validateLeadData({ ...lead, industry: '  ' });
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toEqual([
+      { field: 'industry', code: 'empty_value', severity: 'error', message: 'Empty value: industry' }
+    ]);
+  });
+
+  test.each([
+    ['john@techcorp.com', 'looks like an email address'],
+    ['https://linkedin.com/in/john', 'looks like a URL'],
+    ['John Smith 2', 'contains digits'],
+    ['John <Smith>', 'contains unexpected characters'],
+    ['J', 'is too short']
+  ])('should flag the malformed name %s', (name, problem) => {
+    const result = validateLeadData({ ...lead, name });
+    expect(result.errors).toEqual([`name "${name}" ${problem}`]);
+  });
+
+  test('should flag overlong fields and unreadable characters', () => {
+    const result = validateLeadData({
+      ...lead,
+      company: 'Tech\uFFFDCorp',
+      linkedin_bio: 'x'.repeat(2001),
+      custom_fields: { notes: 'y'.repeat(1001) }
+    });
+
+    expect(result.issues.map(item => [item.field, item.code, item.severity])).toEqual([
+      ['company', 'invalid_encoding', 'error'],
+      ['linkedin_bio', 'too_long', 'error'],
+      ['custom_fields.notes', 'too_long', 'warning']
+    ]);
+  });
+
+  test('should carry issues from the source row', () => {
+    const importIssues = [{ field: null, code: 'row_length_mismatch', severity: 'warning', message: 'Row has 5 values' }];
+    const result = validateLeadData({ ...lead, importIssues });
+    expect(result).toMatchObject({ isValid: true, warnings: ['Row has 5 values'] });
+  });
+
+  test('should summarize stored and rejected rows', () => {
+    const batch = {
+      data: [{ id: 'lead_1', lineNumber: 2, ...lead }, { id: 'lead_2', lineNumber: 3, ...lead, role: '' }],
+      rejectedRows: [{ line: 4, lead: 'Line 4', issues: [{ field: null, code: 'unparseable_row', severity: 'error', message: 'Invalid JSON' }] }]
+    };
+
+    const rows = [...reportRows(batch)];
+    expect(rows.map(row => [row.line, row.status, row.valid])).toEqual([[2, 'stored', true], [3, 'stored', false], [4, 'rejected', false]]);
+    expect(summarizeReport(rows)).toEqual({
+      total_rows: 3,
+      valid_rows: 1,
+      invalid_rows: 1,
+      rows_with_warnings: 0,
+      rejected_rows: 1,
+      by_code: { empty_value: 1, unparseable_row: 1 }
+    });
+  });
+});
@@ -0,0 +1,481 @@
+/**
+ * API tests for lead uploads
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const leadsRoutes = require('../src/routes/leads');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const { dedupeLeads, similarity, normalizeCompany, MAX_FUZZY_COMPARISONS } = require('../src/utils/leadDedup');
+const { buildColumnMap } = require('../src/utils/leadColumns');
+const ExcelJS = require('exceljs');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', leadsRoutes);
+  return app;
+}
+
+const duplicateCsv = [
+  'name,role,company,industry,location,linkedin_bio,linkedin_url',
+  'Ava Patel,Head of Growth,FlowMetrics,SaaS,,Growth leader,',
+  'ava  patel,Head of Growth,FlowMetrics Inc.,SaaS,San Francisco,Growth leader,',
+  'John Smith,CEO,TechCorp,Technology,New York,CEO,https://www.linkedin.com/in/jsmith',
+  'Johnny Smith,Chief Executive,Tech Corp,Technology,New York,CEO,https://linkedin.com/in/JSmith/',
+  'Jon Smyth,CEO,TechCorp,Technology,Boston,CEO,'
+].join('\n');
+
+describe('Leads API', () => {
+  const app = createApp();
+  const workspace = 'leads-test';
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  describe('deduplication on upload', () => {
+    test('should drop exact and LinkedIn duplicates by default', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .attach('file', Buffer.from(duplicateCsv), 'leads.csv')
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ total_rows: 5, total_leads: 3 });
+      expect(response.body.deduplication).toMatchObject({ enabled: true, fuzzy: false, duplicates_found: 2 });
+      expect(response.body.deduplication.duplicates.map(duplicate => duplicate.match)).toEqual(['name_company', 'linkedin_url']);
+
+      const stored = dataStore.forWorkspace(workspace).getCurrentLeads();
+      expect(stored.data.map(lead => lead.name)).toEqual(['Ava Patel', 'John Smith', 'Jon Smyth']);
+    });
+
+    test('should merge empty fields and use fuzzy matching when asked', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload?merge=true&fuzzy_threshold=0.8')
+        .set('X-Workspace-Id', workspace)
+        .attach('file', Buffer.from(duplicateCsv), 'leads.csv')
+        .expect(201);
+
+      expect(response.body.data.total_leads).toBe(2);
+      expect(response.body.deduplication).toMatchObject({ fuzzy: true, fuzzy_threshold: 0.8, merged_rows: 1 });
+      expect(response.body.deduplication.duplicates[0].merged_fields).toEqual(['location']);
+      expect(response.body.deduplication.duplicates[2]).toMatchObject({ line: 6, duplicate_of_line: 4, match: 'fuzzy' });
+
+      const [ava] = dataStore.forWorkspace(workspace).getCurrentLeads().data;
+      expect(ava).toMatchObject({ location: 'San Francisco', isValid: true });
+    });
+
+    test('should keep every row with dedupe=false', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .field('dedupe', 'false')
+        .attach('file', Buffer.from(duplicateCsv), 'leads.csv')
+        .expect(201);
+
+      expect(response.body.data.total_leads).toBe(5);
+      expect(response.body.deduplication).toEqual({ enabled: false });
+    });
+
+    test('should reject an out of range fuzzy threshold', async () => {
+      await request(app)
+        .post('/api/leads/upload?fuzzy_threshold=2')
+        .set('X-Workspace-Id', workspace)
+        .attach('file', Buffer.from(duplicateCsv), 'leads.csv')
+        .expect(400);
+    });
+
+    test('should normalize names and companies', () => {
+      expect(normalizeCompany('Acme, Inc.')).toBe('acme');
+      expect(similarity('jon smyth', 'john smith')).toBeGreaterThanOrEqual(0.8);
+      expect(dedupeLeads([{ name: '', company: 'A' }, { name: '', company: 'A' }]).leads).toHaveLength(2);
+    });
+
+    test('should only fuzzy match within a name or company bucket, up to the comparison cap', () => {
+      const sameCompany = dedupeLeads([
+        { name: 'Katherine Lee', company: 'Northwind', lineNumber: 2 },
+        { name: 'Catherine Lee', company: 'Northwind', lineNumber: 3 }
+      ], { fuzzy: true, threshold: 0.8 });
+      expect(sameCompany.report.duplicates).toMatchObject([{ line: 3, duplicate_of_line: 2, match: 'fuzzy' }]);
+
+      const digest = value => crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+      const crowded = Array.from({ length: MAX_FUZZY_COMPARISONS + 1 }, (_, index) => ({
+        name: `ab${digest(`name ${index}`)}`,
+        company: digest(`company ${index}`),
+        lineNumber: index + 2
+      }));
+      const last = crowded[crowded.length - 1];
+      const capped = dedupeLeads([
+        ...crowded,
+        { name: 'Zoe Quinn', company: 'Zenith', lineNumber: 300 },
+        { name: last.name, company: `${last.company.slice(0, -1)}x`, lineNumber: 301 },
+        { name: 'Zoe Quin', company: 'Zenith', lineNumber: 302 }
+      ], { fuzzy: true });
+      expect(capped.report.duplicates.map(duplicate => duplicate.line)).toEqual([302]);
+    });
+  });
+
+  describe('column mapping and custom fields', () => {
+    const crmCsv = [
+      'Full Name,Job Title,Org,Sector,City,Summary,Deal Stage,ARR,Notes',
+      'Ava Patel,Head of Growth,FlowMetrics,SaaS,San Francisco,Growth leader,Demo,120000,call back'
+    ].join('\n');
+
+    test('should detect header synonyms and keep extra columns as custom fields', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .attach('file', Buffer.from(crmCsv), 'crm.csv')
+        .expect(201);
+
+      expect(response.body.columns).toEqual({
+        mapped: {
+          'Full Name': 'name',
+          'Job Title': 'role',
+          Org: 'company',
+          Sector: 'industry',
+          City: 'location',
+          Summary: 'linkedin_bio'
+        },
+        custom_fields: ['deal_stage', 'arr', 'notes'],
+        ignored: [],
+        missing: []
+      });
+
+      const [lead] = dataStore.forWorkspace(workspace).getCurrentLeads().data;
+      expect(lead).toMatchObject({
+        name: 'Ava Patel',
+        role: 'Head of Growth',
+        company: 'FlowMetrics',
+        isValid: true,
+        custom_fields: { deal_stage: 'Demo', arr: '120000', notes: 'call back' }
+      });
+    });
+
+    test('should apply an explicit column map', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .field('column_map', JSON.stringify({ notes: 'ignore', ARR: 'custom_fields.annual_revenue', 'Deal Stage': 'linkedin_bio' }))
+        .attach('file', Buffer.from(crmCsv), 'crm.csv')
+        .expect(201);
+
+      expect(response.body.columns.ignored).toEqual(['Notes']);
+      expect(response.body.columns.custom_fields).toEqual(['annual_revenue', 'summary']);
+
+      const [lead] = dataStore.forWorkspace(workspace).getCurrentLeads().data;
+      expect(lead.linkedin_bio).toBe('Demo');
+      expect(lead.custom_fields).toEqual({ annual_revenue: '120000', summary: 'Growth leader' });
+    });
+
+    test('should reject an invalid column map', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .query({ column_map: JSON.stringify({ Org: 'employer' }) })
+        .attach('file', Buffer.from(crmCsv), 'crm.csv')
+        .expect(400);
+
+      expect(response.body.details[0]).toMatch(/column_map\["Org"\] must be one of/);
+    });
+
+    test('should report required fields with no matching column', () => {
+      expect(buildColumnMap(['name', 'title']).missing).toEqual(['company', 'industry', 'location', 'linkedin_bio']);
+    });
+  });
+
+  describe('JSON, NDJSON and XLSX imports', () => {
+    const lead = {
+      name: 'Ava Patel',
+      role: 'Head of Growth',
+      company: 'FlowMetrics',
+      industry: 'SaaS',
+      location: 'San Francisco',
+      linkedin_bio: 'Growth leader'
+    };
+
+    test('should import a JSON array', async () => {
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .send([lead, { ...lead, name: 'John Smith', custom_fields: { deal_stage: 'Demo' } }, 'not a lead'])
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ source: 'json', total_rows: 3, total_leads: 2, valid_leads: 2 });
+      expect(response.body.validation.errors[0]).toMatchObject({ line: 3, errors: ['Record must be a JSON object'] });
+
+      const stored = dataStore.forWorkspace(workspace).getCurrentLeads();
+      expect(stored.source).toBe('json');
+      expect(stored.data[1].custom_fields).toEqual({ deal_stage: 'Demo' });
+    });
+
+    test('should accept options alongside a leads array', async () => {
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .send({ leads: [lead, lead], dedupe: 'false', column_map: { Org: 'company' } })
+        .expect(201);
+
+      expect(response.body.data.total_leads).toBe(2);
+    });
+
+    test('should stream NDJSON and report bad lines', async () => {
+      const body = [JSON.stringify(lead), '', '{broken', JSON.stringify({ ...lead, name: 'John Smith' })].join('\n');
+
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body)
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ source: 'ndjson', total_leads: 2 });
+      expect(response.body.validation.errors[0].line).toBe(3);
+      expect(response.body.validation.errors[0].errors[0]).toMatch(/^Invalid JSON/);
+    });
+
+    test('should answer oversized NDJSON bodies with 413', async () => {
+      process.env.NDJSON_MAX_BYTES = '2048';
+      try {
+        const body = Array.from({ length: 50 }, (_, index) => JSON.stringify({ ...lead, name: `Lead ${index}` })).join('\n');
+
+        const response = await request(app)
+          .post('/api/leads')
+          .set('X-Workspace-Id', workspace)
+          .set('Content-Type', 'application/x-ndjson')
+          .send(body)
+          .expect(413);
+
+        expect(response.body).toEqual({ success: false, error: 'NDJSON import exceeds 2KB' });
+      } finally {
+        delete process.env.NDJSON_MAX_BYTES;
+      }
+    });
+
+    test('should import the first sheet of an xlsx file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Leads');
+      sheet.addRow(['Name', 'Job Title', 'Company', 'Industry', 'Location', 'Bio', 'Employees']);
+      sheet.addRow(['Ava Patel', 'Head of Growth', 'FlowMetrics', 'SaaS', 'San Francisco', 'Growth leader', 120]);
+      sheet.addRow([]);
+      sheet.addRow(['John Smith', 'CEO', 'TechCorp', 'Technology', 'New York', 'CEO', 5000]);
+      const buffer = await workbook.xlsx.writeBuffer();
+
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .attach('file', Buffer.from(buffer), 'leads.xlsx')
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ source: 'xlsx', total_leads: 2, valid_leads: 2 });
+
+      const stored = dataStore.forWorkspace(workspace).getCurrentLeads().data;
+      expect(stored.map(row => row.lineNumber)).toEqual([2, 4]);
+      expect(stored[0]).toMatchObject({ role: 'Head of Growth', company_size: '120' });
+    });
+
+    test('should reject unsupported content', async () => {
+      await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .set('Content-Type', 'text/plain')
+        .send('name,role')
+        .expect(415);
+
+      await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .send({ rows: [] })
+        .expect(400);
+    });
+  });
+
+  describe('appending and editing leads', () => {
+    let batchId;
+    let leadIds;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .send([
+          { name: 'Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS', location: 'SF', linkedin_bio: 'Growth' },
+          { name: 'John Smith', role: 'CEO', company: 'TechCorp', industry: 'Technology', location: 'NY', linkedin_bio: 'CEO' }
+        ])
+        .expect(201);
+
+      batchId = response.body.data.id;
+      leadIds = dataStore.forWorkspace(workspace).getLeads(batchId).data.map(lead => lead.id);
+    });
+
+    test('should give every imported lead an id', () => {
+      expect(leadIds).toHaveLength(2);
+      leadIds.forEach(id => expect(id).toMatch(/^lead_/));
+    });
+
+    test('should append leads to a batch, skipping duplicates of existing leads', async () => {
+      const response = await request(app)
+        .post(`/api/leads/${batchId}/append`)
+        .set('X-Workspace-Id', workspace)
+        .send({
+          leads: [
+            { name: 'ava patel', role: 'Head of Growth', company: 'FlowMetrics Inc', industry: 'SaaS', location: 'SF', linkedin_bio: 'Growth', linkedin_url: 'https://linkedin.com/in/ava' },
+            { name: 'Maria Garcia', role: 'VP Sales', company: 'DataFlow', industry: 'SaaS', location: 'Austin', linkedin_bio: 'Sales' }
+          ],
+          merge: true
+        })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: batchId, total_leads: 3, appended_leads: 1 });
+      expect(response.body.deduplication.duplicates[0]).toMatchObject({
+        duplicate_of_id: leadIds[0],
+        merged_fields: ['linkedin_url']
+      });
+
+      const stored = dataStore.forWorkspace(workspace).getLeads(batchId).data;
+      expect(stored.slice(0, 2).map(lead => lead.id)).toEqual(leadIds);
+      expect(stored[2].id).toBe(response.body.data.appended_lead_ids[0]);
+    });
+
+    test('should 404 when appending to an unknown batch', async () => {
+      await request(app)
+        .post('/api/leads/missing/append')
+        .set('X-Workspace-Id', workspace)
+        .send([{ name: 'Nobody' }])
+        .expect(404);
+    });
+
+    test('should update a lead and re-validate it', async () => {
+      const response = await request(app)
+        .patch(`/api/leads/${leadIds[1]}`)
+        .set('X-Workspace-Id', workspace)
+        .send({ role: 'Founder', linkedin_url: 'https://linkedin.com/in/jsmith', custom_fields: { stage: 'demo' } })
+        .expect(200);
+
+      expect(response.body.data.lead).toMatchObject({
+        id: leadIds[1],
+        role: 'Founder',
+        company: 'TechCorp',
+        linkedin_url: 'https://linkedin.com/in/jsmith',
+        isValid: true,
+        custom_fields: { stage: 'demo' }
+      });
+      expect(response.body.validation).toEqual({ is_valid: true, errors: [], warnings: [] });
+    });
+
+    test('should reject unknown fields and non-string values', async () => {
+      const response = await request(app)
+        .patch(`/api/leads/${leadIds[1]}`)
+        .set('X-Workspace-Id', workspace)
+        .send({ score: 99, role: 7 })
+        .expect(400);
+
+      expect(response.body.details).toEqual(expect.arrayContaining(['role must be a string']));
+    });
+
+    test('should delete a single lead', async () => {
+      const response = await request(app)
+        .delete(`/api/leads/${leadIds[0]}`)
+        .set('X-Workspace-Id', workspace)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: leadIds[0], batch_id: batchId, remaining_leads: 2 });
+      await request(app).delete(`/api/leads/${leadIds[0]}`).set('X-Workspace-Id', workspace).expect(404);
+      await request(app).patch(`/api/leads/${leadIds[1]}`).set('X-Workspace-Id', 'other').send({ role: 'CEO' }).expect(404);
+    });
+  });
+
+  describe('validation report', () => {
+    const messyCsv = [
+      'name,role,company,industry,location,linkedin_bio',
+      'Ava Patel,Head of Growth,FlowMetrics,SaaS,San Francisco,Growth leader',
+      'ava@flowmetrics.io,CEO,TechCorp,,New York,CEO',
+      'John Smith,CEO,TechCorp,Technology,New York',
+      `Maria Garcia,VP Sales,DataFlow,SaaS,Austin,${'x'.repeat(2001)}`
+    ].join('\n');
+
+    let batchId;
+
+    test('should count row-level issues in the upload response', async () => {
+      const response = await request(app)
+        .post('/api/leads/upload')
+        .set('X-Workspace-Id', workspace)
+        .query({ dedupe: false })
+        .attach('file', Buffer.from(messyCsv), 'leads.csv')
+        .expect(201);
+
+      batchId = response.body.data.id;
+      expect(response.body.data).toMatchObject({ total_leads: 4, valid_leads: 1, invalid_leads: 3 });
+      expect(response.body.validation).toMatchObject({
+        errors_count: 3,
+        warnings_count: 1,
+        issue_counts: { malformed_name: 1, empty_value: 2, row_length_mismatch: 1, too_long: 1 },
+        full_report: `GET /api/leads/${batchId}/validation`
+      });
+      expect(response.body.validation.errors[1]).toMatchObject({
+        line: 4,
+        errors: ['Empty value: linkedin_bio'],
+        warnings: ['Row has 5 values but the header has 6 columns']
+      });
+    });
+
+    test('should return the full report as JSON', async () => {
+      const response = await request(app)
+        .get(`/api/leads/${batchId}/validation`)
+        .set('X-Workspace-Id', workspace)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({ total_rows: 4, valid_rows: 1, invalid_rows: 3, rows_with_warnings: 1 });
+      expect(response.body.data.rows).toHaveLength(4);
+      expect(response.body.data.rows[1]).toMatchObject({ line: 3, status: 'stored', valid: false });
+      expect(response.body.data.rows[1].issues.map(item => item.code)).toEqual(['empty_value', 'malformed_name']);
+    });
+
+    test('should download the report as CSV with one line per issue', async () => {
+      const response = await request(app)
+        .get(`/api/leads/${batchId}/validation?format=csv&issues_only=true`)
+        .set('X-Workspace-Id', workspace)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const lines = response.text.trim().split('\n');
+      expect(lines[0]).toBe('Line,Lead ID,Name,Status,Valid,Field,Issue,Severity,Message');
+      expect(lines).toHaveLength(6);
+      expect(lines[5]).toContain('too_long');
+    });
+
+    test('should report rejected NDJSON lines', async () => {
+      const upload = await request(app)
+        .post('/api/leads')
+        .set('X-Workspace-Id', workspace)
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"name":"Ava Patel","role":"CEO","company":"A","industry":"SaaS","location":"SF","linkedin_bio":"Bio"}\nnot json\n');
+
+      const response = await request(app)
+        .get(`/api/leads/${upload.body.data.id}/validation`)
+        .set('X-Workspace-Id', workspace)
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({ total_rows: 2, rejected_rows: 1, by_code: { unparseable_row: 1 } });
+      expect(response.body.data.rows[1]).toMatchObject({ line: 2, status: 'rejected', valid: false });
+    });
+
+    test('should 404 for unknown batches and reject unknown formats', async () => {
+      await request(app).get('/api/leads/missing/validation').set('X-Workspace-Id', workspace).expect(404);
+      await request(app).get(`/api/leads/${batchId}/validation?format=xml`).set('X-Workspace-Id', workspace).expect(400);
+    });
+  });
+});
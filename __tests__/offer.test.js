@@ -0,0 +1,73 @@
+/**
+ * API tests for offers and their target personas
+ */
+
+const express = require('express');
+const request = require('supertest');
+const offerRoutes = require('../src/routes/offer');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', offerRoutes);
+  return app;
+}
+
+describe('Offer API', () => {
+  const app = createApp();
+  const workspace = 'offer-test';
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  test('should store and return the offer persona', async () => {
+    const response = await request(app)
+      .post('/api/offer')
+      .set('X-Workspace-Id', workspace)
+      .send({
+        name: 'RevOps Autopilot',
+        target_roles: [' RevOps '],
+        company_size_bands: ['51-200'],
+        disqualifiers: [{ label: 'Competitor', field: 'company', operator: 'equals', value: 'RivalCo' }]
+      })
+      .expect(201);
+
+    expect(response.body.data.persona).toEqual({
+      target_roles: ['RevOps'],
+      excluded_roles: [],
+      target_geographies: [],
+      company_size_bands: ['51-200'],
+      disqualifiers: [{ id: 'disqualifier_1', label: 'Competitor', field: 'company', operator: 'equals', value: 'RivalCo' }]
+    });
+
+    const current = await request(app).get('/api/offer').set('X-Workspace-Id', workspace).expect(200);
+    expect(current.body.data.persona.target_roles).toEqual(['RevOps']);
+  });
+
+  test('should reject invalid size bands and disqualifiers', async () => {
+    const response = await request(app)
+      .post('/api/offer')
+      .set('X-Workspace-Id', workspace)
+      .send({
+        name: 'Broken persona',
+        company_size_bands: ['lots'],
+        disqualifiers: [{ label: 'Bad', field: 'company', operator: 'like', value: 'x' }]
+      })
+      .expect(400);
+
+    const messages = response.body.details.map(detail => detail.msg).join(' ');
+    expect(messages).toMatch(/Invalid company size bands: lots/);
+    expect(messages).toMatch(/operator must be one of/);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Tests for versioned prompt templates
+ */
+
+const express = require('express');
+const request = require('supertest');
+const promptsRoutes = require('../src/routes/prompts');
+const offerRoutes = require('../src/routes/offer');
+const scoringRoutes = require('../src/routes/scoring');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const {
+  PromptTemplateManager,
+  DEFAULT_PROMPT_TEMPLATE,
+  validatePromptTemplate,
+  renderPromptTemplate
+} = require('../src/utils/promptTemplates');
+const aiScorer = require('../src/utils/aiScorer');
+const aiCache = require('../src/utils/aiCache');
+const { AI_RESPONSE_SCHEMA } = require('../src/utils/aiResponseSchema');
+const { MemoryAdapter } = require('../src/utils/storage');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', offerRoutes);
+  app.use('/api', scoringRoutes);
+  app.use('/api', promptsRoutes);
+  return app;
+}
+
+const lead = {
+  name: 'Ava Patel',
+  role: 'CEO',
+  company: 'FlowMetrics',
+  industry: 'SaaS',
+  location: 'New York',
+  linkedin_bio: 'Leads digital transformation',
+  custom_fields: { budget: '50k', source_page: '/pricing' }
+};
+
+const ROLE_TEMPLATE = 'Offer: {{offer.name}}\n- Role: {{lead.role|Not provided}}\nBudget: {{lead.custom_fields.budget|Unknown}}\n{{response_schema}}';
+
+describe('Prompt templates', () => {
+  const app = createApp();
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    aiScorer.init();
+    console.log.mockRestore();
+  });
+
+  describe('rendering', () => {
+    test('should fill lead, custom field and offer placeholders', () => {
+      const offer = { name: 'AI Outreach', value_props: ['Speed', 'Scale'], target_roles: ['CEO'], disqualifiers: [{ label: 'Competitor' }] };
+      const prompt = renderPromptTemplate(
+        'Role: {{lead.role}}\nBudget: {{lead.custom_fields.budget}}\nAll: {{lead.custom_fields}}\nProps: {{ offer.value_props }}\n{{offer.persona}}',
+        lead,
+        offer
+      );
+
+      expect(prompt).toBe('Role: CEO\nBudget: 50k\nAll: budget: 50k; source_page: /pricing\nProps: Speed, Scale\nTarget Roles: CEO\nDisqualifiers: Competitor');
+    });
+
+    test('should use fallbacks for empty values', () => {
+      const prompt = renderPromptTemplate('{{lead.company_size|Unknown}} / {{lead.custom_fields.region}} / {{offer.ideal_use_cases|Not specified}}', lead, { name: 'X' });
+      expect(prompt).toBe('Unknown /  / Not specified');
+    });
+
+    test('should render the built-in prompt with the lead profile and schema', () => {
+      const prompt = aiScorer.buildPrompt(lead, { name: 'AI Outreach', value_props: ['Speed'] });
+
+      expect(prompt).toContain('Product/Offer: AI Outreach');
+      expect(prompt).toContain('- Role: CEO');
+      expect(prompt).toContain('Ideal Use Cases: Not specified');
+      expect(prompt).toContain('"intent": "High" | "Medium" | "Low"');
+      expect(prompt).not.toMatch(/\{\{/);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject bad names, unknown placeholders and templates without lead fields', () => {
+      const result = validatePromptTemplate({ name: 'Bad Name', template: '{{offer.name}} {{lead.favourite_color}} {{offer.budget}}' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.stringMatching(/^name must be/),
+        'Unknown placeholders: lead.favourite_color, offer.budget',
+        expect.stringMatching(/at least one lead field/)
+      ]);
+
+      expect(validatePromptTemplate({ name: 'x', template: 'Offer: {{offer.name}}' }).errors)
+        .toEqual([expect.stringMatching(/at least one lead field/)]);
+    });
+
+    test('should warn when the response schema is missing', () => {
+      const result = validatePromptTemplate({ name: 'short', template: 'Role: {{lead.role}}' });
+      expect(result.isValid).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+    });
+  });
+
+  describe('versioning', () => {
+    test('should number versions per template and fall back to the built-in default', () => {
+      const manager = new PromptTemplateManager(new MemoryAdapter());
+
+      expect(manager.getLatest('ws', 'default')).toMatchObject({ version: 0, isDefault: true, template: DEFAULT_PROMPT_TEMPLATE });
+      expect(manager.getLatest('ws', 'fintech')).toBeNull();
+
+      manager.saveVersion('ws', { name: 'fintech', template: ROLE_TEMPLATE });
+      manager.saveVersion('ws', { name: 'fintech', template: `${ROLE_TEMPLATE}\nBe strict.` });
+      manager.saveVersion('other', { name: 'fintech', template: ROLE_TEMPLATE });
+
+      expect(manager.listVersions('ws', 'fintech').map(record => record.version)).toEqual([2, 1]);
+      expect(manager.list('ws').map(record => `${record.name}@${record.version}`)).toEqual(['default@0', 'fintech@2']);
+    });
+
+    test('should resolve pinned templates, falling back to the workspace default', () => {
+      const manager = new PromptTemplateManager(new MemoryAdapter());
+      manager.saveVersion('ws', { name: 'fintech', template: ROLE_TEMPLATE });
+      manager.saveVersion('ws', { name: 'fintech', template: `${ROLE_TEMPLATE}\nBe strict.` });
+      manager.saveVersion('ws', { name: 'default', template: ROLE_TEMPLATE });
+
+      const resolve = pin => manager.resolveForOffer({ workspaceId: 'ws', prompt_template: pin });
+      expect(resolve({ name: 'fintech', version: null })).toMatchObject({ name: 'fintech', version: 2 });
+      expect(resolve({ name: 'fintech', version: 1 })).toMatchObject({ name: 'fintech', version: 1 });
+      expect(resolve({ name: 'default', version: 0 })).toMatchObject({ name: 'default', version: 0 });
+      expect(resolve(null)).toMatchObject({ name: 'default', version: 1 });
+      expect(resolve({ name: 'missing', version: null })).toMatchObject({ name: 'default', version: 1 });
+    });
+  });
+
+  describe('API', () => {
+    const workspace = 'prompts-test';
+
+    test('should list the built-in default template', async () => {
+      const response = await request(app)
+        .get('/api/prompts')
+        .set('X-Workspace-Id', 'prompts-empty')
+        .expect(200);
+
+      expect(response.body.data).toEqual([expect.objectContaining({ name: 'default', version: 0, is_default: true })]);
+      expect(response.body.meta.placeholders).toEqual(expect.arrayContaining(['lead.role', 'offer.persona', 'response_schema']));
+    });
+
+    test('should save new versions and return history', async () => {
+      const first = await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'fintech', template: ROLE_TEMPLATE, description: 'Budget aware' })
+        .expect(201);
+      expect(first.body.data).toMatchObject({ name: 'fintech', version: 1, placeholders: ['offer.name', 'lead.role', 'lead.custom_fields.budget', 'response_schema'] });
+      expect(first.body.meta.warnings).toEqual([]);
+
+      await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'fintech', template: `${ROLE_TEMPLATE}\nBe strict.` })
+        .expect(201);
+
+      const latest = await request(app).get('/api/prompts/fintech').set('X-Workspace-Id', workspace).expect(200);
+      expect(latest.body.data.version).toBe(2);
+
+      const v1 = await request(app).get('/api/prompts/fintech?version=1').set('X-Workspace-Id', workspace).expect(200);
+      expect(v1.body.data.description).toBe('Budget aware');
+
+      const versions = await request(app).get('/api/prompts/fintech/versions').set('X-Workspace-Id', workspace).expect(200);
+      expect(versions.body.data.map(record => record.version)).toEqual([2, 1]);
+
+      await request(app).get('/api/prompts/fintech?version=9').set('X-Workspace-Id', workspace).expect(404);
+      await request(app).get('/api/prompts/fintech').set('X-Workspace-Id', 'prompts-other').expect(404);
+    });
+
+    test('should reject invalid templates', async () => {
+      const response = await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'broken', template: 'Role: {{lead.title}}' })
+        .expect(400);
+
+      expect(response.body.details).toEqual(['Unknown placeholders: lead.title', expect.stringMatching(/at least one lead field/)]);
+    });
+  });
+
+  describe('scoring with templates', () => {
+    const workspace = 'prompts-scoring-test';
+
+    beforeEach(() => {
+      aiScorer.init({ provider: 'mock' });
+      aiCache.purge();
+    });
+
+    test('should pin a template to an offer and record the version on scored leads', async () => {
+      await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'fintech', template: ROLE_TEMPLATE })
+        .expect(201);
+
+      const offer = await request(app)
+        .post('/api/offer')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'AI Outreach', ideal_use_cases: ['SaaS'], prompt_template: { name: 'fintech', version: 1 } })
+        .expect(201);
+      expect(offer.body.data.prompt_template).toEqual({ name: 'fintech', version: 1 });
+
+      const generate = jest.spyOn(aiScorer.provider, 'generate');
+      const scored = await request(app)
+        .post('/api/score/lead')
+        .set('X-Workspace-Id', workspace)
+        .send({ lead })
+        .expect(200);
+
+      expect(generate.mock.calls[0][0]).toBe(`Offer: AI Outreach\n- Role: CEO\nBudget: 50k\n${AI_RESPONSE_SCHEMA}`);
+      expect(scored.body.data.details.prompt_template).toEqual({ name: 'fintech', version: 1 });
+      expect(scored.body.data.intent).toBe('High');
+    });
+
+    test('should use the workspace default for unpinned offers and separate cache entries per template', async () => {
+      dataStore.forWorkspace(workspace).setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+
+      const builtin = await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({ lead }).expect(200);
+      expect(builtin.body.data.details).toMatchObject({ prompt_template: { name: 'default', version: 0 }, ai_cache: 'miss' });
+
+      await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'default', template: `${ROLE_TEMPLATE}\nBe concise.` })
+        .expect(201);
+
+      const custom = await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({ lead }).expect(200);
+      expect(custom.body.data.details).toMatchObject({ prompt_template: { name: 'default', version: 1 }, ai_cache: 'miss' });
+
+      const again = await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({ lead }).expect(200);
+      expect(again.body.data.details.ai_cache).toBe('hit');
+    });
+
+    test('should classify custom templates without a "- Role:" line', async () => {
+      const customWorkspace = 'prompts-custom-test';
+      await request(app)
+        .post('/api/prompts')
+        .set('X-Workspace-Id', customWorkspace)
+        .send({ name: 'default', template: 'Prospect {{lead.name}} works as {{lead.role}} at {{lead.company}}.\n{{response_schema}}' })
+        .expect(201);
+      dataStore.forWorkspace(customWorkspace).setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+
+      const score = async role => {
+        const response = await request(app)
+          .post('/api/score/lead')
+          .set('X-Workspace-Id', customWorkspace)
+          .send({ lead: { ...lead, role } })
+          .expect(200);
+        return response.body.data.details;
+      };
+
+      expect(await score('CEO')).toMatchObject({ prompt_template: { name: 'default', version: 1 }, ai_intent: 'High', ai_source: 'mock' });
+      expect(await score('Sales Manager')).toMatchObject({ ai_intent: 'Medium' });
+      expect(await score('Intern')).toMatchObject({ ai_intent: 'Low' });
+    });
+
+    test('should reject pins to unknown templates', async () => {
+      const response = await request(app)
+        .post('/api/offer')
+        .set('X-Workspace-Id', workspace)
+        .send({ name: 'AI Outreach', prompt_template: { name: 'fintech', version: 7 } })
+        .expect(400);
+
+      expect(response.body.details[0].msg).toBe('Prompt template fintech version 7 not found');
+    });
+  });
+});
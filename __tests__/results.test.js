@@ -0,0 +1,420 @@
+/**
+ * API tests for results querying, history and run diffs
+ */
+
+const http = require('http');
+const { Writable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const resultsRoutes = require('../src/routes/results');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const { diffResults } = require('../src/utils/resultsDiff');
+const { parseExportColumns } = require('../src/utils/resultsExport');
+const { writeChunk } = require('../src/utils/streamWriter');
+const ExcelJS = require('exceljs');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', resultsRoutes);
+  return app;
+}
+
+const firstRun = [
+  { name: 'Ava Patel', company: 'FlowMetrics', intent: 'High', score: 85 },
+  { name: 'John Smith', company: 'TechCorp', intent: 'Medium', score: 55 },
+  { name: 'Mike Wilson', company: 'Acme', intent: 'Low', score: 20 }
+];
+
+const secondRun = [
+  { name: 'ava patel', company: 'FlowMetrics ', intent: 'High', score: 85 },
+  { name: 'John Smith', company: 'TechCorp', intent: 'High', score: 75 },
+  { name: 'Sara Lee', company: 'Initech', intent: 'Medium', score: 45 }
+];
+
+describe('Results history', () => {
+  const app = createApp();
+  const workspace = 'results-test';
+  let first;
+  let second;
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    const store = dataStore.forWorkspace(workspace);
+    first = store.setResults(firstRun, { offerId: 'offer-1', leadsId: 'leads-1' });
+    second = store.setResults(secondRun, { offerId: 'offer-1', leadsId: 'leads-2' });
+    // Make the ordering deterministic
+    second.scoredAt = new Date(Date.parse(first.scoredAt) + 1000).toISOString();
+    store.adapter.set('results', second.id, second);
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+  });
+
+  test('should list runs most recent first with pagination', async () => {
+    const response = await request(app)
+      .get('/api/results/runs?limit=1')
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({ id: second.id, offer_id: 'offer-1', leads_id: 'leads-2', total_leads: 3 });
+    expect(response.body.data[0].summary.intent_distribution).toEqual({ high: 2, medium: 1, low: 0 });
+    expect(response.body.meta).toEqual({ total: 2, limit: 1, offset: 0, has_more: true });
+
+    await request(app).get('/api/results/runs?limit=0').set('X-Workspace-Id', workspace).expect(400);
+  });
+
+  test('should fetch a run by id', async () => {
+    const response = await request(app)
+      .get(`/api/results/${first.id}`)
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(3);
+    expect(response.body.meta.results_id).toBe(first.id);
+
+    await request(app).get(`/api/results/${first.id}`).set('X-Workspace-Id', 'elsewhere').expect(404);
+  });
+
+  test('should diff two runs', async () => {
+    const response = await request(app)
+      .get(`/api/results/${first.id}/diff/${second.id}`)
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    const diff = response.body.data;
+    expect(diff.summary).toEqual({
+      matched: 2, unchanged: 1, changed: 1, intent_changed: 1, score_changed: 1, added: 1, removed: 1
+    });
+    expect(diff.changed[0]).toMatchObject({
+      name: 'John Smith',
+      intent: { from: 'Medium', to: 'High', changed: true },
+      score: { from: 55, to: 75, delta: 20 }
+    });
+    expect(diff.added[0].name).toBe('Sara Lee');
+    expect(diff.removed[0].name).toBe('Mike Wilson');
+
+    await request(app).get(`/api/results/${first.id}/diff/missing`).set('X-Workspace-Id', workspace).expect(404);
+  });
+
+  test('should match leads by id when both runs scored the same batch', () => {
+    const diff = diffResults(
+      { leadsId: 'leads-1', data: [{ id: 'lead-1', name: 'Ava', company: 'Old Co', intent: 'Low', score: 30 }] },
+      { leadsId: 'leads-1', data: [{ id: 'lead-1', name: 'Ava', company: 'New Co', intent: 'Low', score: 35 }] }
+    );
+    expect(diff.summary).toMatchObject({ changed: 1, intent_changed: 0, added: 0, removed: 0 });
+  });
+
+  test('should match leads by name and company across separate uploads', async () => {
+    const store = dataStore.forWorkspace('results-reupload-test');
+    const rows = [
+      { name: 'Ava Patel', company: 'FlowMetrics' },
+      { name: 'John Smith', company: 'TechCorp' }
+    ];
+    const score = (leads, scores) => store.setResults(
+      leads.data.map((lead, index) => ({ ...lead, intent: 'Medium', score: scores[index] })),
+      { leadsId: leads.id }
+    );
+
+    // Each upload assigns its own lead ids
+    const firstUpload = store.setLeads(rows);
+    const secondUpload = store.setLeads(rows);
+    expect(firstUpload.data[0].id).not.toBe(secondUpload.data[0].id);
+
+    const before = score(firstUpload, [50, 60]);
+    const after = score(secondUpload, [50, 70]);
+
+    const response = await request(app)
+      .get(`/api/results/${before.id}/diff/${after.id}`)
+      .set('X-Workspace-Id', 'results-reupload-test')
+      .expect(200);
+
+    expect(response.body.data.summary).toMatchObject({ matched: 2, unchanged: 1, changed: 1, added: 0, removed: 0 });
+    expect(response.body.data.changed[0]).toMatchObject({ name: 'John Smith', score: { delta: 10 } });
+  });
+
+  describe('filtering, sorting and pagination', () => {
+    const queryWorkspace = 'results-query-test';
+    const leads = [
+      { name: 'Ava Patel', role: 'Head of Growth', industry: 'SaaS', location: 'San Francisco', intent: 'High', score: 85, details: { ai_source: 'gemini' } },
+      { name: 'John Smith', role: 'CEO', industry: 'Technology', location: 'New York', intent: 'Medium', score: 55, details: { ai_source: 'fallback' } },
+      { name: 'Mike Wilson', role: 'Intern', industry: 'Retail', location: 'Austin', intent: 'Low', score: 20, details: { ai_source: 'gemini' } },
+      { name: 'Beth Jones', role: 'Head of Sales', industry: 'SaaS', location: 'New York', intent: 'High', score: 92, details: { ai_source: 'gemini' } }
+    ];
+
+    beforeAll(() => {
+      dataStore.forWorkspace(queryWorkspace).setResults(leads);
+    });
+
+    test('should filter and compute the summary over the matching leads', async () => {
+      const response = await request(app)
+        .get('/api/results?intent=high,medium&min_score=50&ai_source=gemini')
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(200);
+
+      expect(response.body.data.map(lead => lead.name)).toEqual(['Ava Patel', 'Beth Jones']);
+      expect(response.body.meta.total_leads).toBe(4);
+      expect(response.body.meta.matching_leads).toBe(2);
+      expect(response.body.meta.summary.score_stats).toEqual({ average: 89, maximum: 92, minimum: 85 });
+    });
+
+    test('should filter by text fields and sort', async () => {
+      const byRole = await request(app)
+        .get('/api/results?role=head&location=new york')
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(200);
+      expect(byRole.body.data.map(lead => lead.name)).toEqual(['Beth Jones']);
+
+      const byScore = await request(app).get('/api/results?sort=score').set('X-Workspace-Id', queryWorkspace).expect(200);
+      expect(byScore.body.data.map(lead => lead.score)).toEqual([92, 85, 55, 20]);
+
+      const byName = await request(app).get('/api/results?sort=name&order=desc').set('X-Workspace-Id', queryWorkspace).expect(200);
+      expect(byName.body.data[0].name).toBe('Mike Wilson');
+    });
+
+    test('should paginate with cursors', async () => {
+      const first = await request(app)
+        .get('/api/results?sort=score&limit=3')
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(200);
+
+      expect(first.body.data).toHaveLength(3);
+      expect(first.body.meta.pagination.has_more).toBe(true);
+      expect(first.body.meta.summary.total_leads).toBe(4);
+
+      const second = await request(app)
+        .get(`/api/results?sort=score&cursor=${first.body.meta.pagination.next_cursor}`)
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(200);
+
+      expect(second.body.data.map(lead => lead.name)).toEqual(['Mike Wilson']);
+      expect(second.body.meta.pagination).toEqual({ limit: 3, has_more: false, next_cursor: null });
+
+      // A cursor can't be reused with different filters
+      await request(app)
+        .get(`/api/results?sort=name&cursor=${first.body.meta.pagination.next_cursor}`)
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(400);
+    });
+
+    test('should reject cursors with an out-of-range page size', async () => {
+      const first = await request(app)
+        .get('/api/results?sort=score&limit=3')
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(200);
+      const cursor = JSON.parse(Buffer.from(first.body.meta.pagination.next_cursor, 'base64url').toString('utf8'));
+
+      for (const limit of [100000, 0, 2.5, '3', null]) {
+        const tampered = Buffer.from(JSON.stringify({ ...cursor, limit })).toString('base64url');
+        const response = await request(app)
+          .get(`/api/results?sort=score&cursor=${tampered}`)
+          .set('X-Workspace-Id', queryWorkspace)
+          .expect(400);
+        expect(response.body.details).toEqual(['cursor is invalid']);
+      }
+    });
+
+    test('should reject invalid query parameters', async () => {
+      const response = await request(app)
+        .get('/api/results?intent=urgent&min_score=abc&sort=company&cursor=nope')
+        .set('X-Workspace-Id', queryWorkspace)
+        .expect(400);
+
+      expect(response.body.details).toEqual(expect.arrayContaining([
+        expect.stringContaining('intent must be'),
+        'min_score must be a number',
+        expect.stringContaining('sort must be'),
+        'cursor is invalid'
+      ]));
+    });
+  });
+
+  describe('exports', () => {
+    const exportWorkspace = 'results-export-test';
+    const leads = [
+      {
+        id: 'lead_1', name: 'Ava Patel', role: 'Head of Growth', company: 'FlowMetrics', industry: 'SaaS', location: 'San Francisco',
+        linkedin_bio: 'Growth leader, B2B SaaS', intent: 'High', score: 85, reasoning: 'Strong fit',
+        breakdown: { rule_score: 45, ai_score: 40 }, custom_fields: { deal_stage: 'Demo' },
+        details: { rule_breakdown: ['Decision maker role (+20)', 'Perfect industry match (+20)'], ai_reasoning: 'Owns growth', ai_source: 'gemini' }
+      },
+      {
+        id: 'lead_2', name: 'Mike Wilson', role: 'Intern', company: 'Acme', industry: 'Retail', location: 'Austin',
+        linkedin_bio: 'Student', intent: 'Low', score: 20, reasoning: 'Weak fit',
+        breakdown: { rule_score: 10, ai_score: 10 },
+        details: { rule_breakdown: ['Non-decision maker role (+0)'], ai_reasoning: 'No buying power', ai_source: 'fallback' }
+      }
+    ];
+    let results;
+
+    // Collect binary bodies (xlsx) into a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      results = dataStore.forWorkspace(exportWorkspace).setResults(leads);
+    });
+
+    afterAll(() => {
+      console.log.mockRestore();
+    });
+
+    test('should export the best offer and per-offer scores of multi-offer runs', async () => {
+      const offerScores = (saas, retail) => [
+        { offer_id: '101', offer_name: 'AI Outreach', score: saas, intent: 'High' },
+        { offer_id: '102', offer_name: 'Store Insights', score: retail, intent: 'Low' }
+      ];
+      dataStore.forWorkspace('results-multi-offer-test').setResults([
+        {
+          ...leads[0], offer_scores: offerScores(85, 30),
+          best_offer: { offer_id: '101', offer_name: 'AI Outreach', score: 85, intent: 'High', reasoning: 'Best fit: AI Outreach' }
+        },
+        {
+          ...leads[1], offer_scores: offerScores(20, 40),
+          best_offer: { offer_id: '102', offer_name: 'Store Insights', score: 40, intent: 'Medium', reasoning: 'Best fit: Store Insights' }
+        }
+      ], { offerId: null, offerIds: ['101', '102'] });
+
+      const response = await request(app)
+        .get('/api/results/export?best_offer=101')
+        .set('X-Workspace-Id', 'results-multi-offer-test')
+        .expect(200);
+
+      const lines = response.text.trim().split('\n');
+      expect(lines[0]).toBe('Name,Role,Company,Industry,Location,Intent,Score,Rule Score,AI Score,Reasoning,' +
+        'Best Offer,Best Offer Reasoning,Score: AI Outreach,Score: Store Insights,deal_stage');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatch(/,AI Outreach,Best fit: AI Outreach,85,30,Demo$/);
+
+      const columns = parseExportColumns('name,offer_scores.102').columns;
+      expect(columns.map(column => column.value(leads[0]))).toEqual(['Ava Patel', null]);
+    });
+
+    test('should keep the default CSV columns plus custom fields', async () => {
+      const response = await request(app)
+        .get('/api/results/export')
+        .set('X-Workspace-Id', exportWorkspace)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const lines = response.text.trim().split('\n');
+      expect(lines[0]).toBe('Name,Role,Company,Industry,Location,Intent,Score,Rule Score,AI Score,Reasoning,deal_stage');
+      expect(lines[1]).toBe('Ava Patel,Head of Growth,FlowMetrics,SaaS,San Francisco,High,85,45,40,Strong fit,Demo');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="lead_scores_.*\.csv"/);
+    });
+
+    test('should export selected columns as JSON with filters applied', async () => {
+      const response = await request(app)
+        .get('/api/results/export?format=json&intent=high&columns=name,linkedin_bio,details.rule_breakdown,ai_reasoning')
+        .set('X-Workspace-Id', exportWorkspace)
+        .expect('Content-Type', /application\/json/)
+        .expect(200);
+
+      expect(response.body).toEqual([{
+        name: 'Ava Patel',
+        linkedin_bio: 'Growth leader, B2B SaaS',
+        'details.rule_breakdown': ['Decision maker role (+20)', 'Perfect industry match (+20)'],
+        ai_reasoning: 'Owns growth'
+      }]);
+    });
+
+    test('should export NDJSON sorted like /api/results', async () => {
+      const response = await request(app)
+        .get(`/api/results/${results.id}/export?format=ndjson&sort=score&order=asc&columns=id,score`)
+        .set('X-Workspace-Id', exportWorkspace)
+        .buffer(true)
+        .parse(binary)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+
+      const lines = response.body.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([{ id: 'lead_2', score: 20 }, { id: 'lead_1', score: 85 }]);
+    });
+
+    test('should stream an XLSX workbook with flattened cells', async () => {
+      const response = await request(app)
+        .get('/api/results/export?format=xlsx&columns=name,score,details.rule_breakdown')
+        .set('X-Workspace-Id', exportWorkspace)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(response.body);
+      const sheet = workbook.worksheets[0];
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'Score', 'Rule Breakdown']);
+      expect(sheet.getRow(2).values.slice(1)).toEqual(['Ava Patel', 85, 'Decision maker role (+20); Perfect industry match (+20)']);
+    });
+
+    test('should stop waiting to write when the stream closes', async () => {
+      // Never finishes a write, so the buffer stays full
+      const stream = new Writable({ highWaterMark: 1, write() {} });
+      const pending = writeChunk(stream, 'first chunk');
+
+      stream.destroy();
+      await expect(pending).rejects.toMatchObject({ code: 'STREAM_CLOSED' });
+      await expect(writeChunk(stream, 'next chunk')).rejects.toMatchObject({ code: 'STREAM_CLOSED' });
+    });
+
+    test('should stop streaming when the client disconnects mid-export', async () => {
+      const bio = 'x'.repeat(2000);
+      const many = Array.from({ length: 5000 }, (_, index) => ({ ...leads[0], id: `lead_${index}`, linkedin_bio: bio }));
+      dataStore.forWorkspace('results-abort-test').setResults(many);
+
+      const server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const stopped = new Promise(resolve => {
+          console.log.mockImplementation(message => {
+            if (String(message).includes('Export stopped')) resolve(message);
+          });
+        });
+
+        // Read the first chunk, then drop the connection
+        await new Promise((resolve, reject) => {
+          const req = http.get({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: '/api/results/export?columns=name,linkedin_bio',
+            headers: { 'X-Workspace-Id': 'results-abort-test' }
+          }, res => {
+            res.once('data', () => {
+              req.destroy();
+              resolve();
+            });
+          });
+          req.on('error', error => (error.code === 'ECONNRESET' ? resolve() : reject(error)));
+        });
+
+        await expect(stopped).resolves.toMatch(/client disconnected/);
+        expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('export streamed'));
+      } finally {
+        console.log.mockImplementation(() => {});
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('should reject unknown formats and columns', async () => {
+      await request(app).get('/api/results/export?format=pdf').set('X-Workspace-Id', exportWorkspace).expect(400);
+
+      const response = await request(app)
+        .get('/api/results/export?columns=name,salary')
+        .set('X-Workspace-Id', exportWorkspace)
+        .expect(400);
+      expect(response.body.details[0]).toContain('Unknown column "salary"');
+
+      expect(parseExportColumns('score,score,custom_fields.arr').columns.map(column => column.id)).toEqual(['score', 'custom_fields.arr']);
+    });
+  });
+});
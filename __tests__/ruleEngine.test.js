@@ -9,7 +9,12 @@ const {
   calculateIndustryScore,
   calculateCompletenessScore,
   validateLeadData,
-  RULE_SCORES
+  validateRuleSet,
+  evaluateCondition,
+  validateDisqualifier,
+  sizeInBand,
+  RULE_SCORES,
+  DEFAULT_RULE_SET
 } = require('../src/utils/ruleEngine');
 
 describe('Rule Engine', () => {
@@ -212,4 +217,189 @@ describe('Rule Engine', () => {
       expect(RULE_SCORES.ICP_INDUSTRIES).toContain('b2b');
     });
   });
-});
\ No newline at end of file
+
+  describe('configurable rule sets', () => {
+    const customRuleSet = {
+      name: 'Fintech ICP',
+      max_total: 40,
+      groups: [
+        {
+          id: 'role',
+          label: 'Role relevance',
+          mode: 'first_match',
+          max_points: 25,
+          rules: [
+            {
+              id: 'exec',
+              label: 'Executive',
+              points: 25,
+              conditions: [{ field: 'role', operator: 'regex', value: '^(ceo|cfo|cto)$' }]
+            }
+          ]
+        },
+        {
+          id: 'geo',
+          label: 'Geography',
+          mode: 'sum',
+          max_points: 15,
+          rules: [
+            {
+              id: 'us',
+              label: 'US based',
+              points: 10,
+              conditions: [{ field: 'location', operator: 'in_list', value: ['New York', 'San Francisco'] }]
+            },
+            {
+              id: 'fintech',
+              label: 'Fintech company',
+              points: 10,
+              conditions: [{ field: 'industry', operator: 'equals', value: 'fintech' }]
+            }
+          ]
+        }
+      ]
+    };
+
+    test('should produce the built-in scores with the default rule set', () => {
+      expect(validateRuleSet(DEFAULT_RULE_SET).isValid).toBe(true);
+      expect(calculateRuleScore(sampleLead, sampleOffer, DEFAULT_RULE_SET).total).toBe(50);
+    });
+
+    test('should evaluate a custom rule set with caps', () => {
+      const lead = { ...sampleLead, industry: 'Fintech' };
+      const result = calculateRuleScore(lead, sampleOffer, customRuleSet);
+
+      expect(result.roleScore).toBe(25);
+      expect(result.geoScore).toBe(15); // 20 points capped at group max
+      expect(result.total).toBe(40);
+      expect(result.details).toContain('US based (+10 points)');
+      expect(result.groups.find(group => group.id === 'geo').matched).toEqual(['us', 'fintech']);
+    });
+
+    test('should evaluate conditions on custom fields', () => {
+      const lead = { custom_fields: { deal_stage: 'Demo Scheduled' } };
+      expect(evaluateCondition({ field: 'custom_fields.deal_stage', operator: 'contains', value: 'demo' }, lead, {})).toBe(true);
+      expect(evaluateCondition({ field: 'custom_fields.missing', operator: 'exists' }, lead, {})).toBe(false);
+    });
+
+    test('should support negated and offer-sourced conditions', () => {
+      const offer = { ideal_use_cases: ['fintech'] };
+      expect(evaluateCondition({ field: 'industry', operator: 'contains_any', value_from: 'offer.ideal_use_cases' }, { industry: 'Fintech Solutions' }, offer)).toBe(true);
+      expect(evaluateCondition({ field: 'role', operator: 'contains', value: 'intern', negate: true }, { role: 'CEO' }, offer)).toBe(true);
+      expect(evaluateCondition({ field: 'role', operator: 'exists' }, { role: '  ' }, offer)).toBe(false);
+    });
+
+    test('should reject invalid rule sets', () => {
+      const result = validateRuleSet({
+        name: 'Broken',
+        max_total: 50,
+        groups: [
+          {
+            id: 'role',
+            max_points: 20,
+            rules: [{ id: 'x', label: 'X', points: 5, conditions: [{ field: 'role', operator: 'regex', value: '(' }] }]
+          },
+          { id: 'role', max_points: 10, rules: [{ id: 'y', label: 'Y', points: 5, conditions: [{ field: 'role', operator: 'like', value: 'a' }] }] }
+        ]
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('not a valid regular expression'),
+        expect.stringContaining('is duplicated'),
+        expect.stringContaining('operator must be one of')
+      ]));
+    });
+  });
+  describe('offer personas', () => {
+    const offer = {
+      name: 'RevOps Autopilot',
+      ideal_use_cases: ['SaaS'],
+      target_roles: ['RevOps'],
+      excluded_roles: ['Intern'],
+      target_geographies: ['United States'],
+      company_size_bands: ['51-200', '201-1000'],
+      disqualifiers: [{ label: 'Competitor', field: 'company', operator: 'in_list', value: ['RivalCo'] }]
+    };
+    const baseLead = {
+      name: 'Sam Lee',
+      role: 'RevOps Manager',
+      company: 'Acme',
+      industry: 'SaaS',
+      location: 'Austin, United States',
+      linkedin_bio: 'Scaling revenue operations',
+      company_size: '120'
+    };
+
+    test('should give target roles the full role score and exclude listed roles', () => {
+      expect(calculateRuleScore(baseLead, offer).roleScore).toBe(20);
+
+      const intern = calculateRuleScore({ ...baseLead, role: 'Sales Intern' }, offer);
+      expect(intern.roleScore).toBe(0);
+      expect(intern.details).toContain('Excluded role for this offer (+0 points)');
+    });
+
+    test('should penalize leads outside target geographies and company sizes', () => {
+      const inside = calculateRuleScore(baseLead, offer);
+      expect(inside.geographyScore).toBe(0);
+      expect(inside.companySizeScore).toBe(0);
+      expect(inside.total).toBe(50);
+
+      const outside = calculateRuleScore({ ...baseLead, location: 'Berlin, Germany', company_size: '5000' }, offer);
+      expect(outside.geographyScore).toBe(-10);
+      expect(outside.companySizeScore).toBe(-10);
+      expect(outside.total).toBe(30);
+    });
+
+    test('should not penalize unknown company size', () => {
+      const { company_size, ...lead } = baseLead;
+      expect(calculateRuleScore(lead, offer).companySizeScore).toBe(0);
+    });
+
+    test('should zero the score when a disqualifier matches', () => {
+      const result = calculateRuleScore({ ...baseLead, company: 'rivalco' }, offer);
+      expect(result.total).toBe(0);
+      expect(result.disqualified).toEqual(['offer_disqualifier_1']);
+    });
+
+    test('should apply persona roles to rule sets without a role group', () => {
+      const ruleSet = {
+        name: 'Industry only',
+        max_total: 20,
+        groups: [DEFAULT_RULE_SET.groups.find(group => group.id === 'industry')]
+      };
+      const roleOffer = { target_roles: ['RevOps'], excluded_roles: ['Intern'] };
+
+      const target = calculateRuleScore(baseLead, roleOffer, ruleSet);
+      expect(target.roleScore).toBe(0);
+      expect(target.total).toBe(20);
+
+      const intern = calculateRuleScore({ ...baseLead, role: 'RevOps Intern' }, roleOffer, ruleSet);
+      expect(intern.roleScore).toBe(-10);
+      expect(intern.details).toContain('Excluded role for this offer (-10 points)');
+
+      expect(calculateRuleScore({ ...baseLead, role: 'CEO' }, roleOffer, ruleSet).total).toBe(10);
+      expect(calculateRuleScore({ ...baseLead, role: '' }, roleOffer, ruleSet).roleScore).toBe(0);
+      expect(ruleSet.groups).toHaveLength(1);
+    });
+
+    test('should leave scoring unchanged for offers without a persona', () => {
+      const plain = { name: 'Plain', ideal_use_cases: ['SaaS'] };
+      expect(calculateRuleScore(baseLead, plain)).toEqual(calculateRuleScore(baseLead, { ...plain, target_roles: [] }));
+      expect(calculateRuleScore(baseLead, plain).groups.map(group => group.id)).toEqual(['role', 'industry', 'completeness']);
+    });
+
+    test('should match company sizes against bands', () => {
+      expect(sizeInBand('120', '51-200')).toBe(true);
+      expect(sizeInBand('201-500 employees', '51-200')).toBe(false);
+      expect(sizeInBand('1,500', '1000+')).toBe(true);
+      expect(sizeInBand('8', '<10')).toBe(true);
+      expect(sizeInBand('unknown', '<10')).toBe(false);
+    });
+
+    test('should validate offer disqualifiers', () => {
+      expect(validateDisqualifier({ label: 'Competitor', field: 'company', operator: 'equals', value: 'RivalCo' })).toEqual([]);
+      expect(validateDisqualifier({ label: 'Bad', field: 'company', operator: 'like', value: 'x' })[0]).toMatch(/operator must be one of/);
+    });
+  });
+});
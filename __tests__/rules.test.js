@@ -0,0 +1,79 @@
+/**
+ * API tests for configurable rule sets
+ */
+
+const express = require('express');
+const request = require('supertest');
+const rulesRoutes = require('../src/routes/rules');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', rulesRoutes);
+  return app;
+}
+
+const ruleSet = {
+  name: 'Executives only',
+  max_total: 50,
+  groups: [
+    {
+      id: 'role',
+      label: 'Role relevance',
+      max_points: 50,
+      rules: [
+        { id: 'exec', label: 'Executive', points: 50, conditions: [{ field: 'role', operator: 'contains', value: 'chief' }] }
+      ]
+    }
+  ]
+};
+
+describe('Rules API', () => {
+  const app = createApp();
+  const workspace = 'rules-test';
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  test('should return the default rule set initially', async () => {
+    const response = await request(app).get('/api/rules').set('X-Workspace-Id', workspace).expect(200);
+
+    expect(response.body.data).toMatchObject({ version: 0, active: true, is_default: true });
+  });
+
+  test('should version saved rule sets and allow rollback', async () => {
+    const saved = await request(app).put('/api/rules').set('X-Workspace-Id', workspace).send(ruleSet).expect(200);
+    expect(saved.body.data.version).toBe(1);
+
+    const active = await request(app).get('/api/rules').set('X-Workspace-Id', workspace).expect(200);
+    expect(active.body.data.rule_set.name).toBe('Executives only');
+
+    await request(app).post('/api/rules/activate').set('X-Workspace-Id', workspace).send({ version: 0 }).expect(200);
+    const restored = await request(app).get('/api/rules').set('X-Workspace-Id', workspace).expect(200);
+    expect(restored.body.data.is_default).toBe(true);
+
+    const versions = await request(app).get('/api/rules/versions').set('X-Workspace-Id', workspace).expect(200);
+    expect(versions.body.data).toHaveLength(1);
+  });
+
+  test('should reject invalid rule sets', async () => {
+    const response = await request(app)
+      .put('/api/rules')
+      .set('X-Workspace-Id', workspace)
+      .send({ name: 'Empty', max_total: 50, groups: [] })
+      .expect(400);
+
+    expect(response.body.details).toContain('groups must be a non-empty array');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for single-lead scoring
+ */
+
+const express = require('express');
+const request = require('supertest');
+const scoringRoutes = require('../src/routes/scoring');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', scoringRoutes);
+  return app;
+}
+
+const formLead = {
+  name: 'Ava Patel',
+  role: 'CEO',
+  company: 'FlowMetrics',
+  industry: 'SaaS',
+  location: 'New York',
+  linkedin_bio: 'Leads digital transformation'
+};
+
+describe('Single lead scoring', () => {
+  const app = createApp();
+  const workspace = 'score-lead-test';
+  let store;
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = dataStore.forWorkspace(workspace);
+    store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+    console.log.mockRestore();
+  });
+
+  test('should score a lead without touching the current batch or results', async () => {
+    store.setLeads([{ ...formLead, name: 'Batch Lead' }]);
+    const batchBefore = store.getCurrentLeads();
+
+    const response = await request(app)
+      .post('/api/score/lead')
+      .set('X-Workspace-Id', workspace)
+      .send({ lead: formLead })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ name: 'Ava Patel', intent: 'High' });
+    expect(response.body.data.breakdown.rule_score).toBeGreaterThan(0);
+    expect(response.body.data.details.ai_source).toBeDefined();
+    expect(response.body.validation).toEqual({ is_valid: true, errors: [], warnings: [] });
+    expect(response.body.meta).toMatchObject({ offer_id: store.getCurrentOffer().id, rule_set_version: 0 });
+
+    expect(store.getCurrentLeads()).toEqual(batchBefore);
+    expect(store.getLatestResults()).toBeNull();
+  });
+
+  test('should score against a specific offer', async () => {
+    const other = store.setOffer({ name: 'Retail Suite', ideal_use_cases: ['Retail'] });
+    const current = store.setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+
+    const response = await request(app)
+      .post('/api/score/lead')
+      .set('X-Workspace-Id', workspace)
+      .send({ lead: formLead, offer_id: other.id, scoring_config: { ai_weight: 0 } })
+      .expect(200);
+
+    expect(response.body.meta.offer_id).toBe(other.id);
+    expect(store.getCurrentOffer().id).toBe(current.id);
+
+    await request(app)
+      .post('/api/score/lead')
+      .set('X-Workspace-Id', workspace)
+      .send({ lead: formLead, offer_id: 'offers_missing' })
+      .expect(404);
+  });
+
+  test('should map form field names and report validation problems', async () => {
+    const response = await request(app)
+      .post('/api/score/lead')
+      .set('X-Workspace-Id', workspace)
+      .send({
+        lead: { 'Full Name': 'Ben Ortiz', 'Job Title': 'VP Sales', Company: 'Acme', source_page: '/pricing' },
+        column_map: { 'Full Name': 'name' }
+      })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ name: 'Ben Ortiz', role: 'VP Sales', custom_fields: { source_page: '/pricing' } });
+    expect(response.body.validation.is_valid).toBe(false);
+    expect(response.body.validation.errors).toEqual(expect.arrayContaining([expect.stringMatching(/industry/)]));
+  });
+
+  test('should reject requests without a usable lead or offer', async () => {
+    await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({}).expect(400);
+    await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({ lead: { foo: 'bar' } }).expect(400);
+    await request(app).post('/api/score/lead').set('X-Workspace-Id', workspace).send({ lead: ['Ava'] }).expect(400);
+
+    const noOffer = await request(app)
+      .post('/api/score/lead')
+      .set('X-Workspace-Id', 'score-lead-empty')
+      .send({ lead: formLead })
+      .expect(400);
+    expect(noOffer.body.error).toBe('No offer data available');
+  });
+});
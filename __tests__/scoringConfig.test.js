@@ -0,0 +1,54 @@
+/**
+ * Unit tests for score blending configuration
+ */
+
+const {
+  DEFAULT_SCORING_CONFIG,
+  resolveScoringConfig,
+  blendScores,
+  validateScoringConfig
+} = require('../src/utils/scoringConfig');
+
+describe('Scoring config', () => {
+  test('should reproduce the original scoring with the defaults', () => {
+    expect(blendScores(50, 'High')).toEqual({ aiPoints: 50, score: 100, intent: 'High' });
+    expect(blendScores(30, 'Low')).toEqual({ aiPoints: 10, score: 40, intent: 'Medium' });
+    expect(blendScores(20, 'Low')).toEqual({ aiPoints: 10, score: 30, intent: 'Low' });
+  });
+
+  test('should layer offer and run configs over the defaults', () => {
+    const config = resolveScoringConfig(
+      { ai_weight: 0.5, ai_points: { High: 60 } },
+      { thresholds: { High: 80 } }
+    );
+
+    expect(config).toEqual({
+      rule_weight: 1,
+      ai_weight: 0.5,
+      ai_points: { High: 60, Medium: 30, Low: 10 },
+      thresholds: { High: 80, Medium: 40 }
+    });
+    expect(blendScores(45, 'High', config)).toEqual({ aiPoints: 60, score: 75, intent: 'Medium' });
+    expect(resolveScoringConfig()).toEqual(DEFAULT_SCORING_CONFIG);
+  });
+
+  test('should clamp the blended score to 0-100', () => {
+    const config = resolveScoringConfig({ rule_weight: 3 });
+    expect(blendScores(50, 'High', config).score).toBe(100);
+    expect(blendScores(-10, 'Low', resolveScoringConfig({ ai_weight: 0 })).score).toBe(0);
+  });
+
+  test('should validate configs', () => {
+    expect(validateScoringConfig({ rule_weight: 2, thresholds: { High: 80 } }).isValid).toBe(true);
+
+    const result = validateScoringConfig({ rule_weight: -1, ai_points: { Extreme: 90 }, bonus: 5 });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'scoring_config.bonus is not a recognised setting',
+      expect.stringContaining('rule_weight must be a number'),
+      expect.stringContaining('ai_points.Extreme is not an intent level')
+    ]));
+
+    expect(validateScoringConfig({ thresholds: { High: 50 } }, { thresholds: { Medium: 55 } }).isValid).toBe(false);
+  });
+});
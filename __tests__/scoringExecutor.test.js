@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the scoring executor (concurrency, retries, rate limiting)
+ */
+
+const {
+  withRetry,
+  isTransientError,
+  RateLimiter,
+  runWithConcurrency
+} = require('../src/utils/scoringExecutor');
+
+describe('Scoring Executor', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  describe('isTransientError', () => {
+    test('should treat rate limits and server errors as transient', () => {
+      expect(isTransientError({ status: 429 })).toBe(true);
+      expect(isTransientError({ status: 503 })).toBe(true);
+      expect(isTransientError({ code: 'ECONNRESET' })).toBe(true);
+      expect(isTransientError(new Error('fetch failed'))).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      expect(isTransientError({ status: 400 })).toBe(false);
+      expect(isTransientError({ status: 401 })).toBe(false);
+      expect(isTransientError(new Error('Invalid API key'))).toBe(false);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should report which attempt succeeded', async () => {
+      let calls = 0;
+      const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error('overloaded'), { status: 503 });
+        return 'ok';
+      }, { retries: 3, baseDelayMs: 1 });
+
+      expect(result).toEqual({ value: 'ok', attempts: 3 });
+    });
+
+    test('should stop immediately on non-transient errors', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+
+      await expect(withRetry(fn, { retries: 3, baseDelayMs: 1 })).rejects.toMatchObject({ attempts: 1 });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the configured retries', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('rate limited'), { status: 429 }));
+
+      await expect(withRetry(fn, { retries: 2, baseDelayMs: 1 })).rejects.toMatchObject({ attempts: 3 });
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should delay requests beyond the budget until the window frees up', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 2, windowMs: 50 });
+      const start = Date.now();
+
+      await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    });
+
+    test('should not wait when unlimited', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 0 });
+      const start = Date.now();
+
+      await Promise.all(Array.from({ length: 20 }, () => limiter.acquire()));
+
+      expect(Date.now() - start).toBeLessThan(50);
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    test('should bound parallelism and preserve order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const { results, stopped } = await runWithConcurrency([1, 2, 3, 4, 5, 6], async (item) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return item * 10;
+      }, { concurrency: 2 });
+
+      expect(maxInFlight).toBe(2);
+      expect(results).toEqual([10, 20, 30, 40, 50, 60]);
+      expect(stopped).toBe(false);
+    });
+
+    test('should stop picking up items when asked', async () => {
+      let processed = 0;
+
+      const { stopped } = await runWithConcurrency([1, 2, 3, 4, 5], async () => {
+        processed++;
+      }, { concurrency: 1, shouldStop: () => processed >= 2 });
+
+      expect(stopped).toBe(true);
+      expect(processed).toBe(2);
+    });
+  });
+});
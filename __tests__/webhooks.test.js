@@ -0,0 +1,296 @@
+/**
+ * Tests for webhook subscriptions and deliveries
+ */
+
+const http = require('http');
+const dns = require('dns');
+const express = require('express');
+const request = require('supertest');
+const webhooksRoutes = require('../src/routes/webhooks');
+const scoringRoutes = require('../src/routes/scoring');
+const leadsRoutes = require('../src/routes/leads');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+const webhooks = require('../src/utils/webhooks');
+const { WebhookManager, signPayload, verifySignature, validateWebhook, isPrivateAddress } = require('../src/utils/webhooks');
+const { MemoryAdapter } = require('../src/utils/storage');
+const dataStore = require('../src/utils/dataStore');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', leadsRoutes);
+  app.use('/api', scoringRoutes);
+  app.use('/api', webhooksRoutes);
+  return app;
+}
+
+/**
+ * Local HTTP receiver recording every request. Responds with the queued
+ * status codes in order, then 200.
+ */
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ url: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+      res.statusCode = receiver.statuses.shift() || 200;
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.setHeader('Location', receiver.url.replace('/hooks', '/redirected'));
+      }
+      res.end('ok');
+    });
+  });
+
+  return new Promise((resolve) => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+}
+
+describe('Webhooks', () => {
+  const app = createApp();
+  const workspace = 'webhooks-test';
+  let receiver;
+
+  beforeAll(async () => {
+    process.env.AUTH_ENABLED = 'false';
+    process.env.WEBHOOK_RETRY_BASE_MS = '5';
+    // The local receiver listens on loopback
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    receiver = await startReceiver();
+  });
+
+  afterEach(async () => {
+    await webhooks.flush();
+    receiver.requests = [];
+    receiver.statuses = [];
+  });
+
+  afterAll(async () => {
+    delete process.env.AUTH_ENABLED;
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    console.log.mockRestore();
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  async function register(events, targetWorkspace = workspace) {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('X-Workspace-Id', targetWorkspace)
+      .send({ url: receiver.url, events })
+      .expect(201);
+    return response.body.data;
+  }
+
+  test('should sign payloads and verify signatures', () => {
+    const body = JSON.stringify({ event: 'webhook.test' });
+    const header = signPayload('whsec_abc', body);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifySignature('whsec_abc', header, body)).toBe(true);
+    expect(verifySignature('whsec_other', header, body)).toBe(false);
+    expect(verifySignature('whsec_abc', header, `${body} `)).toBe(false);
+
+    const stale = signPayload('whsec_abc', body, Math.floor(Date.now() / 1000) - 3600);
+    expect(verifySignature('whsec_abc', stale, body)).toBe(false);
+  });
+
+  test('should validate subscriptions', () => {
+    expect(validateWebhook({ url: 'ftp://example.com', events: ['scoring.done'] }).errors).toEqual([
+      'url must be an http(s) URL',
+      expect.stringContaining('Unknown events: scoring.done')
+    ]);
+    expect(validateWebhook({ url: 'https://example.com/hook', events: ['upload.completed'] }).isValid).toBe(true);
+  });
+
+  test('should reject loopback, link-local and private hosts unless allow-listed', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+    expect(isPrivateAddress('2606:2800:220:1::1')).toBe(false);
+
+    const blocked = url => validateWebhook({ url, events: ['upload.completed'] }).errors;
+    for (const url of ['http://localhost:3000/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://2130706434/hook', 'https://10.0.0.5/hook']) {
+      expect(blocked(url)).toEqual([expect.stringContaining('must not point to a loopback, link-local or private address')]);
+    }
+
+    // The receiver's host is allow-listed for these tests
+    expect(blocked(receiver.url)).toEqual([]);
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    expect(blocked(receiver.url)).toHaveLength(1);
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  });
+
+  test('should refuse to connect to hosts that resolve to private addresses', async () => {
+    const manager = new WebhookManager(new MemoryAdapter());
+    // A public-looking name that resolves to the local receiver at delivery time (DNS rebinding)
+    const port = new URL(receiver.url).port;
+    manager.register({ workspaceId: 'ssrf', url: `http://rebind.example.com:${port}/hooks`, events: ['upload.completed'] });
+    manager.register({ workspaceId: 'ssrf', url: 'http://169.254.169.254/latest/meta-data', events: ['upload.completed'] });
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+
+    try {
+      const deliveries = await manager.emit('ssrf', 'upload.completed', {});
+
+      expect(deliveries.map(delivery => delivery.status)).toEqual(['failed', 'failed']);
+      expect(deliveries[0].error).toMatch(/^Refusing to deliver to rebind\.example\.com: 127\.0\.0\.1/);
+      expect(deliveries[1].error).toMatch(/^Refusing to deliver to 169\.254\.169\.254/);
+      // Blocked hosts are not retried
+      expect(deliveries[0].attempts).toHaveLength(1);
+      expect(receiver.requests).toHaveLength(0);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  test('should not follow redirects', async () => {
+    const manager = new WebhookManager(new MemoryAdapter());
+    manager.register({ workspaceId: 'redirect', url: receiver.url, events: ['upload.completed'] });
+    // The receiver answers with a redirect to another loopback URL
+    receiver.statuses = [302];
+
+    const [delivery] = await manager.emit('redirect', 'upload.completed', {});
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.error).toBe('Receiver responded with HTTP 302 (redirects are not followed)');
+    expect(delivery.attempts).toHaveLength(1);
+    expect(receiver.requests.map(received => received.url)).toEqual(['/hooks']);
+  });
+
+  test('should register a webhook and return its secret once', async () => {
+    const webhook = await register(['scoring.completed']);
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect(webhook).toMatchObject({ url: receiver.url, events: ['scoring.completed'], active: true });
+
+    const fetched = await request(app).get(`/api/webhooks/${webhook.id}`).set('X-Workspace-Id', workspace).expect(200);
+    expect(fetched.body.data.secret).toBeUndefined();
+    expect(webhook.secret.startsWith(fetched.body.data.secret_prefix)).toBe(true);
+
+    // Webhooks are scoped to their workspace
+    await request(app).get(`/api/webhooks/${webhook.id}`).set('X-Workspace-Id', 'elsewhere').expect(404);
+
+    await request(app).delete(`/api/webhooks/${webhook.id}`).set('X-Workspace-Id', workspace).expect(200);
+    await request(app).get(`/api/webhooks/${webhook.id}`).set('X-Workspace-Id', workspace).expect(404);
+  });
+
+  test('should reject invalid registrations', async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('X-Workspace-Id', workspace)
+      .send({ url: 'not a url', events: [] })
+      .expect(400);
+
+    expect(response.body.details).toHaveLength(2);
+  });
+
+  test('should test-fire a signed event to a local receiver', async () => {
+    const webhook = await register(['upload.completed']);
+
+    const response = await request(app)
+      .post(`/api/webhooks/${webhook.id}/test`)
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({ event: 'webhook.test', status: 'succeeded', response_status: 200 });
+
+    expect(receiver.requests).toHaveLength(1);
+    const [received] = receiver.requests;
+    expect(received.headers['x-webhook-event']).toBe('webhook.test');
+    expect(received.headers['x-webhook-id']).toBe(response.body.data.id);
+    expect(verifySignature(webhook.secret, received.headers['x-webhook-signature'], received.body)).toBe(true);
+    expect(received.payload).toMatchObject({ event: 'webhook.test', workspace, data: { webhook_id: webhook.id } });
+
+    const log = await request(app)
+      .get(`/api/webhooks/${webhook.id}/deliveries`)
+      .set('X-Workspace-Id', workspace)
+      .expect(200);
+    expect(log.body.data[0]).toMatchObject({ id: response.body.data.id, status: 'succeeded' });
+  });
+
+  test('should retry failed deliveries with backoff and log each attempt', async () => {
+    const manager = new WebhookManager(new MemoryAdapter());
+    const webhook = manager.register({ workspaceId: 'retry', url: receiver.url, events: ['upload.completed'] });
+    receiver.statuses = [503, 500];
+
+    const [delivery] = await manager.emit('retry', 'upload.completed', { batch_id: 'leads_1' });
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts.map(attempt => attempt.status)).toEqual([503, 500, 200]);
+    expect(receiver.requests).toHaveLength(3);
+    // Retries resend the same event
+    expect(new Set(receiver.requests.map(received => received.payload.id)).size).toBe(1);
+    expect(manager.listDeliveries(webhook.id)[0].attempts).toHaveLength(3);
+  });
+
+  test('should not retry client errors', async () => {
+    const manager = new WebhookManager(new MemoryAdapter());
+    manager.register({ workspaceId: 'retry', url: receiver.url, events: ['upload.completed'] });
+    receiver.statuses = [410];
+
+    const [delivery] = await manager.emit('retry', 'upload.completed', {});
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.error).toBe('Receiver responded with HTTP 410');
+    expect(delivery.attempts).toHaveLength(1);
+  });
+
+  test('should mark deliveries left pending by a restart as interrupted', () => {
+    const adapter = new MemoryAdapter();
+    adapter.set('webhookDeliveries', 'whd_1', { id: 'whd_1', webhookId: 'wh_1', status: 'pending', attempts: [] });
+
+    new WebhookManager(adapter);
+
+    expect(adapter.get('webhookDeliveries', 'whd_1').status).toBe('interrupted');
+  });
+
+  test('should notify on upload, scoring completion and high-intent leads', async () => {
+    const eventWorkspace = 'webhooks-events-test';
+    const webhook = await register(['upload.completed', 'scoring.completed', 'lead.high_intent'], eventWorkspace);
+    dataStore.forWorkspace(eventWorkspace).setOffer({ name: 'AI Outreach', ideal_use_cases: ['SaaS'] });
+
+    await request(app)
+      .post('/api/leads')
+      .set('X-Workspace-Id', eventWorkspace)
+      .send([
+        { name: 'Ava Patel', role: 'CEO', company: 'FlowMetrics', industry: 'SaaS', location: 'NYC', linkedin_bio: 'Founder' },
+        { name: 'Ben Ortiz', role: 'Intern', company: 'Acme', industry: 'Retail', location: 'Austin', linkedin_bio: 'Student' }
+      ])
+      .expect(201);
+
+    const scored = await request(app)
+      .post('/api/score?wait=true')
+      .set('X-Workspace-Id', eventWorkspace)
+      .expect(200);
+    await webhooks.flush();
+
+    const byEvent = event => receiver.requests.filter(received => received.payload.event === event);
+    expect(byEvent('upload.completed')[0].payload.data).toMatchObject({ appended: false, total_leads: 2, added_leads: 2 });
+    expect(byEvent('scoring.completed')[0].payload.data).toMatchObject({
+      job_id: scored.body.data.job_id,
+      total_leads: 2,
+      rescored_leads: 2
+    });
+
+    const highIntent = scored.body.data.preview.filter(lead => lead.intent === 'High');
+    expect(highIntent).toHaveLength(1);
+    expect(byEvent('lead.high_intent').map(received => received.payload.data.lead.id).sort())
+      .toEqual(highIntent.map(lead => lead.id).sort());
+
+    for (const received of receiver.requests) {
+      expect(verifySignature(webhook.secret, received.headers['x-webhook-signature'], received.body)).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * API tests for workspace scoping
+ */
+
+const express = require('express');
+const request = require('supertest');
+const offerRoutes = require('../src/routes/offer');
+const { authenticate } = require('../src/middleware/auth');
+const { resolveWorkspace } = require('../src/middleware/workspace');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api', resolveWorkspace);
+  app.use('/api', offerRoutes);
+  return app;
+}
+
+describe('Workspace scoping', () => {
+  const app = createApp();
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_ENABLED;
+  });
+
+  test('should keep the current offer per workspace', async () => {
+    await request(app)
+      .post('/api/offer')
+      .set('X-Workspace-Id', 'team-a')
+      .send({ name: 'Offer A' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/offer')
+      .set('X-Workspace-Id', 'team-b')
+      .send({ name: 'Offer B' })
+      .expect(201);
+
+    const responseA = await request(app).get('/api/offer').set('X-Workspace-Id', 'team-a').expect(200);
+    const responseB = await request(app).get('/api/offer').set('X-Workspace-Id', 'team-b').expect(200);
+
+    expect(responseA.body.data.name).toBe('Offer A');
+    expect(responseB.body.data.name).toBe('Offer B');
+  });
+
+  test('should not leak offers into the default workspace', async () => {
+    await request(app).get('/api/offer').expect(404);
+  });
+
+  test('should reject malformed workspace ids', async () => {
+    const response = await request(app)
+      .get('/api/offer')
+      .set('X-Workspace-Id', 'bad workspace!')
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid workspace id');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * API key authentication and role-based authorization
+ *
+ * Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * ADMIN_API_KEY (if set) is accepted as an admin key for every workspace,
+ * which is how the first keys get issued. Set AUTH_ENABLED=false to turn
+ * authentication off for local development.
+ */
+
+const crypto = require('crypto');
+const apiKeys = require('../utils/apiKeys');
+const { hasRole } = require('../utils/apiKeys');
+
+function isAuthEnabled() {
+  return process.env.AUTH_ENABLED !== 'false';
+}
+
+/**
+ * Describe a configuration that locks every client out: authentication is on
+ * but ADMIN_API_KEY is not set, so only previously issued keys can get in
+ * @returns {string|null} Warning to log at startup, or null when the setup is usable
+ */
+function checkAuthConfig() {
+  if (!isAuthEnabled() || process.env.ADMIN_API_KEY) return null;
+
+  const activeKeys = apiKeys.countActive();
+  return activeKeys === 0
+    ? 'Authentication is enabled but ADMIN_API_KEY is not set and no API keys exist, so every /api request will be rejected with 401. Set ADMIN_API_KEY (or AUTH_ENABLED=false for local development).'
+    : `Authentication is enabled but ADMIN_API_KEY is not set; only the ${activeKeys} issued API key(s) can authenticate and no new keys can be bootstrapped.`;
+}
+
+/**
+ * Extract the API key from the request headers
+ */
+function extractKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return (req.get('x-api-key') || '').trim() || null;
+}
+
+function matchesAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || !key) return false;
+
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const actual = crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function authenticate(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.auth = { keyId: null, role: 'admin', workspaceId: null, anonymous: true };
+    return next();
+  }
+
+  const key = extractKey(req);
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Provide an API key via "Authorization: Bearer <key>" or the X-API-Key header'
+    });
+  }
+
+  if (matchesAdminKey(key)) {
+    req.auth = { keyId: 'root', role: 'admin', workspaceId: null, anonymous: false };
+    return next();
+  }
+
+  const record = apiKeys.findByKey(key);
+  if (!record) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  apiKeys.touch(record);
+  req.auth = {
+    keyId: record.id,
+    role: record.role,
+    workspaceId: record.workspaceId,
+    anonymous: false
+  };
+  next();
+}
+
+/**
+ * Require at least the given role (viewer < analyst < admin)
+ */
+function requireRole(requiredRole) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!hasRole(req.auth.role, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: `This endpoint requires the ${requiredRole} role (current role: ${req.auth.role})`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  extractKey,
+  isAuthEnabled,
+  checkAuthConfig
+};
@@ -0,0 +1,46 @@
+/**
+ * Workspace resolution middleware
+ * API keys bound to a workspace always use that workspace. Otherwise the
+ * workspace comes from the X-Workspace-Id header (falling back to the
+ * default workspace). Attaches a workspace-scoped data store to the request.
+ */
+
+const dataStore = require('../utils/dataStore');
+const { DEFAULT_WORKSPACE } = require('../utils/dataStore');
+
+const WORKSPACE_HEADER = 'x-workspace-id';
+const WORKSPACE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function resolveWorkspace(req, res, next) {
+  const headerValue = req.get(WORKSPACE_HEADER);
+  const requestedWorkspace = headerValue ? headerValue.trim() : null;
+  const boundWorkspace = req.auth && req.auth.workspaceId;
+
+  if (boundWorkspace && requestedWorkspace && requestedWorkspace !== boundWorkspace) {
+    return res.status(403).json({
+      success: false,
+      error: 'Workspace mismatch',
+      message: `This API key is restricted to workspace "${boundWorkspace}"`
+    });
+  }
+
+  const workspaceId = boundWorkspace || requestedWorkspace || DEFAULT_WORKSPACE;
+
+  if (!WORKSPACE_ID_PATTERN.test(workspaceId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid workspace id',
+      message: 'X-Workspace-Id must be 1-64 characters of letters, numbers, "-" or "_"'
+    });
+  }
+
+  req.workspaceId = workspaceId;
+  req.dataStore = dataStore.forWorkspace(workspaceId);
+  next();
+}
+
+module.exports = {
+  resolveWorkspace,
+  WORKSPACE_HEADER,
+  WORKSPACE_ID_PATTERN
+};
@@ -0,0 +1,73 @@
+/**
+ * Routes for the AI response cache (admin only)
+ * GET /api/ai-cache - Cache size, TTL and hit/miss counts
+ * DELETE /api/ai-cache - Purge cached AI responses
+ *
+ * The cache is shared by every workspace, so purging it needs an admin key
+ * that isn't bound to a single workspace.
+ */
+
+const express = require('express');
+const aiCache = require('../utils/aiCache');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/ai-cache
+ */
+router.get('/ai-cache', requireRole('admin'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: aiCache.getStats()
+    });
+
+  } catch (error) {
+    console.error('Error reading AI cache stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read AI cache stats'
+    });
+  }
+});
+
+/**
+ * DELETE /api/ai-cache
+ * Pass ?expired_only=true to drop only entries past their TTL
+ */
+router.delete('/ai-cache', requireRole('admin'), (req, res) => {
+  try {
+    if (req.auth.workspaceId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: 'The AI cache is shared by all workspaces; purging it requires an admin key for all workspaces'
+      });
+    }
+
+    const expiredOnly = req.query.expired_only === 'true';
+    const removed = aiCache.purge({ expiredOnly });
+
+    console.log(`🧹 Purged ${removed} ${expiredOnly ? 'expired ' : ''}AI cache entries`);
+
+    res.json({
+      success: true,
+      message: `Removed ${removed} ${expiredOnly ? 'expired ' : ''}cached AI responses`,
+      data: {
+        removed,
+        ...aiCache.getStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error purging AI cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge AI cache',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+/**
+ * Routes for CRM export profiles
+ * GET /api/export-profiles - Built-in and saved profiles
+ * GET /api/export-profiles/:id - A single profile
+ * PUT /api/export-profiles/:id - Create or replace a saved profile
+ * DELETE /api/export-profiles/:id - Delete a saved profile
+ *
+ * Use a profile with GET /api/results/export?profile=<id>
+ */
+
+const express = require('express');
+const exportProfiles = require('../utils/exportProfiles');
+const { BUILT_IN_PROFILES, PROFILE_ID_PATTERN, validateExportProfile } = require('../utils/exportProfiles');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+function profileNotFound(res, profileId) {
+  return res.status(404).json({
+    success: false,
+    error: `Export profile ${profileId} not found`
+  });
+}
+
+/**
+ * GET /api/export-profiles
+ */
+router.get('/export-profiles', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: exportProfiles.list(req.workspaceId).map(record => exportProfiles.toPublic(record))
+    });
+
+  } catch (error) {
+    console.error('Error listing export profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list export profiles'
+    });
+  }
+});
+
+/**
+ * GET /api/export-profiles/:id
+ */
+router.get('/export-profiles/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const record = exportProfiles.get(req.workspaceId, req.params.id);
+    if (!record) return profileNotFound(res, req.params.id);
+
+    res.json({
+      success: true,
+      data: exportProfiles.toPublic(record)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving export profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve export profile'
+    });
+  }
+});
+
+/**
+ * PUT /api/export-profiles/:id
+ * Save a custom profile (ids are lowercase letters, numbers, "_" or "-")
+ *
+ * Example payload:
+ * {
+ *   "name": "Pipedrive",
+ *   "columns": [
+ *     { "header": "Person - Name", "source": "name" },
+ *     { "header": "Organization - Name", "source": "company" },
+ *     { "header": "Lead - Label", "source": "intent", "map": { "High": "Hot", "Medium": "Warm" }, "default": "Cold" },
+ *     { "header": "Lead - Score", "source": "score" },
+ *     { "header": "Lead - Source", "value": "Lead scoring" }
+ *   ]
+ * }
+ */
+router.put('/export-profiles/:id', requireRole('admin'), (req, res) => {
+  try {
+    const profileId = req.params.id;
+
+    if (!PROFILE_ID_PATTERN.test(profileId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile id must be 1-40 lowercase letters, numbers, "_" or "-"'
+      });
+    }
+
+    if (BUILT_IN_PROFILES[profileId]) {
+      return res.status(409).json({
+        success: false,
+        error: `${profileId} is a built-in profile and can't be replaced`,
+        message: 'Save your variant under a different id'
+      });
+    }
+
+    const validation = validateExportProfile(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { name, description, columns } = req.body;
+    const record = exportProfiles.save(req.workspaceId, profileId, {
+      name: name.trim(),
+      ...(description !== undefined && { description }),
+      columns
+    });
+
+    console.log(`📤 Export profile ${profileId} saved for workspace ${req.workspaceId}`);
+
+    res.json({
+      success: true,
+      message: `Export profile ${profileId} saved`,
+      data: exportProfiles.toPublic(record)
+    });
+
+  } catch (error) {
+    console.error('Error saving export profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save export profile',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/export-profiles/:id
+ */
+router.delete('/export-profiles/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (BUILT_IN_PROFILES[req.params.id]) {
+      return res.status(409).json({
+        success: false,
+        error: `${req.params.id} is a built-in profile and can't be deleted`
+      });
+    }
+
+    if (!exportProfiles.delete(req.workspaceId, req.params.id)) {
+      return profileNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: `Export profile ${req.params.id} deleted`
+    });
+
+  } catch (error) {
+    console.error('Error deleting export profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete export profile'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Routes for background scoring jobs
+ * GET /api/jobs - List jobs in the workspace
+ * GET /api/jobs/:id - Job status, progress and ETA
+ * POST /api/jobs/:id/cancel - Cancel a queued or running job
+ */
+
+const express = require('express');
+const jobManager = require('../utils/jobManager');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * List jobs for the current workspace (most recent first)
+ */
+router.get('/jobs', requireRole('viewer'), (req, res) => {
+  try {
+    const jobs = jobManager.listJobs(req.workspaceId);
+
+    res.json({
+      success: true,
+      data: jobs,
+      meta: {
+        total: jobs.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Report job status, processed/total counts, error count and ETA
+ */
+router.get('/jobs/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const job = jobManager.getJob(req.params.id, req.workspaceId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error retrieving job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job. Leads already scored are discarded.
+ */
+router.post('/jobs/:id/cancel', requireRole('analyst'), (req, res) => {
+  try {
+    const job = jobManager.cancelJob(req.params.id, req.workspaceId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!job.cancel_requested) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`,
+        data: job
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancellation requested',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Routes for API key management (admin only)
+ * POST /api/keys - Issue a new API key
+ * GET /api/keys - List API keys
+ * DELETE /api/keys/:id - Revoke an API key
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const apiKeys = require('../utils/apiKeys');
+const { ROLES } = require('../utils/apiKeys');
+const { requireRole } = require('../middleware/auth');
+const { WORKSPACE_ID_PATTERN } = require('../middleware/workspace');
+
+const router = express.Router();
+
+/**
+ * Whether a key record is manageable by the calling admin
+ */
+function canManage(auth, record) {
+  return !auth.workspaceId || record.workspaceId === auth.workspaceId;
+}
+
+/**
+ * POST /api/keys
+ * Issue a new API key. The plaintext key is only returned in this response.
+ *
+ * Example payload:
+ * {
+ *   "name": "SDR dashboard",
+ *   "role": "viewer",
+ *   "workspace": "sales-emea"
+ * }
+ */
+router.post('/keys', requireRole('admin'), [
+  body('name')
+    .isString()
+    .withMessage('Key name is required')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('workspace')
+    .optional()
+    .matches(WORKSPACE_ID_PATTERN)
+    .withMessage('Workspace must be 1-64 characters of letters, numbers, "-" or "_"'),
+
+  body('all_workspaces')
+    .optional()
+    .isBoolean()
+    .withMessage('all_workspaces must be a boolean')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, role, workspace, all_workspaces } = req.body;
+
+    if (req.auth.workspaceId && (all_workspaces || (workspace && workspace !== req.auth.workspaceId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: `Keys issued by this API key are restricted to workspace "${req.auth.workspaceId}"`
+      });
+    }
+
+    const issued = apiKeys.issueKey({
+      name,
+      role,
+      workspaceId: all_workspaces ? null : (workspace || req.workspaceId)
+    });
+
+    console.log(`🔑 API key issued: ${issued.name} (${issued.role}, workspace: ${issued.workspaceId || 'all'})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key issued successfully. Store the key now - it will not be shown again.',
+      data: issued
+    });
+
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/keys
+ * List API keys (without secrets)
+ */
+router.get('/keys', requireRole('admin'), (req, res) => {
+  try {
+    const keys = apiKeys.listKeys(req.auth.workspaceId);
+
+    res.json({
+      success: true,
+      data: keys,
+      meta: {
+        total: keys.length,
+        active: keys.filter(key => !key.revokedAt).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', requireRole('admin'), (req, res) => {
+  try {
+    const record = apiKeys.getKey(req.params.id);
+
+    if (!record || !canManage(req.auth, record)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const revoked = apiKeys.revokeKey(record.id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: revoked
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
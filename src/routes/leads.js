@@ -1,15 +1,33 @@
 /**
  * Routes for handling lead data upload
  * POST /api/leads/upload - Accept CSV file with lead data
+ * POST /api/leads - Import leads as JSON, NDJSON or a spreadsheet
+ * POST /api/leads/:batchId/append - Add leads to an existing batch
+ * PATCH /api/leads/:leadId - Edit a single lead
+ * DELETE /api/leads/:leadId - Remove a single lead
+ * GET /api/leads/:batchId/validation - Full row-level validation report (JSON or CSV)
  */
 
 const express = require('express');
 const multer = require('multer');
-const csv = require('csv-parser');
+const { createObjectCsvStringifier } = require('csv-writer');
 const fs = require('fs');
 const path = require('path');
-const dataStore = require('../utils/dataStore');
-const { validateLeadData } = require('../utils/ruleEngine');
+const { validateLeadData, unparseableRowIssue, summarizeReport, reportRows } = require('../utils/leadValidation');
+const { dedupeLeads, DEFAULT_FUZZY_THRESHOLD } = require('../utils/leadDedup');
+const { OPTIONAL_FIELDS, STANDARD_FIELDS, buildColumnMap, rowToLead, parseColumnMapping } = require('../utils/leadColumns');
+const {
+  formatFromFilename,
+  readCsvFile,
+  readJSONArray,
+  readNdjsonStream,
+  readImportFile,
+  MAX_IMPORT_BYTES
+} = require('../utils/leadImport');
+const { readIntEnv } = require('../utils/scoringExecutor');
+const { writeChunk, isStreamClosed } = require('../utils/streamWriter');
+const webhooks = require('../utils/webhooks');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -24,8 +42,9 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueName = `leads_${Date.now()}_${Math.round(Math.random() * 1E9)}.csv`;
+    // Generate unique filename with timestamp (keeping the original extension)
+    const extension = path.extname(file.originalname).toLowerCase() || '.csv';
+    const uniqueName = `leads_${Date.now()}_${Math.round(Math.random() * 1E9)}${extension}`;
     cb(null, uniqueName);
   }
 });
@@ -46,13 +65,287 @@ const upload = multer({
   }
 });
 
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+// POST /api/leads also accepts spreadsheets and JSON files
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (formatFromFilename(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv, .xlsx, .json and .ndjson/.jsonl files are allowed'), false);
+    }
+  }
+});
+
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Read deduplication options from query parameters or multipart form fields
+ * @returns {Object} { error, options }
+ */
+function parseDedupeOptions(source) {
+  const options = {
+    enabled: parseFlag(source.dedupe, true),
+    fuzzy: parseFlag(source.fuzzy, false),
+    threshold: DEFAULT_FUZZY_THRESHOLD,
+    merge: parseFlag(source.merge, false)
+  };
+
+  if (source.fuzzy_threshold !== undefined) {
+    const threshold = Number(source.fuzzy_threshold);
+    if (!Number.isFinite(threshold) || threshold < 0.5 || threshold > 1) {
+      return { error: 'fuzzy_threshold must be a number between 0.5 and 1', options };
+    }
+    options.threshold = threshold;
+    options.fuzzy = true;
+  }
+
+  return { error: null, options };
+}
+
+/**
+ * Map, dedupe, validate and store parsed import records
+ * Creates a new current lead batch, or appends to options.batch when given
+ * (new rows are then deduplicated against the batch's existing leads).
+ * @param {Object} req - Express request (for the workspace data store)
+ * @param {Object} imported - Reader output: { headers, records, errors }
+ * @param {Object} options - { format, columnMapping, dedupe, batch }
+ * @returns {Object} { status, body } response to send
+ */
+function saveLeadBatch(req, imported, options) {
+  const errors = [...imported.errors];
+  const issueCounts = {};
+  let warningsCount = 0;
+  const countIssues = (issues) => {
+    for (const item of issues) {
+      issueCounts[item.code] = (issueCounts[item.code] || 0) + 1;
+    }
+  };
+
+  const rejectedRows = imported.errors.map(error => ({
+    line: error.line,
+    lead: error.lead,
+    issues: error.errors.map(unparseableRowIssue)
+  }));
+  rejectedRows.forEach(row => countIssues(row.issues));
+
+  const existing = options.batch ? options.batch.data : [];
+  const columnMap = buildColumnMap(imported.headers, options.columnMapping);
+  const rows = imported.records.map(record => ({
+    ...rowToLead(record.values, columnMap),
+    lineNumber: record.line,
+    ...(record.issues && { importIssues: record.issues })
+  }));
+
+  const deduplication = options.dedupe.enabled
+    ? dedupeLeads(rows, { ...options.dedupe, existing })
+    : { leads: [...existing, ...rows], report: null };
+
+  // Validate after merging so filled-in fields count
+  const leads = deduplication.leads.map((lead) => {
+    const validation = validateLeadData(lead);
+    // Stored leads were reported when they were imported
+    if (!lead.id) {
+      countIssues(validation.issues);
+      if (validation.warnings.length > 0) warningsCount++;
+    }
+    if (!validation.isValid && !lead.id) {
+      errors.push({
+        line: lead.lineNumber,
+        lead: lead.name || `Line ${lead.lineNumber}`,
+        errors: validation.errors,
+        ...(validation.warnings.length > 0 && { warnings: validation.warnings })
+      });
+    }
+
+    // Add lead even if validation failed (we'll flag incomplete data)
+    return { ...lead, isValid: validation.isValid };
+  });
+
+  if (rows.length === 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'No valid lead data found',
+        message: `The ${options.format.toUpperCase()} data appears to be empty or incorrectly formatted`,
+        validation: {
+          errors_count: errors.length,
+          errors: errors.slice(0, 10)
+        }
+      }
+    };
+  }
+
+  // Store the leads
+  const leadsData = options.batch
+    ? req.dataStore.replaceBatchLeads(options.batch.id, leads, { deduplication: deduplication.report, rejectedRows })
+    : req.dataStore.setLeads(leads, {
+      source: options.format,
+      deduplication: deduplication.report,
+      rejectedRows
+    });
+
+  const addedLeads = leadsData.data.slice(existing.length);
+  console.log(`✅ Processed ${addedLeads.length} leads from ${options.format.toUpperCase()}` +
+    (options.batch ? ` (appended to batch ${options.batch.id})` : ''));
+  if (deduplication.report && deduplication.report.duplicates_found > 0) {
+    console.log(`🔁 Removed ${deduplication.report.duplicates_found} duplicate rows`);
+  }
+  if (errors.length > 0) {
+    console.log(`⚠️  Found ${errors.length} validation warnings`);
+  }
+
+  webhooks.emit(req.workspaceId, 'upload.completed', {
+    batch_id: leadsData.id,
+    source: options.format,
+    appended: !!options.batch,
+    total_leads: leadsData.data.length,
+    added_leads: addedLeads.length,
+    invalid_leads: addedLeads.filter(lead => !lead.isValid).length
+  });
+
+  return {
+    status: options.batch ? 200 : 201,
+    body: {
+      success: true,
+      message: options.batch ? 'Leads appended successfully' : 'Leads uploaded and processed successfully',
+      data: {
+        id: leadsData.id,
+        source: options.format,
+        total_rows: rows.length + imported.errors.length,
+        total_leads: leads.length,
+        valid_leads: leads.filter(lead => lead.isValid).length,
+        invalid_leads: leads.filter(lead => !lead.isValid).length,
+        uploadedAt: leadsData.uploadedAt,
+        ...(options.batch && {
+          appended_leads: addedLeads.length,
+          appended_lead_ids: addedLeads.map(lead => lead.id),
+          updatedAt: leadsData.updatedAt
+        })
+      },
+      validation: {
+        errors_count: errors.length,
+        warnings_count: warningsCount,
+        issue_counts: issueCounts,
+        errors: errors.length > 0 ? errors.slice(0, 10) : [], // Show first 10 errors
+        has_more_errors: errors.length > 10,
+        full_report: `GET /api/leads/${leadsData.id}/validation`
+      },
+      deduplication: deduplication.report ? { enabled: true, ...deduplication.report } : { enabled: false },
+      columns: {
+        mapped: columnMap.mapped,
+        custom_fields: columnMap.custom_fields,
+        ignored: columnMap.ignored,
+        missing: columnMap.missing
+      },
+      meta: {
+        ready_for_scoring: !!req.dataStore.getCurrentOffer()
+      }
+    }
+  };
+}
+
+/**
+ * Parse the shared import options (column_map, dedupe settings)
+ * @returns {Object} { errors, columnMapping, dedupe }
+ */
+function parseImportOptions(params) {
+  const dedupe = parseDedupeOptions(params);
+  const columnMapping = parseColumnMapping(params.column_map);
+
+  return {
+    errors: [dedupe.error, columnMapping.error].filter(Boolean),
+    columnMapping: columnMapping.mapping,
+    dedupe: dedupe.options
+  };
+}
+
+/**
+ * Validate a PATCH body: standard fields as strings, custom_fields as an
+ * object whose values are strings/numbers (null removes a custom field)
+ * @returns {Object} { errors, changes, customFields }
+ */
+function parseLeadChanges(body) {
+  const errors = [];
+  const changes = {};
+  let customFields = null;
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be an object of lead fields'], changes, customFields };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    if (field === 'custom_fields') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('custom_fields must be an object');
+        continue;
+      }
+      customFields = {};
+      for (const [key, customValue] of Object.entries(value)) {
+        if (customValue !== null && !['string', 'number', 'boolean'].includes(typeof customValue)) {
+          errors.push(`custom_fields.${key} must be a string, number, boolean or null`);
+          continue;
+        }
+        customFields[key] = customValue === null ? null : customValue.toString().trim();
+      }
+    } else if (STANDARD_FIELDS.includes(field)) {
+      if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+        continue;
+      }
+      changes[field] = value.trim();
+    } else {
+      errors.push(`${field} is not an editable lead field (use one of ${STANDARD_FIELDS.join(', ')}, custom_fields)`);
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(changes).length === 0 && !customFields) {
+    errors.push('Provide at least one field to update');
+  }
+
+  return { errors, changes, customFields };
+}
+
+function removeUploadedFile(file) {
+  if (!file || !file.path) return;
+  fs.unlink(file.path, (unlinkError) => {
+    if (unlinkError) {
+      console.error('Error deleting temp file:', unlinkError);
+    }
+  });
+  file.path = null;
+}
+
 /**
  * POST /api/leads/upload
  * Accept CSV file with lead data
  * 
  * Expected CSV columns: name,role,company,industry,location,linkedin_bio
+ * Optional columns: company_size (e.g. "120" or "51-200", used by offer personas),
+ * linkedin_url (used to detect duplicates)
+ *
+ * Common header synonyms ("Job Title", "Organization", ...) are detected
+ * automatically; column_map (JSON, query or form field) maps anything else,
+ * e.g. {"Org": "company", "Notes": "ignore", "ARR": "custom_fields.arr"}.
+ * Unmapped columns are kept as custom fields (lead.custom_fields).
+ *
+ * Duplicate rows (same LinkedIn URL, or same normalized name + company) are
+ * dropped, keeping the first occurrence. Options (query or form fields):
+ *   dedupe=false - keep every row
+ *   fuzzy=true / fuzzy_threshold=0.85 - also match similar names and companies
+ *   merge=true - fill the kept row's empty fields from its duplicates
  */
-router.post('/leads/upload', upload.single('file'), async (req, res) => {
+router.post('/leads/upload', requireRole('analyst'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -62,125 +355,42 @@ router.post('/leads/upload', upload.single('file'), async (req, res) => {
       });
     }
 
-    console.log(`📄 Processing uploaded file: ${req.file.originalname}`);
-
-    // Parse the CSV file
-    const leads = [];
-    const errors = [];
-    let lineNumber = 1; // Start from 1 (header is line 1)
-
-    return new Promise((resolve) => {
-      fs.createReadStream(req.file.path)
-        .pipe(csv({
-          // Map headers to expected field names (case-insensitive)
-          mapHeaders: ({ header }) => header.toLowerCase().trim(),
-          // Skip empty lines
-          skipEmptyLines: true
-        }))
-        .on('data', (row) => {
-          lineNumber++;
-          
-          // Clean and validate the row data
-          const lead = {
-            name: (row.name || '').toString().trim(),
-            role: (row.role || '').toString().trim(),
-            company: (row.company || '').toString().trim(),
-            industry: (row.industry || '').toString().trim(),
-            location: (row.location || '').toString().trim(),
-            linkedin_bio: (row.linkedin_bio || '').toString().trim()
-          };
-
-          // Validate lead data structure
-          const validation = validateLeadData(lead);
-          if (!validation.isValid) {
-            errors.push({
-              line: lineNumber,
-              lead: lead.name || `Line ${lineNumber}`,
-              errors: validation.errors
-            });
-          }
-
-          // Add lead even if validation failed (we'll flag incomplete data)
-          leads.push({
-            ...lead,
-            lineNumber,
-            isValid: validation.isValid
-          });
-        })
-        .on('end', () => {
-          // Clean up the uploaded file
-          fs.unlink(req.file.path, (unlinkError) => {
-            if (unlinkError) {
-              console.error('Error deleting temp file:', unlinkError);
-            }
-          });
-
-          if (leads.length === 0) {
-            return resolve(res.status(400).json({
-              success: false,
-              error: 'No valid lead data found',
-              message: 'The CSV file appears to be empty or incorrectly formatted'
-            }));
-          }
-
-          // Store the leads
-          const leadsData = dataStore.setLeads(leads);
+    const options = parseImportOptions({ ...req.query, ...req.body });
+    if (options.errors.length > 0) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: options.errors
+      });
+    }
 
-          console.log(`✅ Processed ${leads.length} leads from CSV`);
-          if (errors.length > 0) {
-            console.log(`⚠️  Found ${errors.length} validation warnings`);
-          }
+    console.log(`📄 Processing uploaded file: ${req.file.originalname}`);
 
-          resolve(res.status(201).json({
-            success: true,
-            message: 'Leads uploaded and processed successfully',
-            data: {
-              id: leadsData.id,
-              total_leads: leads.length,
-              valid_leads: leads.filter(lead => lead.isValid).length,
-              invalid_leads: leads.filter(lead => !lead.isValid).length,
-              uploadedAt: leadsData.uploadedAt
-            },
-            validation: {
-              errors_count: errors.length,
-              errors: errors.length > 0 ? errors.slice(0, 10) : [], // Show first 10 errors
-              has_more_errors: errors.length > 10
-            },
-            meta: {
-              ready_for_scoring: !!dataStore.getCurrentOffer()
-            }
-          }));
-        })
-        .on('error', (error) => {
-          console.error('Error parsing CSV:', error);
-          
-          // Clean up the uploaded file
-          fs.unlink(req.file.path, (unlinkError) => {
-            if (unlinkError) {
-              console.error('Error deleting temp file:', unlinkError);
-            }
-          });
+    let imported;
+    try {
+      imported = await readCsvFile(req.file.path);
+    } catch (error) {
+      console.error('Error parsing CSV:', error);
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to parse CSV file',
+        message: 'Please ensure the CSV file is properly formatted with headers: name,role,company,industry,location,linkedin_bio',
+        details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+      });
+    } finally {
+      // Clean up the uploaded file
+      removeUploadedFile(req.file);
+    }
 
-          resolve(res.status(400).json({
-            success: false,
-            error: 'Failed to parse CSV file',
-            message: 'Please ensure the CSV file is properly formatted with headers: name,role,company,industry,location,linkedin_bio',
-            details: process.env.NODE_ENV !== 'production' ? error.message : undefined
-          }));
-        });
-    });
+    const result = saveLeadBatch(req, imported, { ...options, format: 'csv' });
+    res.status(result.status).json(result.body);
 
   } catch (error) {
     console.error('Error processing leads upload:', error);
     
     // Clean up the uploaded file if it exists
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (unlinkError) => {
-        if (unlinkError) {
-          console.error('Error deleting temp file:', unlinkError);
-        }
-      });
-    }
+    removeUploadedFile(req.file);
 
     res.status(500).json({
       success: false,
@@ -190,13 +400,149 @@ router.post('/leads/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+// Only run multer for multipart requests so JSON/NDJSON bodies pass through
+function importUploadIfMultipart(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    return importUpload.single('file')(req, res, next);
+  }
+  next();
+}
+
+/**
+ * Build the handler shared by POST /api/leads and POST /api/leads/:batchId/append
+ * @param {Object} handlerOptions
+ * @param {boolean} handlerOptions.append - Add to the batch named by :batchId
+ */
+function importLeadsHandler({ append = false } = {}) {
+  return async (req, res) => {
+    try {
+      let batch = null;
+      if (append) {
+        batch = req.dataStore.getLeads(req.params.batchId);
+        if (!batch) {
+          removeUploadedFile(req.file);
+          return res.status(404).json({
+            success: false,
+            error: 'Lead batch not found',
+            message: `No lead batch with id ${req.params.batchId}`
+          });
+        }
+      }
+
+      const isNdjson = !!req.is(NDJSON_TYPES);
+      const params = { ...req.query, ...(req.file ? req.body : {}) };
+
+      if (req.is('application/json') && req.body && !Array.isArray(req.body)) {
+        Object.assign(params, req.body, { leads: undefined });
+      }
+
+      const options = parseImportOptions(params);
+      if (options.errors.length > 0) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: options.errors
+        });
+      }
+
+      let format;
+      let imported;
+
+      try {
+        if (req.file) {
+          format = formatFromFilename(req.file.originalname);
+          console.log(`📄 Importing ${format.toUpperCase()} file: ${req.file.originalname}`);
+          imported = await readImportFile(req.file.path, format);
+        } else if (isNdjson) {
+          format = 'ndjson';
+          imported = await readNdjsonStream(req, { maxBytes: readIntEnv('NDJSON_MAX_BYTES', MAX_IMPORT_BYTES) });
+        } else if (req.is('application/json')) {
+          format = 'json';
+          const leads = Array.isArray(req.body) ? req.body : req.body.leads;
+          if (!Array.isArray(leads)) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid JSON body',
+              message: 'Send an array of leads, or an object with a "leads" array'
+            });
+          }
+          imported = readJSONArray(leads);
+        } else {
+          return res.status(415).json({
+            success: false,
+            error: 'Unsupported content type',
+            message: 'Send application/json, application/x-ndjson, or multipart/form-data with a file'
+          });
+        }
+      } catch (error) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        console.error('Error parsing lead import:', error);
+        return res.status(400).json({
+          success: false,
+          error: `Failed to parse ${(format || 'lead').toUpperCase()} import`,
+          details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+        });
+      } finally {
+        removeUploadedFile(req.file);
+      }
+
+      const result = saveLeadBatch(req, imported, { ...options, format, batch });
+      res.status(result.status).json(result.body);
+
+    } catch (error) {
+      console.error('Error importing leads:', error);
+      removeUploadedFile(req.file);
+
+      res.status(500).json({
+        success: false,
+        error: append ? 'Failed to append leads' : 'Failed to import leads',
+        details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/leads
+ * Import leads from JSON, NDJSON or a spreadsheet
+ *
+ * - Content-Type: application/json - an array of lead objects, or
+ *   { "leads": [...], "column_map": {...}, "dedupe": false, ... }
+ * - Content-Type: application/x-ndjson - one lead object per line, streamed
+ * - multipart/form-data with a "file" field - .xlsx (first sheet, header row
+ *   first), .csv, .json or .ndjson/.jsonl
+ *
+ * Every format goes through the same column mapping, deduplication and
+ * validation as POST /api/leads/upload. Nested "custom_fields" objects in
+ * JSON leads are kept as custom fields.
+ */
+router.post('/leads', requireRole('analyst'), importUploadIfMultipart, importLeadsHandler());
+
+/**
+ * POST /api/leads/:batchId/append
+ * Add leads to an existing batch, in any format POST /api/leads accepts
+ *
+ * Existing leads keep their ids; new rows that duplicate a lead already in
+ * the batch are dropped (or merged into it with merge=true) and reported with
+ * duplicate_of_id. Score again with { "incremental": true } to only score
+ * the appended leads.
+ */
+router.post('/leads/:batchId/append', requireRole('analyst'), importUploadIfMultipart, importLeadsHandler({ append: true }));
+
 /**
  * GET /api/leads
  * Retrieve current leads data (summary)
  */
-router.get('/leads', (req, res) => {
+router.get('/leads', requireRole('viewer'), (req, res) => {
   try {
-    const currentLeads = dataStore.getCurrentLeads();
+    const currentLeads = req.dataStore.getCurrentLeads();
     
     if (!currentLeads) {
       return res.status(404).json({
@@ -217,7 +563,9 @@ router.get('/leads', (req, res) => {
         valid_leads: validLeads.length,
         invalid_leads: invalidLeads.length,
         uploadedAt: currentLeads.uploadedAt,
+        duplicates_removed: currentLeads.deduplication ? currentLeads.deduplication.duplicates_found : 0,
         sample_leads: currentLeads.data.slice(0, 3).map(lead => ({
+          id: lead.id,
           name: lead.name,
           role: lead.role,
           company: lead.company,
@@ -226,7 +574,7 @@ router.get('/leads', (req, res) => {
         }))
       },
       meta: {
-        ready_for_scoring: !!dataStore.getCurrentOffer()
+        ready_for_scoring: !!req.dataStore.getCurrentOffer()
       }
     });
 
@@ -239,13 +587,241 @@ router.get('/leads', (req, res) => {
   }
 });
 
+const REPORT_CHUNK_SIZE = 500;
+
+/**
+ * GET /api/leads/:batchId/validation
+ * Full validation report for a lead batch: every stored lead (re-validated,
+ * so edits are reflected) plus the source rows rejected on import.
+ *
+ * Query parameters:
+ *   format=json|csv - JSON (default) or a CSV download with one line per issue
+ *   issues_only=true - leave out rows without any issues
+ *
+ * The report is streamed in chunks so large batches aren't built in memory.
+ */
+router.get('/leads/:batchId/validation', requireRole('viewer'), async (req, res) => {
+  try {
+    const batch = req.dataStore.getLeads(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead batch not found',
+        message: `No lead batch with id ${req.params.batchId}`
+      });
+    }
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: ['format must be json or csv']
+      });
+    }
+
+    const issuesOnly = parseFlag(req.query.issues_only, false);
+    const rows = function* () {
+      for (const row of reportRows(batch)) {
+        if (!issuesOnly || row.issues.length > 0) yield row;
+      }
+    };
+
+    if (format === 'csv') {
+      const stringifier = createObjectCsvStringifier({
+        header: [
+          { id: 'line', title: 'Line' },
+          { id: 'lead_id', title: 'Lead ID' },
+          { id: 'name', title: 'Name' },
+          { id: 'status', title: 'Status' },
+          { id: 'valid', title: 'Valid' },
+          { id: 'field', title: 'Field' },
+          { id: 'code', title: 'Issue' },
+          { id: 'severity', title: 'Severity' },
+          { id: 'message', title: 'Message' }
+        ]
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="lead_validation_${batch.id}.csv"`);
+      await writeChunk(res, stringifier.getHeaderString());
+
+      // One line per issue; rows without issues get a single line
+      let chunk = [];
+      for (const row of rows()) {
+        const base = { line: row.line, lead_id: row.lead_id, name: row.name, status: row.status, valid: row.valid };
+        const issues = row.issues.length > 0 ? row.issues : [{}];
+        for (const item of issues) {
+          chunk.push({ ...base, field: item.field, code: item.code, severity: item.severity, message: item.message });
+        }
+        if (chunk.length >= REPORT_CHUNK_SIZE) {
+          await writeChunk(res, stringifier.stringifyRecords(chunk));
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) await writeChunk(res, stringifier.stringifyRecords(chunk));
+
+      console.log(`📋 Validation report for batch ${batch.id} exported as CSV`);
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    await writeChunk(res, `{"success":true,"data":{"batch_id":${JSON.stringify(batch.id)},` +
+      `"summary":${JSON.stringify(summarizeReport(reportRows(batch)))},"rows":[`);
+
+    let first = true;
+    let chunk = '';
+    let pending = 0;
+    for (const row of rows()) {
+      chunk += (first ? '' : ',') + JSON.stringify(row);
+      first = false;
+      if (++pending >= REPORT_CHUNK_SIZE) {
+        await writeChunk(res, chunk);
+        chunk = '';
+        pending = 0;
+      }
+    }
+    res.end(`${chunk}]}}`);
+
+  } catch (error) {
+    if (isStreamClosed(error)) {
+      console.log('📋 Validation report stopped: the client disconnected');
+      return;
+    }
+
+    console.error('Error building validation report:', error);
+    if (res.headersSent) return res.end();
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build validation report',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/leads/:leadId
+ * Edit a single lead. Body: any of the standard lead fields plus
+ * "custom_fields" (merged into the existing custom fields; null removes a key).
+ * The lead is re-validated; score with { "incremental": true } to rescore
+ * only the leads that changed.
+ */
+router.patch('/leads/:leadId', requireRole('analyst'), (req, res) => {
+  try {
+    const { errors, changes, customFields } = parseLeadChanges(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const updated = req.dataStore.updateLead(req.params.leadId, (lead) => {
+      const updatedLead = { ...lead, ...changes };
+
+      // Optional fields are removed rather than stored empty
+      for (const [field, value] of Object.entries(changes)) {
+        if (!value && OPTIONAL_FIELDS.includes(field)) delete updatedLead[field];
+      }
+
+      if (customFields) {
+        const merged = { ...(lead.custom_fields || {}) };
+        for (const [key, value] of Object.entries(customFields)) {
+          if (value === null) {
+            delete merged[key];
+          } else {
+            merged[key] = value;
+          }
+        }
+        updatedLead.custom_fields = merged;
+      }
+
+      updatedLead.isValid = validateLeadData(updatedLead).isValid;
+      return updatedLead;
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found',
+        message: `No lead with id ${req.params.leadId}`
+      });
+    }
+
+    const validation = validateLeadData(updated.lead);
+    console.log(`✏️  Updated lead ${updated.lead.id} in batch ${updated.batch.id}`);
+
+    res.json({
+      success: true,
+      message: 'Lead updated successfully',
+      data: {
+        batch_id: updated.batch.id,
+        lead: updated.lead
+      },
+      validation: {
+        is_valid: validation.isValid,
+        errors: validation.errors,
+        warnings: validation.warnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update lead',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/leads/:leadId
+ * Remove a single lead from its batch
+ */
+router.delete('/leads/:leadId', requireRole('analyst'), (req, res) => {
+  try {
+    const removed = req.dataStore.deleteLead(req.params.leadId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found',
+        message: `No lead with id ${req.params.leadId}`
+      });
+    }
+
+    console.log(`🗑️  Removed lead ${removed.lead.id} from batch ${removed.batch.id}`);
+
+    res.json({
+      success: true,
+      message: 'Lead deleted successfully',
+      data: {
+        id: removed.lead.id,
+        batch_id: removed.batch.id,
+        remaining_leads: removed.batch.count
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete lead',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * DELETE /api/leads
  * Clear current leads data
  */
-router.delete('/leads', (req, res) => {
+router.delete('/leads', requireRole('admin'), (req, res) => {
   try {
-    dataStore.clearLeads();
+    req.dataStore.clearLeads();
     
     res.json({
       success: true,
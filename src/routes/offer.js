@@ -5,10 +5,56 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const dataStore = require('../utils/dataStore');
+const { requireRole } = require('../middleware/auth');
+const { validateDisqualifier, SIZE_BAND_PATTERN } = require('../utils/ruleEngine');
+const { validateScoringConfig, resolveScoringConfig } = require('../utils/scoringConfig');
+const promptTemplates = require('../utils/promptTemplates');
+const { normalizePin } = require('../utils/promptTemplates');
 
 const router = express.Router();
 
+/**
+ * Validator for optional arrays of non-empty strings
+ */
+function stringList(field, label) {
+  return body(field)
+    .optional()
+    .isArray()
+    .withMessage(`${label} must be an array`)
+    .custom((value) => {
+      if (!value.every(item => typeof item === 'string' && item.trim().length > 0)) {
+        throw new Error(`All ${label.toLowerCase()} must be non-empty strings`);
+      }
+      return true;
+    });
+}
+
+function cleanList(value) {
+  return (value || []).map(item => item.trim());
+}
+
+/**
+ * Public representation of a stored offer
+ */
+function toOfferResponse(offer) {
+  return {
+    id: offer.id,
+    name: offer.name,
+    value_props: offer.value_props,
+    ideal_use_cases: offer.ideal_use_cases,
+    persona: {
+      target_roles: offer.target_roles || [],
+      excluded_roles: offer.excluded_roles || [],
+      target_geographies: offer.target_geographies || [],
+      company_size_bands: offer.company_size_bands || [],
+      disqualifiers: offer.disqualifiers || []
+    },
+    scoring_config: resolveScoringConfig(offer.scoring_config),
+    prompt_template: offer.prompt_template || null,
+    createdAt: offer.createdAt
+  };
+}
+
 /**
  * POST /api/offer
  * Accept JSON with product/offer details
@@ -17,10 +63,26 @@ const router = express.Router();
  * {
  *   "name": "AI Outreach Automation",
  *   "value_props": ["24/7 outreach", "6x more meetings"],
- *   "ideal_use_cases": ["B2B SaaS mid-market"]
+ *   "ideal_use_cases": ["B2B SaaS mid-market"],
+ *   "target_roles": ["Head of Sales", "RevOps"],
+ *   "excluded_roles": ["Intern", "Student"],
+ *   "target_geographies": ["United States", "Canada"],
+ *   "company_size_bands": ["51-200", "201-1000"],
+ *   "disqualifiers": [
+ *     { "label": "Competitor", "field": "company", "operator": "in_list", "value": ["RivalCo"] }
+ *   ],
+ *   "scoring_config": { "rule_weight": 1, "ai_weight": 0.5, "thresholds": { "High": 60 } },
+ *   "prompt_template": { "name": "fintech", "version": 2 }
  * }
+ *
+ * The persona fields are optional; when present they are applied on top of
+ * the workspace rule set whenever leads are scored against this offer.
+ * scoring_config (optional) sets the rule/AI blending and intent thresholds
+ * for this offer; POST /api/score can override it per run.
+ * prompt_template (optional) pins a prompt template from /api/prompts, either
+ * a name (always the latest version) or { name, version }.
  */
-router.post('/offer', [
+router.post('/offer', requireRole('analyst'), [
   // Validation middleware
   body('name')
     .notEmpty()
@@ -54,6 +116,53 @@ router.post('/offer', [
         }
       }
       return true;
+    }),
+
+  stringList('target_roles', 'Target roles'),
+  stringList('excluded_roles', 'Excluded roles'),
+  stringList('target_geographies', 'Target geographies'),
+
+  stringList('company_size_bands', 'Company size bands')
+    .custom((value) => {
+      const invalid = value.filter(band => !SIZE_BAND_PATTERN.test(band));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid company size bands: ${invalid.join(', ')} (use e.g. "11-50", "1000+" or "<10")`);
+      }
+      return true;
+    }),
+
+  body('disqualifiers')
+    .optional()
+    .isArray()
+    .withMessage('Disqualifiers must be an array')
+    .custom((value) => {
+      const problems = value.flatMap((item, index) => validateDisqualifier(item, `disqualifiers[${index}]`));
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      return true;
+    }),
+
+  body('scoring_config')
+    .optional()
+    .custom((value) => {
+      const validation = validateScoringConfig(value);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join('; '));
+      }
+      return true;
+    }),
+
+  body('prompt_template')
+    .optional({ values: 'null' })
+    .custom((value, { req }) => {
+      const { error, pin } = normalizePin(value);
+      if (error) throw new Error(error);
+
+      if (!promptTemplates.getPinned(req.workspaceId, pin)) {
+        throw new Error(`Prompt template ${pin.name}${pin.version !== null ? ` version ${pin.version}` : ''} not found`);
+      }
+      return true;
     })
 ], async (req, res) => {
   try {
@@ -67,13 +176,25 @@ router.post('/offer', [
       });
     }
 
-    const { name, value_props, ideal_use_cases } = req.body;
+    const { name, value_props, ideal_use_cases, disqualifiers } = req.body;
 
     // Store the offer data
-    const offer = dataStore.setOffer({
+    const offer = req.dataStore.setOffer({
       name: name.trim(),
       value_props: value_props || [],
-      ideal_use_cases: ideal_use_cases || []
+      ideal_use_cases: ideal_use_cases || [],
+      target_roles: cleanList(req.body.target_roles),
+      excluded_roles: cleanList(req.body.excluded_roles),
+      target_geographies: cleanList(req.body.target_geographies),
+      company_size_bands: cleanList(req.body.company_size_bands),
+      disqualifiers: (disqualifiers || []).map((item, index) => ({
+        id: item.id || `disqualifier_${index + 1}`,
+        ...item
+      })),
+      scoring_config: req.body.scoring_config || null,
+      prompt_template: req.body.prompt_template !== undefined && req.body.prompt_template !== null
+        ? normalizePin(req.body.prompt_template).pin
+        : null
     });
 
     // Log for debugging
@@ -82,15 +203,9 @@ router.post('/offer', [
     res.status(201).json({
       success: true,
       message: 'Offer data stored successfully',
-      data: {
-        id: offer.id,
-        name: offer.name,
-        value_props: offer.value_props,
-        ideal_use_cases: offer.ideal_use_cases,
-        createdAt: offer.createdAt
-      },
+      data: toOfferResponse(offer),
       meta: {
-        ready_for_scoring: !!dataStore.getCurrentLeads()
+        ready_for_scoring: !!req.dataStore.getCurrentLeads()
       }
     });
 
@@ -108,9 +223,9 @@ router.post('/offer', [
  * GET /api/offer
  * Retrieve current offer data
  */
-router.get('/offer', (req, res) => {
+router.get('/offer', requireRole('viewer'), (req, res) => {
   try {
-    const currentOffer = dataStore.getCurrentOffer();
+    const currentOffer = req.dataStore.getCurrentOffer();
     
     if (!currentOffer) {
       return res.status(404).json({
@@ -122,15 +237,9 @@ router.get('/offer', (req, res) => {
 
     res.json({
       success: true,
-      data: {
-        id: currentOffer.id,
-        name: currentOffer.name,
-        value_props: currentOffer.value_props,
-        ideal_use_cases: currentOffer.ideal_use_cases,
-        createdAt: currentOffer.createdAt
-      },
+      data: toOfferResponse(currentOffer),
       meta: {
-        ready_for_scoring: !!dataStore.getCurrentLeads()
+        ready_for_scoring: !!req.dataStore.getCurrentLeads()
       }
     });
 
@@ -147,9 +256,9 @@ router.get('/offer', (req, res) => {
  * DELETE /api/offer
  * Clear current offer data
  */
-router.delete('/offer', (req, res) => {
+router.delete('/offer', requireRole('admin'), (req, res) => {
   try {
-    dataStore.clearOffers();
+    req.dataStore.clearOffers();
     
     res.json({
       success: true,
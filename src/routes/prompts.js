@@ -0,0 +1,156 @@
+/**
+ * Routes for AI prompt templates
+ * GET /api/prompts - Latest version of every template in the workspace
+ * GET /api/prompts/:name - A template's latest version (or ?version=N)
+ * GET /api/prompts/:name/versions - Version history (most recent first)
+ * POST /api/prompts - Save a new template, or a new version of an existing one
+ *
+ * Offers pin a template with "prompt_template" (see POST /api/offer); other
+ * offers use the latest version of the "default" template.
+ */
+
+const express = require('express');
+const promptTemplates = require('../utils/promptTemplates');
+const { validatePromptTemplate, PLACEHOLDERS } = require('../utils/promptTemplates');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/prompts
+ */
+router.get('/prompts', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: promptTemplates.list(req.workspaceId).map(record => promptTemplates.toPublic(record)),
+      meta: {
+        placeholders: PLACEHOLDERS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list prompt templates'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:name
+ * Return the latest version, or a specific version with ?version=N
+ */
+router.get('/prompts/:name', requireRole('viewer'), (req, res) => {
+  try {
+    const record = req.query.version !== undefined
+      ? promptTemplates.getVersion(req.workspaceId, req.params.name, req.query.version)
+      : promptTemplates.getLatest(req.workspaceId, req.params.name);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: req.query.version !== undefined
+          ? `Prompt template ${req.params.name} version ${req.query.version} not found`
+          : `Prompt template ${req.params.name} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promptTemplates.toPublic(record)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving prompt template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prompt template'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:name/versions
+ */
+router.get('/prompts/:name/versions', requireRole('viewer'), (req, res) => {
+  try {
+    const versions = promptTemplates.listVersions(req.workspaceId, req.params.name);
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Prompt template ${req.params.name} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: versions.map(record => ({
+        version: record.version,
+        description: record.description,
+        is_default: !!record.isDefault,
+        created_at: record.createdAt
+      })),
+      meta: {
+        latest_version: versions[0].version
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing prompt template versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list prompt template versions'
+    });
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Validate a template and store it as the next version under its name
+ *
+ * Example payload:
+ * {
+ *   "name": "fintech",
+ *   "description": "Adds budget signals from the web form",
+ *   "template": "Offer: {{offer.name}}\n- Role: {{lead.role|Not provided}}\nBudget: {{lead.custom_fields.budget|Unknown}}\n...\n{{response_schema}}"
+ * }
+ */
+router.post('/prompts', requireRole('admin'), (req, res) => {
+  try {
+    const validation = validatePromptTemplate(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const record = promptTemplates.saveVersion(req.workspaceId, req.body);
+
+    console.log(`💬 Prompt template ${record.name} v${record.version} saved for workspace ${req.workspaceId}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt template ${record.name} saved as version ${record.version}`,
+      data: promptTemplates.toPublic(record),
+      meta: {
+        warnings: validation.warnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving prompt template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save prompt template',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,385 @@
+/**
+ * Routes for scored results
+ * GET /api/results - Return the latest scored results (filterable, sortable, paginated)
+ * GET /api/results/export - Export results as CSV, JSON, NDJSON or XLSX
+ * GET /api/results/runs - Paginated history of scoring runs
+ * GET /api/results/:id - Return a specific scoring run
+ * GET /api/results/:id/export - Export a specific scoring run
+ * GET /api/results/:id/diff/:otherId - Compare two scoring runs
+ * GET /api/results/:id/experiment - A/B experiment report for a scoring run
+ */
+
+const express = require('express');
+const { calculateSummaryStats } = require('../utils/scoringPipeline');
+const { diffResults } = require('../utils/resultsDiff');
+const { summarizeExperiment } = require('../utils/experiments');
+const { parseResultsQuery, applyResultsQuery, paginate } = require('../utils/resultsQuery');
+const { EXPORT_FORMATS, CONTENT_TYPES, parseExportColumns, streamExport } = require('../utils/resultsExport');
+const { isStreamClosed } = require('../utils/streamWriter');
+const exportProfiles = require('../utils/exportProfiles');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_RUNS_PAGE_SIZE = 20;
+const MAX_RUNS_PAGE_SIZE = 100;
+
+/**
+ * Offers a run scored against (several for multi-offer runs)
+ */
+function resultsOfferIds(results) {
+  if (results.offerIds) return results.offerIds;
+  return results.offerId ? [results.offerId] : [];
+}
+
+/**
+ * Response body for a results record
+ * The summary covers every lead matching the filters, not just the current page.
+ */
+function buildResultsResponse(results, options) {
+  const matching = applyResultsQuery(results.data, options);
+  const { data, pagination } = paginate(matching, results.id, options);
+
+  return {
+    success: true,
+    data,
+    meta: {
+      results_id: results.id,
+      offer_id: results.offerId,
+      offer_ids: resultsOfferIds(results),
+      leads_id: results.leadsId,
+      total_leads: results.count,
+      matching_leads: matching.length,
+      scored_at: results.scoredAt,
+      scoring_config: results.scoringConfig,
+      prompt_templates: results.promptTemplates || null,
+      filters: options.filters,
+      sort: options.sort ? { field: options.sort, order: options.order } : null,
+      pagination,
+      summary: matching.length > 0 ? calculateSummaryStats(matching) : null
+    }
+  };
+}
+
+function invalidQuery(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid query parameters',
+    details: errors
+  });
+}
+
+function notFound(res, resultsId) {
+  return res.status(404).json({
+    success: false,
+    error: `Results ${resultsId} not found`,
+    message: 'List available runs with GET /api/results/runs'
+  });
+}
+
+/**
+ * GET /api/results
+ * Return the latest scored results
+ *
+ * Query parameters (all optional):
+ *   intent=High,Medium   min_score=40   max_score=90
+ *   industry=saas   role=head   location=york   (case-insensitive substring)
+ *   ai_source=gemini,fallback
+ *   sort=score|name   order=asc|desc
+ *   limit=50   cursor=<meta.pagination.next_cursor>
+ * A cursor keeps paging the run it was issued for, even if a newer run exists.
+ */
+router.get('/results', requireRole('viewer'), (req, res) => {
+  try {
+    const query = parseResultsQuery(req.query);
+    if (!query.isValid) return invalidQuery(res, query.errors);
+
+    if (query.options.cursor) {
+      const pagedResults = req.dataStore.getResults(query.options.cursor.resultsId);
+      if (!pagedResults) return notFound(res, query.options.cursor.resultsId);
+      return res.json(buildResultsResponse(pagedResults, query.options));
+    }
+
+    const results = req.dataStore.getLatestResults();
+    
+    if (!results) {
+      return res.status(404).json({
+        success: false,
+        error: 'No results available',
+        message: 'Please run scoring using POST /api/score first'
+      });
+    }
+
+    res.json(buildResultsResponse(results, query.options));
+
+  } catch (error) {
+    console.error('Error retrieving results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve results'
+    });
+  }
+});
+
+/**
+ * Stream a results run in the requested format, columns and filters
+ */
+async function sendExport(req, res, results) {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return invalidQuery(res, [`format must be one of: ${EXPORT_FORMATS.join(', ')}`]);
+  }
+
+  // Same filters and sort as GET /api/results; exports are never paginated
+  const query = parseResultsQuery({ ...req.query, limit: undefined, cursor: undefined });
+  if (!query.isValid) return invalidQuery(res, query.errors);
+
+  const leads = applyResultsQuery(results.data, query.options);
+
+  let columns;
+  let profile = null;
+  if (req.query.profile !== undefined) {
+    if (req.query.columns !== undefined) {
+      return invalidQuery(res, ['Use either profile or columns, not both']);
+    }
+    profile = exportProfiles.get(req.workspaceId, String(req.query.profile));
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: `Export profile ${req.query.profile} not found`,
+        message: 'List available profiles with GET /api/export-profiles'
+      });
+    }
+    columns = exportProfiles.profileColumns(profile.profile);
+  } else {
+    const parsed = parseExportColumns(req.query.columns, leads);
+    if (parsed.errors.length > 0) return invalidQuery(res, parsed.errors);
+    columns = parsed.columns;
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `${profile ? `${profile.id}_` : ''}lead_scores_${timestamp}.${format}`;
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('X-Results-Id', results.id);
+
+  await streamExport(res, leads, { format, columns });
+  console.log(`📋 ${format.toUpperCase()} export streamed: ${leads.length} leads from results ${results.id}`);
+}
+
+function exportFailed(res, error) {
+  if (isStreamClosed(error)) {
+    console.log('📋 Export stopped: the client disconnected');
+    return;
+  }
+
+  console.error('Error exporting results:', error);
+  // Once streaming has started the status can't change; just end the response
+  if (res.headersSent) return res.end();
+
+  res.status(500).json({
+    success: false,
+    error: 'Failed to export results',
+    details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+  });
+}
+
+/**
+ * GET /api/results/export
+ * Export the latest results (Bonus feature)
+ *
+ * Query parameters (all optional):
+ *   format=csv|json|ndjson|xlsx   (default csv)
+ *   columns=name,score,linkedin_bio,ai_reasoning,details.rule_breakdown,custom_fields.deal_stage
+ *   profile=hubspot|salesforce|<saved profile id> - CRM import layout (instead of columns)
+ *   plus the filters and sort of GET /api/results (intent, min_score, industry, sort, ...)
+ */
+router.get('/results/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const results = req.dataStore.getLatestResults();
+    
+    if (!results) {
+      return res.status(404).json({
+        success: false,
+        error: 'No results available to export',
+        message: 'Please run scoring using POST /api/score first'
+      });
+    }
+
+    await sendExport(req, res, results);
+
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+/**
+ * GET /api/results/:id/export
+ * Export a specific scoring run (same parameters as GET /api/results/export)
+ */
+router.get('/results/:id/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const results = req.dataStore.getResults(req.params.id);
+    if (!results) return notFound(res, req.params.id);
+
+    await sendExport(req, res, results);
+
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+/**
+ * GET /api/results/runs
+ * List past scoring runs (most recent first) with ?limit=20&offset=0
+ */
+router.get('/results/runs', requireRole('viewer'), (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_RUNS_PAGE_SIZE;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_RUNS_PAGE_SIZE}`
+      });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'offset must be a non-negative integer'
+      });
+    }
+
+    const runs = req.dataStore.listResults();
+    const page = runs.slice(offset, offset + limit).map(results => ({
+      id: results.id,
+      offer_id: results.offerId,
+      offer_ids: resultsOfferIds(results),
+      leads_id: results.leadsId,
+      total_leads: results.count,
+      scored_at: results.scoredAt,
+      scoring_config: results.scoringConfig,
+      prompt_templates: results.promptTemplates || null,
+      experiment_id: results.experiment ? results.experiment.id : null,
+      summary: results.data.length > 0 ? calculateSummaryStats(results.data) : null
+    }));
+
+    res.json({
+      success: true,
+      data: page,
+      meta: {
+        total: runs.length,
+        limit,
+        offset,
+        has_more: offset + limit < runs.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing scoring runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scoring runs'
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id
+ * Return a specific scoring run (accepts the same query parameters as GET /api/results)
+ */
+router.get('/results/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const query = parseResultsQuery(req.query);
+    if (!query.isValid) return invalidQuery(res, query.errors);
+
+    if (query.options.cursor && query.options.cursor.resultsId !== req.params.id) {
+      return invalidQuery(res, ['cursor belongs to a different results run']);
+    }
+
+    const results = req.dataStore.getResults(req.params.id);
+    if (!results) return notFound(res, req.params.id);
+
+    res.json(buildResultsResponse(results, query.options));
+
+  } catch (error) {
+    console.error('Error retrieving results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve results'
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/diff/:otherId
+ * Show which leads changed intent or score between two runs
+ */
+router.get('/results/:id/diff/:otherId', requireRole('viewer'), (req, res) => {
+  try {
+    const base = req.dataStore.getResults(req.params.id);
+    if (!base) return notFound(res, req.params.id);
+
+    const other = req.dataStore.getResults(req.params.otherId);
+    if (!other) return notFound(res, req.params.otherId);
+
+    res.json({
+      success: true,
+      data: diffResults(base, other),
+      meta: {
+        base: { results_id: base.id, scored_at: base.scoredAt, total_leads: base.count },
+        other: { results_id: other.id, scored_at: other.scoredAt, total_leads: other.count }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error comparing results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare results',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/experiment
+ * Compare the variants of an A/B experiment run: agreement rates, intent
+ * distribution shifts and score deltas
+ */
+router.get('/results/:id/experiment', requireRole('viewer'), (req, res) => {
+  try {
+    const results = req.dataStore.getResults(req.params.id);
+    if (!results) return notFound(res, req.params.id);
+
+    if (!results.experiment) {
+      return res.status(404).json({
+        success: false,
+        error: `Scoring run ${req.params.id} has no experiment`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summarizeExperiment(results.data, results.experiment),
+      meta: {
+        results_id: results.id,
+        scored_at: results.scoredAt,
+        total_leads: results.count
+      }
+    });
+
+  } catch (error) {
+    console.error('Error reporting experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report experiment',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+/**
+ * Routes for configurable scoring rules
+ * GET /api/rules - Active rule set (or ?version=N)
+ * GET /api/rules/versions - Rule set version history
+ * PUT /api/rules - Save and activate a new rule set version
+ * POST /api/rules/activate - Roll back/forward to an existing version
+ */
+
+const express = require('express');
+const ruleSets = require('../utils/ruleSets');
+const { validateRuleSet, RULE_OPERATORS } = require('../utils/ruleEngine');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/rules
+ * Return the active rule set, or a specific version with ?version=N
+ */
+router.get('/rules', requireRole('viewer'), (req, res) => {
+  try {
+    const active = ruleSets.getActive(req.workspaceId);
+    const record = req.query.version !== undefined
+      ? ruleSets.getVersion(req.workspaceId, req.query.version)
+      : active;
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Rule set version ${req.query.version} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ruleSets.toPublic(record, active.version),
+      meta: {
+        operators: RULE_OPERATORS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve rules'
+    });
+  }
+});
+
+/**
+ * GET /api/rules/versions
+ * List stored rule set versions (most recent first)
+ */
+router.get('/rules/versions', requireRole('viewer'), (req, res) => {
+  try {
+    const activeVersion = ruleSets.getActive(req.workspaceId).version;
+    const versions = ruleSets.listVersions(req.workspaceId).map(record => ({
+      version: record.version,
+      name: record.ruleSet.name,
+      active: record.version === activeVersion,
+      created_at: record.createdAt
+    }));
+
+    res.json({
+      success: true,
+      data: versions,
+      meta: {
+        active_version: activeVersion
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing rule versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rule versions'
+    });
+  }
+});
+
+/**
+ * PUT /api/rules
+ * Validate a rule set and store it as a new active version
+ *
+ * Example payload:
+ * {
+ *   "name": "Fintech ICP",
+ *   "max_total": 50,
+ *   "groups": [
+ *     {
+ *       "id": "role", "label": "Role relevance", "mode": "first_match", "max_points": 25,
+ *       "rules": [
+ *         { "id": "exec", "label": "Executive", "points": 25,
+ *           "conditions": [{ "field": "role", "operator": "regex", "value": "^(ceo|cfo|cto)\\b" }] }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+router.put('/rules', requireRole('admin'), (req, res) => {
+  try {
+    const validation = validateRuleSet(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const record = ruleSets.saveVersion(req.workspaceId, req.body);
+
+    console.log(`📐 Rule set v${record.version} activated for workspace ${req.workspaceId}: ${record.ruleSet.name}`);
+
+    res.json({
+      success: true,
+      message: `Rule set saved as version ${record.version}`,
+      data: ruleSets.toPublic(record, record.version)
+    });
+
+  } catch (error) {
+    console.error('Error saving rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save rules',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/rules/activate
+ * Activate an existing version. Body: { "version": 2 } (0 restores the default rules)
+ */
+router.post('/rules/activate', requireRole('admin'), (req, res) => {
+  try {
+    const version = Number(req.body.version);
+
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a non-negative integer'
+      });
+    }
+
+    const record = ruleSets.activate(req.workspaceId, version);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: `Rule set version ${version} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rule set version ${record.version} activated`,
+      data: ruleSets.toPublic(record, record.version)
+    });
+
+  } catch (error) {
+    console.error('Error activating rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate rules'
+    });
+  }
+});
+
+module.exports = router;
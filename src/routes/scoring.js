@@ -1,29 +1,108 @@
 /**
- * Routes for lead scoring and results
- * POST /api/score - Run scoring pipeline
- * GET /api/results - Return scored results
- * GET /api/results/export - Export results as CSV
+ * Routes for lead scoring
+ * POST /api/score - Queue scoring pipeline as a background job
+ * POST /api/score/lead - Score a single lead synchronously
  */
 
 const express = require('express');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const path = require('path');
-const fs = require('fs');
-const dataStore = require('../utils/dataStore');
-const { calculateRuleScore } = require('../utils/ruleEngine');
-const aiScorer = require('../utils/aiScorer');
+const jobManager = require('../utils/jobManager');
+const { supportsBackgroundJobs } = require('../utils/jobManager');
+const ruleSets = require('../utils/ruleSets');
+const { scoreLead } = require('../utils/scoringPipeline');
+const { readJSONArray } = require('../utils/leadImport');
+const { buildColumnMap, rowToLead, parseColumnMapping } = require('../utils/leadColumns');
+const { validateLeadData } = require('../utils/leadValidation');
+const { resolveScoringConfig, validateScoringConfig } = require('../utils/scoringConfig');
+const { validateExperiment, resolveExperiment, summarizeExperiment } = require('../utils/experiments');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+const MAX_OFFERS_PER_RUN = 10;
+
+/**
+ * Look up the offers listed in "offer_ids"
+ * @returns {Object} { status, error, offers } (status is set when the request should fail)
+ */
+function resolveOfferIds(store, offerIds) {
+  if (!Array.isArray(offerIds) || offerIds.length === 0 || offerIds.length > MAX_OFFERS_PER_RUN ||
+    !offerIds.every(id => ['string', 'number'].includes(typeof id))) {
+    return { status: 400, error: `offer_ids must be an array of 1-${MAX_OFFERS_PER_RUN} offer ids` };
+  }
+
+  const ids = [...new Set(offerIds.map(String))];
+  const missing = ids.filter(id => !store.getOffer(id));
+  if (missing.length > 0) {
+    return { status: 404, error: `Offers not found: ${missing.join(', ')}` };
+  }
+
+  return { status: null, error: null, offers: ids.map(id => store.getOffer(id)) };
+}
+
+/**
+ * Normalize a lead object the same way JSON imports are
+ * (header synonyms, column_map, custom_fields)
+ * @returns {Object} { error, lead }
+ */
+function readSingleLead(value, columnMapping) {
+  const imported = readJSONArray([value]);
+  if (imported.records.length === 0) {
+    return { error: 'lead must be an object of lead fields', lead: null };
+  }
+
+  const columnMap = buildColumnMap(imported.headers, columnMapping);
+  if (Object.keys(columnMap.mapped).length === 0) {
+    return { error: `lead has no recognised fields (found: ${imported.headers.join(', ') || 'none'})`, lead: null };
+  }
+
+  return { error: null, lead: rowToLead(imported.records[0].values, columnMap) };
+}
+
 /**
  * POST /api/score
- * Run the complete scoring pipeline on uploaded leads
+ * Queue the scoring pipeline for the current leads as a background job.
+ * Returns 202 with a job id; poll GET /api/jobs/:id for progress.
+ * Pass ?wait=true to block until the job finishes (small batches only).
+ * On Vercel the request always waits, since work left running after the
+ * response may never finish.
+ *
+ * Optional body: { "scoring_config": { "ai_weight": 0.5, "thresholds": { "High": 60 } } }
+ * overrides the offer's scoring config for this run only.
+ *
+ * Pass "incremental": true (or ?incremental=true) to reuse the scores of
+ * leads that haven't changed since the last run of this batch with the same
+ * offer, rule set and scoring config; only new or edited leads are scored.
+ *
+ * Pass "offer_ids": ["<id>", "<id>"] to score against those offers instead of
+ * the current one. With several offers every lead is scored against each
+ * (one AI call per lead per offer); results carry the best offer's score plus
+ * an "offer_scores" matrix row and a "best_offer" recommendation.
+ *
+ * Pass "experiment" to compare two AI variants (prompt template and/or
+ * provider/model) on this run, e.g.
+ * { "mode": "shadow", "sample_rate": 0.2, "variants": { "b": { "prompt_template": "fintech" } } }
+ * (see utils/experiments). Not available with several offers or incremental runs;
+ * GET /api/results/:id/experiment reports the comparison.
  */
-router.post('/score', async (req, res) => {
+router.post('/score', requireRole('analyst'), async (req, res) => {
   try {
+    const body = req.body || {};
+    let offers;
+
+    if (body.offer_ids !== undefined) {
+      const resolved = resolveOfferIds(req.dataStore, body.offer_ids);
+      if (resolved.error) {
+        return res.status(resolved.status).json({
+          success: false,
+          error: resolved.error
+        });
+      }
+      offers = resolved.offers;
+    }
+
     // Check if we have both offer and leads data
-    const currentOffer = dataStore.getCurrentOffer();
-    const currentLeads = dataStore.getCurrentLeads();
+    const currentOffer = offers ? offers[0] : req.dataStore.getCurrentOffer();
+    const currentLeads = req.dataStore.getCurrentLeads();
 
     if (!currentOffer) {
       return res.status(400).json({
@@ -41,114 +120,114 @@ router.post('/score', async (req, res) => {
       });
     }
 
-    console.log(`🎯 Starting scoring pipeline for ${currentLeads.count} leads...`);
-
-    const scoredLeads = [];
-    const errors = [];
-
-    // Process each lead through the scoring pipeline
-    for (let i = 0; i < currentLeads.data.length; i++) {
-      const lead = currentLeads.data[i];
-      
-      try {
-        console.log(`Processing lead ${i + 1}/${currentLeads.data.length}: ${lead.name}`);
-
-        // Step 1: Calculate rule-based score (max 50 points)
-        const ruleScore = calculateRuleScore(lead, currentOffer);
-
-        // Step 2: Get AI-based score (max 50 points)
-        const aiScore = await aiScorer.scoreLeadWithAI(lead, currentOffer);
+    const runConfig = body.scoring_config;
+    if (runConfig !== undefined) {
+      // Checked against each offer's own config, since thresholds must stay ordered
+      const errors = [...new Set((offers || [currentOffer])
+        .flatMap(offer => validateScoringConfig(runConfig, offer.scoring_config).errors))];
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+    }
 
-        // Step 3: Calculate final score
-        const finalScore = Math.min(ruleScore.total + aiScore.aiPoints, 100);
+    const incremental = body.incremental === true || req.query.incremental === 'true';
+    let experiment = null;
 
-        // Step 4: Determine final intent level based on total score
-        let finalIntent = 'Low';
-        if (finalScore >= 70) {
-          finalIntent = 'High';
-        } else if (finalScore >= 40) {
-          finalIntent = 'Medium';
-        }
+    if (body.experiment !== undefined) {
+      const validation = validateExperiment(body.experiment);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
 
-        // Create comprehensive reasoning
-        const reasoning = buildReasoning(ruleScore, aiScore, finalScore);
-
-        const scoredLead = {
-          name: lead.name,
-          role: lead.role,
-          company: lead.company,
-          industry: lead.industry,
-          location: lead.location,
-          linkedin_bio: lead.linkedin_bio,
-          intent: finalIntent,
-          score: finalScore,
-          reasoning: reasoning,
-          breakdown: {
-            rule_score: ruleScore.total,
-            ai_score: aiScore.aiPoints,
-            final_score: finalScore
-          },
-          details: {
-            rule_breakdown: ruleScore.details,
-            ai_source: aiScore.source,
-            ai_reasoning: aiScore.reasoning
-          }
-        };
-
-        scoredLeads.push(scoredLead);
-
-      } catch (error) {
-        console.error(`Error scoring lead ${lead.name}:`, error);
-        errors.push({
-          lead: lead.name,
-          error: error.message
+      if ((offers && offers.length > 1) || incremental) {
+        return res.status(400).json({
+          success: false,
+          error: 'Experiments can only be run on single-offer, non-incremental scoring runs'
         });
+      }
 
-        // Add lead with error status
-        scoredLeads.push({
-          name: lead.name,
-          role: lead.role,
-          company: lead.company,
-          industry: lead.industry,
-          location: lead.location,
-          linkedin_bio: lead.linkedin_bio,
-          intent: 'Low',
-          score: 0,
-          reasoning: `Error during scoring: ${error.message}`,
-          breakdown: {
-            rule_score: 0,
-            ai_score: 0,
-            final_score: 0
-          },
-          details: {
-            error: true,
-            error_message: error.message
-          }
+      const resolved = resolveExperiment(req.workspaceId, currentOffer, body.experiment);
+      if (resolved.error) {
+        return res.status(resolved.status).json({
+          success: false,
+          error: resolved.error
         });
       }
+      experiment = resolved.experiment;
     }
 
-    // Store the results
-    const results = dataStore.setResults(scoredLeads);
+    const job = jobManager.createScoringJob({
+      store: req.dataStore,
+      offers: (offers || [currentOffer]).map(offer => ({
+        offer,
+        scoringConfig: resolveScoringConfig(offer.scoring_config, runConfig)
+      })),
+      leads: currentLeads,
+      ruleSet: ruleSets.getActive(req.workspaceId),
+      incremental,
+      experiment
+    });
 
-    console.log(`✅ Scoring completed for ${scoredLeads.length} leads`);
+    if (req.query.wait !== 'true' && supportsBackgroundJobs()) {
+      return res.status(202).json({
+        success: true,
+        message: 'Scoring job queued',
+        data: {
+          job_id: job.id,
+          status: job.status,
+          offer_ids: job.offer_ids,
+          total_leads: job.progress.total,
+          scoring_config: job.scoring_config,
+          incremental: job.incremental,
+          experiment: job.experiment
+        },
+        next_steps: {
+          check_status: `GET /api/jobs/${job.id}`,
+          cancel: `POST /api/jobs/${job.id}/cancel`,
+          view_results: 'GET /api/results'
+        }
+      });
+    }
+
+    const finishedJob = await jobManager.waitForJob(job.id);
+
+    if (finishedJob.status !== 'completed') {
+      return res.status(500).json({
+        success: false,
+        error: `Scoring job ${finishedJob.status}`,
+        data: finishedJob
+      });
+    }
 
-    // Calculate summary statistics
-    const summary = calculateSummaryStats(scoredLeads);
+    const results = req.dataStore.getResults(finishedJob.results_id);
 
     res.json({
       success: true,
       message: 'Lead scoring completed successfully',
       data: {
+        job_id: finishedJob.id,
         results_id: results.id,
-        total_leads: scoredLeads.length,
+        offer_ids: finishedJob.offer_ids,
+        total_leads: results.count,
         scored_at: results.scoredAt,
-        summary: summary,
-        preview: scoredLeads.slice(0, 3) // Show first 3 results as preview
+        scoring_config: results.scoringConfig,
+        summary: finishedJob.summary,
+        incremental: finishedJob.incremental,
+        ai_cache: finishedJob.ai_cache,
+        experiment: results.experiment ? summarizeExperiment(results.data, results.experiment) : null,
+        preview: results.data.slice(0, 3) // Show first 3 results as preview
       },
       processing: {
-        errors_count: errors.length,
-        errors: errors.length > 0 ? errors.slice(0, 5) : [] // Show first 5 errors
+        errors_count: finishedJob.progress.errors_count,
+        errors: finishedJob.errors
       },
       next_steps: {
         view_results: 'GET /api/results',
@@ -167,197 +246,104 @@ router.post('/score', async (req, res) => {
 });
 
 /**
- * GET /api/results
- * Return the latest scored results
+ * POST /api/score/lead
+ * Score one lead (e.g. a website form submission) and return it right away.
+ * Nothing is stored: the current batch and results history are untouched.
+ * Leads with validation errors are still scored, as in batch scoring; the
+ * problems are reported under "validation".
+ *
+ * Example payload:
+ * {
+ *   "lead": { "name": "Ava Patel", "role": "Head of Growth", "company": "FlowMetrics", ... },
+ *   "offer_id": "offers_1",        // optional, defaults to the current offer
+ *   "scoring_config": { ... },     // optional per-request override
+ *   "column_map": { "Job Title": "role" } // optional, for non-standard field names
+ * }
  */
-router.get('/results', (req, res) => {
+router.post('/score/lead', requireRole('analyst'), async (req, res) => {
   try {
-    const results = dataStore.getLatestResults();
-    
-    if (!results) {
-      return res.status(404).json({
+    const body = req.body || {};
+
+    const { error: mappingError, mapping } = parseColumnMapping(body.column_map);
+    if (mappingError) {
+      return res.status(400).json({
         success: false,
-        error: 'No results available',
-        message: 'Please run scoring using POST /api/score first'
+        error: 'Validation failed',
+        details: [mappingError]
       });
     }
 
-    const summary = calculateSummaryStats(results.data);
-
-    res.json({
-      success: true,
-      data: results.data,
-      meta: {
-        results_id: results.id,
-        total_leads: results.count,
-        scored_at: results.scoredAt,
-        summary: summary
-      }
-    });
-
-  } catch (error) {
-    console.error('Error retrieving results:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve results'
-    });
-  }
-});
-
-/**
- * GET /api/results/export
- * Export results as CSV file (Bonus feature)
- */
-router.get('/results/export', async (req, res) => {
-  try {
-    const results = dataStore.getLatestResults();
-    
-    if (!results) {
-      return res.status(404).json({
+    const { error: leadError, lead } = readSingleLead(body.lead, mapping);
+    if (leadError) {
+      return res.status(400).json({
         success: false,
-        error: 'No results available to export',
-        message: 'Please run scoring using POST /api/score first'
+        error: 'Validation failed',
+        details: [leadError]
       });
     }
 
-    // Create CSV file
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `lead_scores_${timestamp}.csv`;
-    const filepath = path.join(__dirname, '../../uploads', filename);
+    const offer = body.offer_id !== undefined
+      ? req.dataStore.getOffer(String(body.offer_id))
+      : req.dataStore.getCurrentOffer();
 
-    // Ensure uploads directory exists
-    const uploadDir = path.dirname(filepath);
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!offer) {
+      return body.offer_id !== undefined
+        ? res.status(404).json({
+          success: false,
+          error: `Offer ${body.offer_id} not found`
+        })
+        : res.status(400).json({
+          success: false,
+          error: 'No offer data available',
+          message: 'Please upload an offer using POST /api/offer first, or pass offer_id'
+        });
     }
 
-    const csvWriter = createCsvWriter({
-      path: filepath,
-      header: [
-        { id: 'name', title: 'Name' },
-        { id: 'role', title: 'Role' },
-        { id: 'company', title: 'Company' },
-        { id: 'industry', title: 'Industry' },
-        { id: 'location', title: 'Location' },
-        { id: 'intent', title: 'Intent' },
-        { id: 'score', title: 'Score' },
-        { id: 'rule_score', title: 'Rule Score' },
-        { id: 'ai_score', title: 'AI Score' },
-        { id: 'reasoning', title: 'Reasoning' }
-      ]
-    });
-
-    // Prepare data for CSV export
-    const csvData = results.data.map(lead => ({
-      name: lead.name,
-      role: lead.role,
-      company: lead.company,
-      industry: lead.industry,
-      location: lead.location,
-      intent: lead.intent,
-      score: lead.score,
-      rule_score: lead.breakdown?.rule_score || 0,
-      ai_score: lead.breakdown?.ai_score || 0,
-      reasoning: lead.reasoning
-    }));
-
-    await csvWriter.writeRecords(csvData);
-
-    console.log(`📋 CSV export created: ${filename}`);
-
-    // Send the file
-    res.download(filepath, filename, (err) => {
-      if (err) {
-        console.error('Error sending CSV file:', err);
-        res.status(500).json({
+    if (body.scoring_config !== undefined) {
+      const validation = validateScoringConfig(body.scoring_config, offer.scoring_config);
+      if (!validation.isValid) {
+        return res.status(400).json({
           success: false,
-          error: 'Failed to send CSV file'
+          error: 'Validation failed',
+          details: validation.errors
         });
       }
+    }
 
-      // Clean up the file after sending
-      setTimeout(() => {
-        fs.unlink(filepath, (unlinkErr) => {
-          if (unlinkErr) {
-            console.error('Error deleting CSV file:', unlinkErr);
-          }
-        });
-      }, 5000); // Delete after 5 seconds
+    const ruleSet = ruleSets.getActive(req.workspaceId);
+    const validation = validateLeadData(lead);
+    const scoredLead = await scoreLead(lead, offer, {
+      ruleSet,
+      scoringConfig: resolveScoringConfig(offer.scoring_config, body.scoring_config)
+    });
+
+    console.log(`⚡ Scored single lead ${scoredLead.name || '(unnamed)'}: ${scoredLead.intent} (${scoredLead.score})`);
+
+    res.json({
+      success: true,
+      message: 'Lead scored successfully',
+      data: scoredLead,
+      validation: {
+        is_valid: validation.isValid,
+        errors: validation.errors,
+        warnings: validation.warnings
+      },
+      meta: {
+        offer_id: offer.id,
+        rule_set_version: ruleSet.version,
+        ai_cache: scoredLead.details.ai_cache || null,
+        scored_at: new Date().toISOString()
+      }
     });
 
   } catch (error) {
-    console.error('Error exporting results:', error);
+    console.error('Error scoring single lead:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to export results as CSV',
+      error: 'Lead scoring failed',
       details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
   }
 });
 
-/**
- * Build comprehensive reasoning text
- */
-function buildReasoning(ruleScore, aiScore, finalScore) {
-  const parts = [];
-  
-  // Add rule-based reasoning
-  if (ruleScore.total > 0) {
-    parts.push(`Rule analysis: ${ruleScore.total}/50 points`);
-    if (ruleScore.details.length > 0) {
-      parts.push(`(${ruleScore.details.join(', ')})`);
-    }
-  }
-
-  // Add AI reasoning
-  if (aiScore.reasoning && aiScore.reasoning !== 'AI analysis completed') {
-    parts.push(`AI analysis: ${aiScore.reasoning}`);
-  }
-
-  // Add final assessment
-  if (finalScore >= 70) {
-    parts.push('High buying intent - strong fit and authority.');
-  } else if (finalScore >= 40) {
-    parts.push('Medium buying intent - some positive indicators.');
-  } else {
-    parts.push('Low buying intent - limited fit or authority.');
-  }
-
-  return parts.join(' ');
-}
-
-/**
- * Calculate summary statistics for results
- */
-function calculateSummaryStats(scoredLeads) {
-  const total = scoredLeads.length;
-  const highIntent = scoredLeads.filter(lead => lead.intent === 'High').length;
-  const mediumIntent = scoredLeads.filter(lead => lead.intent === 'Medium').length;
-  const lowIntent = scoredLeads.filter(lead => lead.intent === 'Low').length;
-
-  const scores = scoredLeads.map(lead => lead.score);
-  const avgScore = scores.reduce((sum, score) => sum + score, 0) / total;
-  const maxScore = Math.max(...scores);
-  const minScore = Math.min(...scores);
-
-  return {
-    total_leads: total,
-    intent_distribution: {
-      high: highIntent,
-      medium: mediumIntent,
-      low: lowIntent
-    },
-    intent_percentages: {
-      high: ((highIntent / total) * 100).toFixed(1) + '%',
-      medium: ((mediumIntent / total) * 100).toFixed(1) + '%',
-      low: ((lowIntent / total) * 100).toFixed(1) + '%'
-    },
-    score_stats: {
-      average: Math.round(avgScore),
-      maximum: maxScore,
-      minimum: minScore
-    }
-  };
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Routes for webhook subscriptions (admin only)
+ * POST /api/webhooks - Register a webhook
+ * GET /api/webhooks - List webhooks in the workspace
+ * GET /api/webhooks/:id - A single webhook
+ * DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+ * GET /api/webhooks/:id/deliveries - Delivery log (most recent first)
+ * POST /api/webhooks/:id/test - Send a webhook.test event and report the outcome
+ *
+ * Events: scoring.completed, lead.high_intent, upload.completed
+ */
+
+const express = require('express');
+const webhooks = require('../utils/webhooks');
+const { validateWebhook } = require('../utils/webhooks');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+function webhookNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Webhook not found'
+  });
+}
+
+/**
+ * POST /api/webhooks
+ * Register a webhook. The signing secret is only returned in this response.
+ *
+ * Example payload:
+ * {
+ *   "url": "https://hooks.example.com/lead-scoring",
+ *   "events": ["scoring.completed", "lead.high_intent"],
+ *   "description": "Notify SDR channel"
+ * }
+ */
+router.post('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const validation = validateWebhook(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { url, events, description } = req.body;
+    const webhook = webhooks.register({
+      workspaceId: req.workspaceId,
+      url,
+      events,
+      description: description !== undefined ? description.trim() : null
+    });
+
+    console.log(`🪝 Webhook ${webhook.id} registered for ${webhook.events.join(', ')} in workspace ${req.workspaceId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the secret now, it will not be shown again.',
+      data: webhook
+    });
+
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register webhook',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ */
+router.get('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: webhooks.list(req.workspaceId).map(record => webhooks.toPublic(record))
+    });
+
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const record = webhooks.get(req.workspaceId, req.params.id);
+    if (!record) return webhookNotFound(res);
+
+    res.json({
+      success: true,
+      data: webhooks.toPublic(record)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve webhook'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!webhooks.delete(req.workspaceId, req.params.id)) {
+      return webhookNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: `Webhook ${req.params.id} deleted`
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log with every attempt (status code, error, duration)
+ *
+ * Query parameters:
+ * - status: pending, succeeded, failed or interrupted
+ * - limit: Maximum deliveries to return (default 50)
+ */
+router.get('/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  try {
+    const record = webhooks.get(req.workspaceId, req.params.id);
+    if (!record) return webhookNotFound(res);
+
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 50);
+    const deliveries = webhooks.listDeliveries(record.id)
+      .filter(delivery => !req.query.status || delivery.status === req.query.status);
+
+    res.json({
+      success: true,
+      data: deliveries.slice(0, limit).map(delivery => webhooks.deliveryToPublic(delivery)),
+      meta: {
+        total: deliveries.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Deliver a webhook.test event once (no retries) and wait for the receiver
+ */
+router.post('/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const record = webhooks.get(req.workspaceId, req.params.id);
+    if (!record) return webhookNotFound(res);
+
+    const delivery = await webhooks.sendTest(record);
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      message: delivery.status === 'succeeded'
+        ? `Test event delivered (HTTP ${delivery.responseStatus})`
+        : `Test event failed: ${delivery.error}`,
+      data: webhooks.deliveryToPublic(delivery)
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test webhook',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
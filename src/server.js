@@ -9,10 +9,26 @@ require('dotenv').config();
 const offerRoutes = require('./routes/offer');
 const leadsRoutes = require('./routes/leads');
 const scoringRoutes = require('./routes/scoring');
+const resultsRoutes = require('./routes/results');
+const keysRoutes = require('./routes/keys');
+const jobsRoutes = require('./routes/jobs');
+const rulesRoutes = require('./routes/rules');
+const promptsRoutes = require('./routes/prompts');
+const exportProfilesRoutes = require('./routes/exportProfiles');
+const webhooksRoutes = require('./routes/webhooks');
+const aiCacheRoutes = require('./routes/aiCache');
+const { authenticate, checkAuthConfig } = require('./middleware/auth');
+const { resolveWorkspace } = require('./middleware/workspace');
+const aiScorer = require('./utils/aiScorer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const authWarning = checkAuthConfig();
+if (authWarning) {
+  console.warn(`⚠️  ${authWarning}`);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -47,14 +63,27 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    ai: aiScorer.getStatus()
   });
 });
 
+// Authentication and workspace scoping for all API routes
+app.use('/api', authenticate);
+app.use('/api', resolveWorkspace);
+
 // API routes
 app.use('/api', offerRoutes);
 app.use('/api', leadsRoutes);
 app.use('/api', scoringRoutes);
+app.use('/api', resultsRoutes);
+app.use('/api', jobsRoutes);
+app.use('/api', rulesRoutes);
+app.use('/api', promptsRoutes);
+app.use('/api', exportProfilesRoutes);
+app.use('/api', webhooksRoutes);
+app.use('/api', aiCacheRoutes);
+app.use('/api', keysRoutes);
 
 // Root endpoint with API documentation
 app.get('/', (req, res) => {
@@ -65,9 +94,36 @@ app.get('/', (req, res) => {
     endpoints: {
       'POST /api/offer': 'Accept product/offer details',
       'POST /api/leads/upload': 'Upload CSV file with lead data',
-      'POST /api/score': 'Run scoring pipeline on uploaded leads',
+      'POST /api/leads': 'Import leads as JSON, NDJSON or XLSX',
+      'POST /api/leads/:batchId/append': 'Append leads to an existing batch',
+      'PATCH /api/leads/:leadId': 'Edit a single lead',
+      'DELETE /api/leads/:leadId': 'Remove a single lead',
+      'GET /api/leads/:batchId/validation': 'Full lead validation report (JSON or CSV)',
+      'POST /api/score': 'Queue scoring job for uploaded leads',
+      'POST /api/score/lead': 'Score a single lead synchronously',
+      'GET /api/jobs/:id': 'Scoring job status, progress and ETA',
+      'POST /api/jobs/:id/cancel': 'Cancel a running scoring job',
       'GET /api/results': 'Retrieve scored leads with reasoning',
-      'GET /api/results/export': 'Export results as CSV (bonus)',
+      'GET /api/results/export': 'Export results as CSV, JSON, NDJSON or XLSX',
+      'GET /api/results/:id/export': 'Export a specific scoring run',
+      'GET /api/export-profiles': 'CRM export profiles (HubSpot, Salesforce, custom)',
+      'PUT /api/export-profiles/:id': 'Save a custom export profile (admin)',
+      'GET /api/results/runs': 'History of scoring runs',
+      'GET /api/results/:id': 'Retrieve a specific scoring run',
+      'GET /api/results/:id/diff/:otherId': 'Compare two scoring runs',
+      'GET /api/results/:id/experiment': 'Prompt/model A/B experiment report for a scoring run',
+      'GET /api/rules': 'Active scoring rule set',
+      'PUT /api/rules': 'Save and activate a new rule set version (admin)',
+      'GET /api/prompts': 'AI prompt templates (latest version of each)',
+      'POST /api/prompts': 'Save a new prompt template version (admin)',
+      'POST /api/webhooks': 'Register a webhook for scoring and upload events (admin)',
+      'GET /api/webhooks/:id/deliveries': 'Webhook delivery log (admin)',
+      'POST /api/webhooks/:id/test': 'Send a signed test event to a webhook (admin)',
+      'GET /api/ai-cache': 'AI response cache size and hit/miss counts (admin)',
+      'DELETE /api/ai-cache': 'Purge cached AI responses (admin)',
+      'POST /api/keys': 'Issue an API key (admin)',
+      'GET /api/keys': 'List API keys (admin)',
+      'DELETE /api/keys/:id': 'Revoke an API key (admin)',
       'GET /health': 'Health check endpoint'
     },
     documentation: 'See README.md for detailed usage instructions'
@@ -109,7 +165,8 @@ app.use('*', (req, res) => {
     availableEndpoints: {
       'POST /api/offer': 'Accept product/offer details',
       'POST /api/leads/upload': 'Upload CSV file with lead data',
-      'POST /api/score': 'Run scoring pipeline on uploaded leads',
+      'POST /api/score': 'Queue scoring job for uploaded leads',
+      'GET /api/jobs/:id': 'Scoring job status, progress and ETA',
       'GET /api/results': 'Retrieve scored leads with reasoning'
     }
   });
@@ -0,0 +1,222 @@
+/**
+ * AI response cache
+ * Successful AI classifications are stored under a hash of the lead fields,
+ * the offer fields, the prompt template text, the prompt version and the
+ * provider/model, so scoring an unchanged lead again doesn't call the
+ * provider. Entries expire after AI_CACHE_TTL_SECONDS.
+ *
+ * The cache has its own storage adapter. It follows STORAGE_DRIVER unless
+ * AI_CACHE_DRIVER is set; the file driver writes to AI_CACHE_FILE in
+ * batches. At most AI_CACHE_MAX_ENTRIES are kept (oldest evicted first).
+ *
+ * The cache is best effort: a storage error is logged and treated as a miss,
+ * so a read-only filesystem never fails scoring.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createStorageAdapter } = require('./storage');
+const { STANDARD_FIELDS } = require('./leadColumns');
+const { readIntEnv } = require('./scoringExecutor');
+
+const COLLECTION = 'aiResponses';
+const DEFAULT_CACHE_FILE = path.join(__dirname, '../../data/ai-cache.json');
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 10000;
+const FILE_FLUSH_DELAY_MS = 1000;
+// Offer fields that never reach the prompt (a pinned template is keyed by its text instead)
+const IGNORED_OFFER_FIELDS = ['id', 'workspaceId', 'createdAt', 'scoring_config', 'prompt_template'];
+
+/**
+ * Sort object keys recursively so equal content always serializes the same way
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonical(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+class AICache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - Storage adapter; by default one is created on first
+   *   use from AI_CACHE_DRIVER (or STORAGE_DRIVER) and AI_CACHE_FILE
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || null;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.lastError = null;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = createStorageAdapter({
+        driver: process.env.AI_CACHE_DRIVER || process.env.STORAGE_DRIVER || 'memory',
+        filePath: process.env.AI_CACHE_FILE || DEFAULT_CACHE_FILE,
+        flushDelayMs: FILE_FLUSH_DELAY_MS
+      });
+    }
+    return this.adapter;
+  }
+
+  maxEntries() {
+    return readIntEnv('AI_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES);
+  }
+
+  /**
+   * Log a storage failure (once per distinct message) and keep going
+   */
+  recordError(action, error) {
+    this.errors++;
+    if (error.message !== this.lastError) {
+      console.warn(`⚠️  AI cache ${action} failed, continuing without the cache: ${error.message}`);
+    }
+    this.lastError = error.message;
+  }
+
+  ttlSeconds() {
+    return readIntEnv('AI_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS);
+  }
+
+  isEnabled() {
+    return process.env.AI_CACHE_ENABLED !== 'false' && this.ttlSeconds() > 0;
+  }
+
+  /**
+   * Cache key for one classification
+   * @param {Object} options - { lead, offer, template, promptVersion, provider, model }
+   *   where template is the prompt template text
+   * @returns {string} Hex SHA-256
+   */
+  buildKey({ lead, offer, template = null, promptVersion, provider, model }) {
+    const offerFields = Object.fromEntries(
+      Object.entries(offer || {}).filter(([key]) => !IGNORED_OFFER_FIELDS.includes(key))
+    );
+    const content = canonical({
+      lead: {
+        ...Object.fromEntries(STANDARD_FIELDS.map(field => [field, lead[field] || ''])),
+        custom_fields: lead.custom_fields || {}
+      },
+      offer: offerFields,
+      template,
+      prompt_version: promptVersion,
+      provider,
+      model
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Look up a cached result (expired entries are dropped)
+   * @returns {Object|null} Null on a miss or a storage error
+   */
+  get(key) {
+    try {
+      const entry = this.getAdapter().get(COLLECTION, key);
+      if (entry && new Date(entry.expiresAt) > new Date()) {
+        this.hits++;
+        return entry.value;
+      }
+
+      if (entry) this.getAdapter().delete(COLLECTION, key);
+    } catch (error) {
+      this.recordError('read', error);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * @param {string} key - From buildKey
+   * @param {Object} value - AI scoring result
+   * @param {Object} meta - { promptVersion, promptTemplate, provider, model }, kept for inspection
+   */
+  set(key, value, meta = {}) {
+    const now = Date.now();
+    try {
+      const adapter = this.getAdapter();
+      adapter.set(COLLECTION, key, {
+        key,
+        value,
+        ...meta,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlSeconds() * 1000).toISOString()
+      });
+
+      if (adapter.count(COLLECTION) > this.maxEntries()) this.evict();
+    } catch (error) {
+      this.recordError('write', error);
+    }
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones, down to 90% of AI_CACHE_MAX_ENTRIES
+   * (evicting in bulk keeps this off the path of most writes)
+   */
+  evict() {
+    const now = new Date();
+    const target = Math.floor(this.maxEntries() * 0.9);
+    const entries = this.getAdapter().list(COLLECTION);
+    const expired = entries.filter(entry => new Date(entry.expiresAt) <= now);
+    const live = entries
+      .filter(entry => new Date(entry.expiresAt) > now)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const removals = [...expired, ...live].slice(0, Math.max(0, entries.length - target));
+    for (const entry of removals) this.getAdapter().delete(COLLECTION, entry.key);
+  }
+
+  /**
+   * Remove cached responses
+   * @param {Object} options - { expiredOnly }
+   * @returns {number} Entries removed
+   */
+  purge({ expiredOnly = false } = {}) {
+    const now = new Date();
+    const entries = this.getAdapter().list(COLLECTION)
+      .filter(entry => !expiredOnly || new Date(entry.expiresAt) <= now);
+
+    if (!expiredOnly) {
+      this.getAdapter().clear(COLLECTION);
+    } else {
+      for (const entry of entries) this.getAdapter().delete(COLLECTION, entry.key);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Entry counts and hit/miss totals since the process started
+   */
+  getStats() {
+    const now = new Date();
+    const entries = this.getAdapter().list(COLLECTION);
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      storage: this.getAdapter().name,
+      ttl_seconds: this.ttlSeconds(),
+      entries: entries.length,
+      max_entries: this.maxEntries(),
+      expired_entries: entries.filter(entry => new Date(entry.expiresAt) <= now).length,
+      hits: this.hits,
+      misses: this.misses,
+      errors: this.errors,
+      hit_rate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+// Export singleton instance
+const aiCache = new AICache();
+module.exports = aiCache;
+module.exports.AICache = AICache;
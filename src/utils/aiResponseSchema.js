@@ -0,0 +1,134 @@
+/**
+ * Schema for structured AI classification responses
+ * The model is asked for a single JSON object; this module extracts it from
+ * the raw text and validates/normalizes it.
+ */
+
+const INTENTS = ['High', 'Medium', 'Low'];
+const MAX_REASONING_LENGTH = 1000;
+const MAX_SIGNALS = 10;
+
+/**
+ * JSON shape shown to the model in the prompt
+ */
+const AI_RESPONSE_SCHEMA = `{
+  "intent": "High" | "Medium" | "Low",
+  "confidence": number between 0 and 1,
+  "reasoning": "1-2 sentences explaining your classification",
+  "signals": {
+    "pain_points": ["short phrases"],
+    "buying_triggers": ["short phrases"]
+  }
+}`;
+
+/**
+ * Pull the JSON object out of a model response
+ * Handles markdown code fences and leading/trailing prose.
+ * @returns {Object|null} Parsed value, or null if no JSON object was found
+ */
+function extractJSON(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+function validateStringList(value, field, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+  if (!value.every(item => typeof item === 'string')) {
+    errors.push(`${field} must only contain strings`);
+    return [];
+  }
+  return value.map(item => item.trim()).filter(Boolean).slice(0, MAX_SIGNALS);
+}
+
+/**
+ * Validate a parsed AI response against the schema
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { isValid, errors, value } where value is the normalized response
+ */
+function validateAIResponse(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { isValid: false, errors: ['Response must be a JSON object'], value: null };
+  }
+
+  let intent = null;
+  if (typeof data.intent !== 'string') {
+    errors.push('intent is required');
+  } else {
+    intent = INTENTS.find(level => level.toLowerCase() === data.intent.trim().toLowerCase()) || null;
+    if (!intent) {
+      errors.push(`intent must be one of: ${INTENTS.join(', ')}`);
+    }
+  }
+
+  if (typeof data.confidence !== 'number' || Number.isNaN(data.confidence) ||
+      data.confidence < 0 || data.confidence > 1) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+
+  if (typeof data.reasoning !== 'string' || data.reasoning.trim().length === 0) {
+    errors.push('reasoning must be a non-empty string');
+  } else if (data.reasoning.length > MAX_REASONING_LENGTH) {
+    errors.push(`reasoning must be at most ${MAX_REASONING_LENGTH} characters`);
+  }
+
+  let signals = { pain_points: [], buying_triggers: [] };
+  if (!data.signals || typeof data.signals !== 'object' || Array.isArray(data.signals)) {
+    errors.push('signals must be an object with pain_points and buying_triggers');
+  } else {
+    signals = {
+      pain_points: validateStringList(data.signals.pain_points, 'signals.pain_points', errors),
+      buying_triggers: validateStringList(data.signals.buying_triggers, 'signals.buying_triggers', errors)
+    };
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, value: null };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    value: {
+      intent,
+      confidence: data.confidence,
+      reasoning: data.reasoning.trim(),
+      signals
+    }
+  };
+}
+
+/**
+ * Extract and validate a raw model response in one step
+ */
+function parseStructuredResponse(text) {
+  const data = extractJSON(text);
+  if (data === null) {
+    return { isValid: false, errors: ['Response did not contain a JSON object'], value: null };
+  }
+  return validateAIResponse(data);
+}
+
+module.exports = {
+  AI_RESPONSE_SCHEMA,
+  INTENTS,
+  extractJSON,
+  validateAIResponse,
+  parseStructuredResponse
+};
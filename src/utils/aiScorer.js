@@ -1,136 +1,199 @@
 /**
  * AI integration module for lead intent classification
- * Supports Gemini (Google AI) models with fallback options
+ * Delegates to a pluggable provider (Gemini, OpenAI or a local mock) and
+ * falls back to heuristic scoring when no provider is available.
  */
 
+const { createProvider } = require('./providers');
+const { withRetry, getRateLimiter } = require('./scoringExecutor');
+const { parseStructuredResponse } = require('./aiResponseSchema');
+const { DEFAULT_PROMPT_TEMPLATE, renderPromptTemplate } = require('./promptTemplates');
+const aiCache = require('./aiCache');
 
-// Gemini API integration (Google AI)
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+// Bump whenever template rendering changes in a way that could change answers (invalidates the AI cache)
+const PROMPT_VERSION = '1';
 
 class AIScorer {
   constructor() {
-    this.gemini = null;
+    this.provider = null;
     this.isConfigured = false;
     this.init();
   }
 
-  init() {
+  /**
+   * (Re)configure the AI provider
+   * @param {Object} options - Provider/model overrides (defaults come from env)
+   */
+  init(options = {}) {
     try {
-      if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-        this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.isConfigured = true;
-        console.log('✅ Gemini AI configured successfully');
+      this.provider = createProvider(options);
+      this.isConfigured = !!this.provider;
+
+      if (this.isConfigured) {
+        console.log(`✅ AI provider configured: ${this.provider.name} (${this.provider.model})`);
       } else {
-        console.log('⚠️  Gemini API key not configured - using fallback logic');
+        console.log('⚠️  No AI provider configured - using fallback logic');
       }
     } catch (error) {
-      console.error('❌ Error initializing Gemini AI:', error.message);
+      console.error('❌ Error initializing AI provider:', error.message);
+      this.provider = null;
       this.isConfigured = false;
     }
   }
 
   /**
    * Score a lead using AI reasoning
+   * Results for the same lead and offer content, prompt template, prompt
+   * version and model come from the AI cache while they are fresh
+   * (`cache: "hit"`); other provider calls report `cache: "miss"`.
    * @param {Object} lead - Lead data
    * @param {Object} offer - Product/offer data
-   * @returns {Promise<Object>} AI scoring result
+   * @param {Object} promptTemplate - Template record to prompt with (see utils/promptTemplates);
+   *   defaults to the built-in prompt
+   * @param {Object} provider - Provider to ask instead of the configured one (used by experiments)
+   * @returns {Promise<Object>} AI scoring result (including `attempts`, and `prompt`
+   *   { name, version } when a provider was asked)
    */
-  async scoreLeadWithAI(lead, offer) {
-    if (!this.isConfigured) {
-      return this.getFallbackScore(lead, offer);
+  async scoreLeadWithAI(lead, offer, promptTemplate = null, provider = null) {
+    provider = provider || this.provider;
+    if (!provider) {
+      return { ...this.getFallbackScore(lead, offer), attempts: 0 };
+    }
+
+    const template = promptTemplate || { name: 'default', version: 0, template: DEFAULT_PROMPT_TEMPLATE };
+    const prompt = { name: template.name, version: template.version };
+
+    if (!aiCache.isEnabled()) {
+      return { ...(await this.requestAIScore(lead, offer, template.template, provider)), prompt };
+    }
+
+    const cacheMeta = {
+      promptVersion: PROMPT_VERSION,
+      promptTemplate: `${template.name}@${template.version}`,
+      provider: provider.name,
+      model: provider.model
+    };
+    const cacheKey = aiCache.buildKey({ lead, offer, template: template.template, ...cacheMeta });
+    const cached = aiCache.get(cacheKey);
+    if (cached) {
+      return { ...cached, attempts: 0, cache: 'hit', prompt };
+    }
+
+    const result = await this.requestAIScore(lead, offer, template.template, provider);
+    // Fallback scores stand in for a failed call, so they aren't cached
+    if (!result.parse_failed && !result.ai_error) {
+      const { attempts, repaired, ...value } = result;
+      aiCache.set(cacheKey, value, cacheMeta);
     }
+    return { ...result, cache: 'miss', prompt };
+  }
+
+  /**
+   * Ask the provider to classify a lead
+   * Transient API errors are retried with exponential backoff, and every
+   * request waits for a slot in the provider's requests-per-minute budget.
+   * Responses that don't match the JSON schema get one repair re-ask; if that
+   * also fails the heuristic fallback is used and `parse_failed` is set.
+   */
+  async requestAIScore(lead, offer, template, provider = this.provider) {
+    const prompt = this.buildPrompt(lead, offer, template);
+    let attempts = 0;
 
     try {
-      const prompt = this.buildPrompt(lead, offer);
-      const model = this.gemini.getGenerativeModel({ model: 'gemini-pro' });
-      const result = await model.generateContent(prompt);
-      const aiResponse = result.response.text();
-      return this.parseAIResponse(aiResponse);
+      const first = await this.requestCompletion(prompt, provider, { lead });
+      attempts += first.attempts;
+
+      let parsed = this.parseAIResponse(first.value, provider);
+      let repaired = false;
+
+      if (!parsed.isValid) {
+        console.log(`⚠️  Invalid AI response for ${lead.name || 'lead'} (${parsed.errors.join('; ')}) - asking for a repair`);
+
+        const repair = await this.requestCompletion(this.buildRepairPrompt(prompt, first.value, parsed.errors), provider, { lead });
+        attempts += repair.attempts;
+        parsed = this.parseAIResponse(repair.value, provider);
+        repaired = true;
+      }
+
+      if (!parsed.isValid) {
+        console.error(`AI response for ${lead.name || 'lead'} failed schema validation after repair:`, parsed.errors.join('; '));
+        return {
+          ...this.getFallbackScore(lead, offer),
+          attempts,
+          parse_failed: true,
+          parse_errors: parsed.errors
+        };
+      }
+
+      return { ...parsed.result, attempts, repaired };
     } catch (error) {
-      console.error('Error calling Gemini API:', error.message);
-      return this.getFallbackScore(lead, offer);
+      attempts += error.attempts || 1;
+      console.error(`Error calling ${provider.name} API after ${attempts} attempt(s):`, error.message);
+      return {
+        ...this.getFallbackScore(lead, offer),
+        attempts,
+        ai_error: error.message
+      };
     }
   }
 
+  /**
+   * Send a prompt to the provider with rate limiting and retries
+   * @param {Object} context - { lead } the prompt was built for
+   * @returns {Promise<{value: string, attempts: number}>}
+   */
+  requestCompletion(prompt, provider = this.provider, context = {}) {
+    const rateLimiter = getRateLimiter(provider.name);
+    return withRetry(() => rateLimiter.schedule(() => provider.generate(prompt, context)));
+  }
+
   /**
    * Build the prompt for AI classification
+   * @param {Object} lead - Lead data
+   * @param {Object} offer - Product/offer data
+   * @param {string} template - Prompt template text (defaults to the built-in prompt)
    */
-  buildPrompt(lead, offer) {
-    const offerDetails = offer ? `
-Product/Offer: ${offer.name}
-Value Props: ${offer.value_props ? offer.value_props.join(', ') : 'Not specified'}
-Ideal Use Cases: ${offer.ideal_use_cases ? offer.ideal_use_cases.join(', ') : 'Not specified'}
-` : 'No product/offer details provided';
-
-    const leadDetails = `
-Prospect Profile:
-- Name: ${lead.name || 'Not provided'}
-- Role: ${lead.role || 'Not provided'}
-- Company: ${lead.company || 'Not provided'}
-- Industry: ${lead.industry || 'Not provided'}
-- Location: ${lead.location || 'Not provided'}
-- LinkedIn Bio: ${lead.linkedin_bio || 'Not provided'}
-`;
-
-    return `${offerDetails}
-
-${leadDetails}
-
-Based on the prospect's profile and the product offering, classify their buying intent as High, Medium, or Low.
-
-Consider:
-- Role authority and decision-making power
-- Industry fit with the product
-- Company stage and likely needs
-- Geographic relevance
-- Profile completeness and engagement indicators
-
-Respond in this exact format:
-Intent: [High/Medium/Low]
-Reasoning: [1-2 sentences explaining your classification]
-
-Example response:
-Intent: High
-Reasoning: VP of Sales at a mid-market SaaS company fits perfectly with the ICP, has decision-making authority, and the AI automation directly addresses sales productivity challenges.`;
+  buildPrompt(lead, offer, template = DEFAULT_PROMPT_TEMPLATE) {
+    return renderPromptTemplate(template, lead, offer);
   }
 
   /**
-   * Parse AI response and extract intent/reasoning
+   * Build a follow-up prompt asking the model to fix an invalid response
    */
-  parseAIResponse(aiResponse) {
-    if (!aiResponse) {
-      return this.getFallbackScore();
-    }
+  buildRepairPrompt(originalPrompt, invalidResponse, errors) {
+    return `${originalPrompt}
 
-    try {
-      const lines = aiResponse.trim().split('\n');
-      let intent = 'Medium';
-      let reasoning = 'AI analysis completed';
-
-      for (const line of lines) {
-        if (line.toLowerCase().startsWith('intent:')) {
-          const intentMatch = line.match(/intent:\s*(high|medium|low)/i);
-          if (intentMatch) {
-            intent = intentMatch[1].charAt(0).toUpperCase() + intentMatch[1].slice(1).toLowerCase();
-          }
-        } else if (line.toLowerCase().startsWith('reasoning:')) {
-          reasoning = line.replace(/reasoning:\s*/i, '').trim();
-        }
-      }
+Your previous response was:
+${invalidResponse || '(empty)'}
 
-      const aiPoints = this.intentToPoints(intent);
+It is invalid: ${errors.join('; ')}.
+Respond again with ONLY a JSON object matching the schema above - no markdown, no extra text.`;
+  }
 
-      return {
+  /**
+   * Parse and validate a raw AI response
+   * @returns {Object} { isValid, errors, result } where result is the scored output
+   */
+  parseAIResponse(aiResponse, provider = this.provider) {
+    const parsed = parseStructuredResponse(aiResponse);
+    if (!parsed.isValid) {
+      return { isValid: false, errors: parsed.errors, result: null };
+    }
+
+    const { intent, confidence, reasoning, signals } = parsed.value;
+
+    return {
+      isValid: true,
+      errors: [],
+      result: {
         intent,
+        confidence,
         reasoning,
-        aiPoints,
-        source: 'gemini'
-      };
-
-    } catch (error) {
-      console.error('Error parsing AI response:', error.message);
-      return this.getFallbackScore();
-    }
+        signals,
+        aiPoints: this.intentToPoints(intent),
+        source: provider ? provider.name : 'fallback'
+      }
+    };
   }
 
   /**
@@ -207,22 +270,24 @@ Reasoning: VP of Sales at a mid-market SaaS company fits perfectly with the ICP,
     if (!this.isConfigured) {
       return {
         success: false,
-        message: 'Gemini not configured'
+        message: 'No AI provider configured'
       };
     }
 
     try {
-      const model = this.gemini.getGenerativeModel({ model: 'gemini-pro' });
-      await model.generateContent('Hello');
+      await this.provider.generate('Hello');
       return {
         success: true,
-        message: 'Gemini connection successful',
-        model: 'gemini-pro'
+        message: `${this.provider.name} connection successful`,
+        provider: this.provider.name,
+        model: this.provider.model
       };
     } catch (error) {
       return {
         success: false,
-        message: `Gemini connection failed: ${error.message}`
+        message: `${this.provider.name} connection failed: ${error.message}`,
+        provider: this.provider.name,
+        model: this.provider.model
       };
     }
   }
@@ -233,12 +298,13 @@ Reasoning: VP of Sales at a mid-market SaaS company fits perfectly with the ICP,
   getStatus() {
     return {
       configured: this.isConfigured,
-      provider: this.isConfigured ? 'gemini' : 'fallback',
-      model: this.isConfigured ? 'gemini-pro' : 'heuristic-based'
+      provider: this.isConfigured ? this.provider.name : 'fallback',
+      model: this.isConfigured ? this.provider.model : 'heuristic-based'
     };
   }
 }
 
 // Export singleton instance
 const aiScorer = new AIScorer();
-module.exports = aiScorer;
\ No newline at end of file
+module.exports = aiScorer;
+module.exports.PROMPT_VERSION = PROMPT_VERSION;
\ No newline at end of file
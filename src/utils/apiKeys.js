@@ -0,0 +1,133 @@
+/**
+ * API key management
+ * Keys are stored hashed (SHA-256) in the "apiKeys" collection; the plaintext
+ * key is only returned once, when it is issued.
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'analyst', 'admin'];
+const KEY_PREFIX = 'lsk_';
+// lastUsedAt is only rewritten when it is older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Issue a new API key
+   * @param {Object} options
+   * @param {string} options.name - Human readable label
+   * @param {string} options.role - One of ROLES
+   * @param {string|null} options.workspaceId - Workspace the key is bound to (null = all workspaces)
+   * @returns {Object} Stored key record plus the plaintext `key`
+   */
+  issueKey({ name, role, workspaceId = null }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      role,
+      workspaceId,
+      keyHash: this.hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.adapter.set('apiKeys', record.id, record);
+    return { ...this.toPublic(record), key };
+  }
+
+  /**
+   * Look up an active key record by its plaintext value
+   */
+  findByKey(key) {
+    if (!key) return null;
+
+    const keyHash = this.hashKey(key);
+    const record = this.adapter.list('apiKeys').find(candidate => candidate.keyHash === keyHash);
+    if (!record || record.revokedAt) return null;
+
+    return record;
+  }
+
+  /**
+   * Record that a key was used (at most once per TOUCH_INTERVAL_MS, so
+   * authenticated requests don't each write to storage)
+   */
+  touch(record, now = Date.now()) {
+    if (record.lastUsedAt && now - Date.parse(record.lastUsedAt) < TOUCH_INTERVAL_MS) return false;
+
+    record.lastUsedAt = new Date(now).toISOString();
+    this.adapter.set('apiKeys', record.id, record);
+    return true;
+  }
+
+  /**
+   * Number of keys that have not been revoked
+   */
+  countActive() {
+    return this.adapter.list('apiKeys').filter(record => !record.revokedAt).length;
+  }
+
+  listKeys(workspaceId = null) {
+    return this.adapter.list('apiKeys')
+      .filter(record => !workspaceId || record.workspaceId === workspaceId)
+      .map(record => this.toPublic(record));
+  }
+
+  getKey(id) {
+    return this.adapter.get('apiKeys', id);
+  }
+
+  revokeKey(id) {
+    const record = this.adapter.get('apiKeys', id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.adapter.set('apiKeys', id, record);
+    }
+    return this.toPublic(record);
+  }
+
+  /**
+   * Strip the key hash before returning a record to clients
+   */
+  toPublic(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+}
+
+/**
+ * Check whether a role grants at least the required role's permissions
+ */
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+// Export singleton instance sharing the data store's adapter
+const apiKeys = new ApiKeyManager(dataStore.adapter);
+module.exports = apiKeys;
+module.exports.ApiKeyManager = ApiKeyManager;
+module.exports.ROLES = ROLES;
+module.exports.TOUCH_INTERVAL_MS = TOUCH_INTERVAL_MS;
+module.exports.hasRole = hasRole;
@@ -1,104 +1,280 @@
 /**
- * In-memory data store for the lead scoring application
- * In a production environment, this would be replaced with a proper database
+ * Data store for the lead scoring application
+ * All reads and writes go through a pluggable storage adapter
+ * (in-memory by default, JSON file when STORAGE_DRIVER=file).
+ *
+ * Every offer, lead batch and result belongs to a workspace, and the
+ * "current" offer/leads pointers are tracked per workspace. Use
+ * dataStore.forWorkspace(id) to get a store scoped to one workspace.
  */
 
+const crypto = require('crypto');
+const { createStorageAdapter } = require('./storage');
+
+const DEFAULT_WORKSPACE = 'default';
+
 class DataStore {
-  constructor() {
-    this.offers = new Map();
-    this.leads = new Map();
-    this.results = new Map();
-    this.currentOfferId = null;
-    this.currentLeadsId = null;
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   * @param {string} workspaceId - Workspace this store is scoped to
+   */
+  constructor(adapter = createStorageAdapter(), workspaceId = DEFAULT_WORKSPACE) {
+    this.adapter = adapter;
+    this.workspaceId = workspaceId;
+    this.workspaces = new Map();
+  }
+
+  /**
+   * Get a store scoped to the given workspace (sharing the same adapter)
+   */
+  forWorkspace(workspaceId = DEFAULT_WORKSPACE) {
+    if (workspaceId === this.workspaceId) return this;
+
+    if (!this.workspaces.has(workspaceId)) {
+      this.workspaces.set(workspaceId, new DataStore(this.adapter, workspaceId));
+    }
+    return this.workspaces.get(workspaceId);
+  }
+
+  get currentOfferId() {
+    return this.adapter.getMeta(this.metaKey('currentOfferId'));
+  }
+
+  get currentLeadsId() {
+    return this.adapter.getMeta(this.metaKey('currentLeadsId'));
+  }
+
+  metaKey(key) {
+    return `workspace:${this.workspaceId}:${key}`;
+  }
+
+  /**
+   * Generate a timestamp-based id that is unique within a collection
+   */
+  generateId(collection) {
+    let id = Date.now();
+    while (this.adapter.get(collection, id.toString())) {
+      id++;
+    }
+    return id.toString();
+  }
+
+  /**
+   * Fetch a record only if it belongs to this workspace
+   */
+  getOwned(collection, id) {
+    const record = this.adapter.get(collection, id);
+    if (!record || record.workspaceId !== this.workspaceId) return undefined;
+    return record;
+  }
+
+  listOwned(collection) {
+    return this.adapter.list(collection).filter(record => record.workspaceId === this.workspaceId);
+  }
+
+  clearOwned(collection) {
+    for (const record of this.listOwned(collection)) {
+      this.adapter.delete(collection, record.id);
+    }
   }
 
   // Offer management
   setOffer(offerData) {
-    const offerId = Date.now().toString();
+    const offerId = this.generateId('offers');
     const offer = {
       id: offerId,
       ...offerData,
+      workspaceId: this.workspaceId,
       createdAt: new Date().toISOString()
     };
-    this.offers.set(offerId, offer);
-    this.currentOfferId = offerId;
+    this.adapter.set('offers', offerId, offer);
+    this.adapter.setMeta(this.metaKey('currentOfferId'), offerId);
     return offer;
   }
 
   getCurrentOffer() {
     if (!this.currentOfferId) return null;
-    return this.offers.get(this.currentOfferId);
+    return this.getOwned('offers', this.currentOfferId);
   }
 
   getOffer(offerId) {
-    return this.offers.get(offerId);
+    return this.getOwned('offers', offerId);
   }
 
   // Leads management
-  setLeads(leadsData) {
-    const leadsId = Date.now().toString();
+  /**
+   * Give each lead a persistent id (leads that already have one keep it)
+   */
+  assignLeadIds(leadsData) {
+    return leadsData.map(lead => (lead.id ? lead : { id: `lead_${crypto.randomUUID()}`, ...lead }));
+  }
+
+  /**
+   * @param {Array} leadsData - Parsed leads
+   * @param {Object} upload - Upload metadata (source format, deduplication report,
+   *   source rows that were rejected by validation)
+   */
+  setLeads(leadsData, upload = {}) {
+    const leadsId = this.generateId('leads');
+    leadsData = this.assignLeadIds(leadsData);
     const leads = {
       id: leadsId,
+      workspaceId: this.workspaceId,
       data: leadsData,
       uploadedAt: new Date().toISOString(),
-      count: leadsData.length
+      count: leadsData.length,
+      source: upload.source || 'csv',
+      deduplication: upload.deduplication || null,
+      rejectedRows: upload.rejectedRows || []
     };
-    this.leads.set(leadsId, leads);
-    this.currentLeadsId = leadsId;
+    this.adapter.set('leads', leadsId, leads);
+    this.adapter.setMeta(this.metaKey('currentLeadsId'), leadsId);
     return leads;
   }
 
   getCurrentLeads() {
     if (!this.currentLeadsId) return null;
-    return this.leads.get(this.currentLeadsId);
+    return this.getOwned('leads', this.currentLeadsId);
   }
 
   getLeads(leadsId) {
-    return this.leads.get(leadsId);
+    return this.getOwned('leads', leadsId);
+  }
+
+  /**
+   * Replace the leads of an existing batch (used when appending)
+   * @returns {Object|null} Updated batch, or null if it doesn't exist
+   */
+  replaceBatchLeads(leadsId, leadsData, upload = {}) {
+    const batch = this.getLeads(leadsId);
+    if (!batch) return null;
+
+    const updated = {
+      ...batch,
+      data: this.assignLeadIds(leadsData),
+      count: leadsData.length,
+      updatedAt: new Date().toISOString(),
+      ...(upload.deduplication !== undefined && { deduplication: upload.deduplication }),
+      ...(upload.rejectedRows && { rejectedRows: [...(batch.rejectedRows || []), ...upload.rejectedRows] })
+    };
+    this.adapter.set('leads', leadsId, updated);
+    return updated;
+  }
+
+  /**
+   * Find a lead by id across the workspace's batches
+   * @returns {Object|null} { batch, lead, index }
+   */
+  findLead(leadId) {
+    for (const batch of this.listOwned('leads')) {
+      const index = batch.data.findIndex(lead => lead.id === leadId);
+      if (index !== -1) return { batch, lead: batch.data[index], index };
+    }
+    return null;
+  }
+
+  /**
+   * Apply changes to a single lead
+   * @param {string} leadId
+   * @param {Function|Object} changes - Fields to set, or a function (lead) => updated lead
+   * @returns {Object|null} { batch, lead } after the update, or null if not found
+   */
+  updateLead(leadId, changes) {
+    const found = this.findLead(leadId);
+    if (!found) return null;
+
+    const updatedLead = typeof changes === 'function'
+      ? changes(found.lead)
+      : { ...found.lead, ...changes };
+    updatedLead.id = leadId;
+    updatedLead.updatedAt = new Date().toISOString();
+
+    const data = [...found.batch.data];
+    data[found.index] = updatedLead;
+    const batch = { ...found.batch, data, updatedAt: updatedLead.updatedAt };
+    this.adapter.set('leads', batch.id, batch);
+
+    return { batch, lead: updatedLead };
+  }
+
+  /**
+   * Remove a single lead from its batch
+   * @returns {Object|null} { batch, lead } that was removed, or null if not found
+   */
+  deleteLead(leadId) {
+    const found = this.findLead(leadId);
+    if (!found) return null;
+
+    const data = found.batch.data.filter(lead => lead.id !== leadId);
+    const batch = { ...found.batch, data, count: data.length, updatedAt: new Date().toISOString() };
+    this.adapter.set('leads', batch.id, batch);
+
+    return { batch, lead: found.lead };
   }
 
   // Results management
-  setResults(resultsData) {
-    const resultsId = Date.now().toString();
+  /**
+   * @param {Array} resultsData - Scored leads
+   * @param {Object} source - Offer/leads ids that were scored (defaults to the current ones;
+   *   multi-offer runs pass offerId null and offerIds)
+   *   and the rule set version / scoring config / prompt templates that produced the scores
+   *   (plus the experiment description for A/B experiment runs)
+   */
+  setResults(resultsData, source = {}) {
+    const resultsId = this.generateId('results');
     const results = {
       id: resultsId,
+      workspaceId: this.workspaceId,
       data: resultsData,
-      offerId: this.currentOfferId,
-      leadsId: this.currentLeadsId,
+      offerId: source.offerId !== undefined ? source.offerId : this.currentOfferId,
+      offerIds: source.offerIds || null,
+      leadsId: source.leadsId || this.currentLeadsId,
+      ruleSetVersion: source.ruleSetVersion !== undefined ? source.ruleSetVersion : null,
+      scoringConfig: source.scoringConfig || null,
+      promptTemplates: source.promptTemplates || null,
+      experiment: source.experiment || null,
       scoredAt: new Date().toISOString(),
       count: resultsData.length
     };
-    this.results.set(resultsId, results);
+    this.adapter.set('results', resultsId, results);
     return results;
   }
 
   getLatestResults() {
-    const resultsArray = Array.from(this.results.values());
+    const resultsArray = this.listOwned('results');
     if (resultsArray.length === 0) return null;
-    
+
     // Return the most recent results
-    return resultsArray.reduce((latest, current) => 
+    return resultsArray.reduce((latest, current) =>
       new Date(current.scoredAt) > new Date(latest.scoredAt) ? current : latest
     );
   }
 
   getResults(resultsId) {
-    return this.results.get(resultsId);
+    return this.getOwned('results', resultsId);
+  }
+
+  /**
+   * All scoring runs for the workspace, most recent first
+   */
+  listResults() {
+    return this.listOwned('results')
+      .sort((a, b) => new Date(b.scoredAt) - new Date(a.scoredAt));
   }
 
   // Clear data methods
   clearOffers() {
-    this.offers.clear();
-    this.currentOfferId = null;
+    this.clearOwned('offers');
+    this.adapter.setMeta(this.metaKey('currentOfferId'), null);
   }
 
   clearLeads() {
-    this.leads.clear();
-    this.currentLeadsId = null;
+    this.clearOwned('leads');
+    this.adapter.setMeta(this.metaKey('currentLeadsId'), null);
   }
 
   clearResults() {
-    this.results.clear();
+    this.clearOwned('results');
   }
 
   clearAll() {
@@ -110,16 +286,20 @@ class DataStore {
   // Status methods
   getStatus() {
     return {
-      offers: this.offers.size,
-      leads: this.leads.size,
-      results: this.results.size,
+      workspace: this.workspaceId,
+      offers: this.listOwned('offers').length,
+      leads: this.listOwned('leads').length,
+      results: this.listOwned('results').length,
       hasCurrentOffer: !!this.currentOfferId,
       hasCurrentLeads: !!this.currentLeadsId,
-      ready: !!this.currentOfferId && !!this.currentLeadsId
+      ready: !!this.currentOfferId && !!this.currentLeadsId,
+      storage: this.adapter.getStatus()
     };
   }
 }
 
 // Export a singleton instance
 const dataStore = new DataStore();
-module.exports = dataStore;
\ No newline at end of file
+module.exports = dataStore;
+module.exports.DataStore = DataStore;
+module.exports.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
@@ -0,0 +1,350 @@
+/**
+ * Prompt/model A/B experiments for scoring runs
+ * An experiment compares two AI variants, "a" and "b", each a prompt template
+ * and/or a provider and model (unset parts use the run's normal setup).
+ *
+ * - split: each lead is scored by one variant; sample_rate of the leads
+ *   (default 0.5) go to variant b.
+ * - shadow: every lead is scored by variant a, which sets its score; a
+ *   sample_rate share of the leads (default 1) is also scored by variant b for comparison.
+ *
+ * Leads are assigned by a hash of the experiment id and lead id, so the split
+ * doesn't depend on lead order. Each scored lead stores its variant outputs in
+ * `experiment`, and summarizeExperiment() reports agreement, intent shifts
+ * and score deltas from those outputs.
+ */
+
+const crypto = require('crypto');
+const { scoreLead, leadFingerprint } = require('./scoringPipeline');
+const { createProvider, PROVIDERS } = require('./providers');
+const aiScorer = require('./aiScorer');
+const promptTemplates = require('./promptTemplates');
+const { normalizePin } = require('./promptTemplates');
+
+const EXPERIMENT_MODES = ['split', 'shadow'];
+const VARIANT_NAMES = ['a', 'b'];
+const VARIANT_FIELDS = ['prompt_template', 'provider', 'model'];
+const DEFAULT_SAMPLE_RATES = { split: 0.5, shadow: 1 };
+const INTENTS = ['High', 'Medium', 'Low'];
+
+/**
+ * Validate the shape of an experiment definition
+ * @param {Object} value - { mode, sample_rate, variants: { a, b } }
+ * @returns {Object} { isValid, errors }
+ */
+function validateExperiment(value) {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { isValid: false, errors: ['experiment must be an object'] };
+  }
+
+  if (!EXPERIMENT_MODES.includes(value.mode)) {
+    errors.push(`experiment.mode must be one of: ${EXPERIMENT_MODES.join(', ')}`);
+  }
+
+  if (value.sample_rate !== undefined &&
+      (typeof value.sample_rate !== 'number' || !(value.sample_rate > 0 && value.sample_rate <= 1))) {
+    errors.push('experiment.sample_rate must be a number greater than 0 and at most 1');
+  }
+
+  const variants = value.variants;
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants) || !variants.b) {
+    errors.push('experiment.variants must be an object with variant "b" (and optionally "a")');
+    return { isValid: false, errors };
+  }
+
+  const unknownVariants = Object.keys(variants).filter(name => !VARIANT_NAMES.includes(name));
+  if (unknownVariants.length > 0) {
+    errors.push(`Unknown experiment variants: ${unknownVariants.join(', ')} (use "a" and "b")`);
+  }
+
+  for (const name of VARIANT_NAMES) {
+    const variant = variants[name];
+    if (variant === undefined) continue;
+    const path = `experiment.variants.${name}`;
+
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+
+    const unknownFields = Object.keys(variant).filter(field => !VARIANT_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      errors.push(`${path} has unknown fields: ${unknownFields.join(', ')} (allowed: ${VARIANT_FIELDS.join(', ')})`);
+    }
+    if (variant.prompt_template !== undefined) {
+      const { error } = normalizePin(variant.prompt_template);
+      if (error) errors.push(`${path}.${error}`);
+    }
+    if (variant.provider !== undefined && !Object.keys(PROVIDERS).includes(variant.provider)) {
+      errors.push(`${path}.provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (variant.model !== undefined && (typeof variant.model !== 'string' || variant.model.trim().length === 0)) {
+      errors.push(`${path}.model must be a non-empty string`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Resolve templates and providers for a validated experiment definition
+ * @param {string} workspaceId
+ * @param {Object} offer - Offer being scored (supplies the default template)
+ * @param {Object} definition - Validated experiment definition
+ * @returns {Object} { status, error, experiment } (status is set when the request should fail)
+ */
+function resolveExperiment(workspaceId, offer, definition) {
+  const variants = {};
+
+  for (const name of VARIANT_NAMES) {
+    const variant = definition.variants[name] || {};
+
+    let promptTemplate = promptTemplates.resolveForOffer(offer);
+    if (variant.prompt_template !== undefined) {
+      const { pin } = normalizePin(variant.prompt_template);
+      promptTemplate = promptTemplates.getPinned(workspaceId, pin);
+      if (!promptTemplate) {
+        return {
+          status: 404,
+          error: `Prompt template ${pin.name}${pin.version !== null ? ` version ${pin.version}` : ''} not found (variant ${name})`
+        };
+      }
+    }
+
+    let provider = aiScorer.provider;
+    if (variant.provider !== undefined || variant.model !== undefined) {
+      try {
+        provider = createProvider({
+          provider: variant.provider || (aiScorer.provider && aiScorer.provider.name),
+          model: variant.model
+        });
+      } catch (error) {
+        return { status: 400, error: `Variant ${name}: ${error.message}` };
+      }
+    }
+
+    if (!provider) {
+      return {
+        status: 400,
+        error: `Variant ${name} has no AI provider; configure one or set experiment.variants.${name}.provider`
+      };
+    }
+
+    variants[name] = { promptTemplate, provider };
+  }
+
+  if (variants.a.provider.name === variants.b.provider.name &&
+      variants.a.provider.model === variants.b.provider.model &&
+      variants.a.promptTemplate.template === variants.b.promptTemplate.template) {
+    return { status: 400, error: 'Experiment variants a and b must differ in prompt template or model' };
+  }
+
+  return {
+    status: null,
+    error: null,
+    experiment: {
+      id: `exp_${crypto.randomUUID()}`,
+      mode: definition.mode,
+      sampleRate: definition.sample_rate !== undefined ? definition.sample_rate : DEFAULT_SAMPLE_RATES[definition.mode],
+      variants
+    }
+  };
+}
+
+/**
+ * Storable description of a resolved experiment
+ */
+function describeExperiment(experiment) {
+  return {
+    id: experiment.id,
+    mode: experiment.mode,
+    sample_rate: experiment.sampleRate,
+    variants: Object.fromEntries(VARIANT_NAMES.map(name => {
+      const { promptTemplate, provider } = experiment.variants[name];
+      return [name, {
+        prompt_template: { name: promptTemplate.name, version: promptTemplate.version },
+        provider: provider.name,
+        model: provider.model
+      }];
+    }))
+  };
+}
+
+/**
+ * Whether a lead falls in the experiment's sample (stable for a given experiment and lead)
+ */
+function inSample(experiment, lead) {
+  const hash = crypto.createHash('sha256')
+    .update(`${experiment.id}:${lead.id || leadFingerprint(lead)}`)
+    .digest('hex');
+  return parseInt(hash.slice(0, 8), 16) / 0xffffffff < experiment.sampleRate;
+}
+
+function variantOutput(result) {
+  return {
+    intent: result.intent,
+    score: result.score,
+    rule_score: result.breakdown.rule_score,
+    ai_score: result.breakdown.ai_score,
+    ai_intent: result.details.ai_intent,
+    ai_confidence: result.details.ai_confidence,
+    ai_reasoning: result.details.ai_reasoning,
+    ai_source: result.details.ai_source,
+    prompt_template: result.details.prompt_template || null
+  };
+}
+
+function scoreVariant(lead, offer, experiment, name, options) {
+  const { promptTemplate, provider } = experiment.variants[name];
+  return scoreLead(lead, offer, { ...options, promptTemplate, aiProvider: provider });
+}
+
+/**
+ * Score a lead as part of an experiment
+ * @param {Object} lead - Lead data
+ * @param {Object} offer - Product/offer data
+ * @param {Object} experiment - Resolved experiment (see resolveExperiment)
+ * @param {Object} options - scoreLead options ({ ruleSet, scoringConfig, cacheStats })
+ * @returns {Promise<Object>} Scored lead with `experiment: { id, variant, outputs }`, where
+ *   variant is the one that produced the lead's score
+ */
+async function scoreExperimentLead(lead, offer, experiment, options = {}) {
+  const sampled = inSample(experiment, lead);
+
+  if (experiment.mode === 'split') {
+    const variant = sampled ? 'b' : 'a';
+    const result = await scoreVariant(lead, offer, experiment, variant, options);
+    return {
+      ...result,
+      experiment: { id: experiment.id, variant, outputs: { [variant]: variantOutput(result) } }
+    };
+  }
+
+  const result = await scoreVariant(lead, offer, experiment, 'a', options);
+  const outputs = { a: variantOutput(result) };
+  if (sampled) {
+    outputs.b = variantOutput(await scoreVariant(lead, offer, experiment, 'b', options));
+  }
+  return { ...result, experiment: { id: experiment.id, variant: 'a', outputs } };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function average(values) {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function intentCounts(outputs, field) {
+  return Object.fromEntries(INTENTS.map(intent => [intent, outputs.filter(output => output[field] === intent).length]));
+}
+
+function intentShares(counts, total) {
+  return Object.fromEntries(INTENTS.map(intent => [intent, total > 0 ? round(counts[intent] / total) : null]));
+}
+
+/**
+ * Compare the variants of an experiment run
+ * Agreement and paired score deltas use the leads scored by both variants
+ * (shadow mode); intent shares and average scores use every lead each variant scored.
+ * @param {Array} leads - Scored leads from the run
+ * @param {Object} experiment - Stored experiment description (see describeExperiment)
+ * @returns {Object} Report
+ */
+function summarizeExperiment(leads, experiment) {
+  const tagged = leads.filter(lead => lead.experiment && lead.experiment.id === experiment.id);
+
+  const variants = {};
+  for (const name of VARIANT_NAMES) {
+    const outputs = tagged.map(lead => lead.experiment.outputs[name]).filter(Boolean);
+    const intents = intentCounts(outputs, 'intent');
+    variants[name] = {
+      ...experiment.variants[name],
+      leads: outputs.length,
+      intents,
+      intent_share: intentShares(intents, outputs.length),
+      ai_intents: intentCounts(outputs, 'ai_intent'),
+      average_score: average(outputs.map(output => output.score)),
+      average_ai_score: average(outputs.map(output => output.ai_score)),
+      average_confidence: average(outputs.map(output => output.ai_confidence).filter(value => typeof value === 'number'))
+    };
+  }
+
+  const { a, b } = variants;
+  const intentShift = a.leads > 0 && b.leads > 0
+    ? Object.fromEntries(INTENTS.map(intent => [intent, round(b.intent_share[intent] - a.intent_share[intent])]))
+    : null;
+
+  const paired = tagged
+    .filter(lead => lead.experiment.outputs.a && lead.experiment.outputs.b)
+    .map(lead => ({ lead, a: lead.experiment.outputs.a, b: lead.experiment.outputs.b }));
+
+  let agreement = null;
+  let pairedDelta = null;
+  if (paired.length > 0) {
+    const confusion = Object.fromEntries(INTENTS.map(from => [from, Object.fromEntries(INTENTS.map(to => [to, 0]))]));
+    for (const pair of paired) {
+      if (confusion[pair.a.ai_intent] && pair.b.ai_intent in confusion[pair.a.ai_intent]) {
+        confusion[pair.a.ai_intent][pair.b.ai_intent]++;
+      }
+    }
+
+    agreement = {
+      compared_leads: paired.length,
+      ai_intent_rate: round(paired.filter(pair => pair.a.ai_intent === pair.b.ai_intent).length / paired.length),
+      intent_rate: round(paired.filter(pair => pair.a.intent === pair.b.intent).length / paired.length),
+      // Rows are variant a's AI intent, columns variant b's
+      ai_intent_matrix: confusion
+    };
+
+    const deltas = paired.map(pair => pair.b.score - pair.a.score);
+    pairedDelta = {
+      mean: average(deltas),
+      mean_absolute: average(deltas.map(Math.abs)),
+      max_increase: Math.max(0, ...deltas),
+      max_decrease: Math.min(0, ...deltas),
+      changed_intent: paired.filter(pair => pair.a.intent !== pair.b.intent).length,
+      // Largest disagreements first
+      largest: paired
+        .map((pair, index) => ({ pair, delta: deltas[index] }))
+        .filter(({ delta }) => delta !== 0)
+        .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta))
+        .slice(0, 10)
+        .map(({ pair, delta }) => ({
+          id: pair.lead.id,
+          name: pair.lead.name,
+          company: pair.lead.company,
+          a: { intent: pair.a.intent, score: pair.a.score },
+          b: { intent: pair.b.intent, score: pair.b.score },
+          delta
+        }))
+    };
+  }
+
+  return {
+    id: experiment.id,
+    mode: experiment.mode,
+    sample_rate: experiment.sample_rate,
+    total_leads: tagged.length,
+    variants,
+    agreement,
+    intent_shift: intentShift,
+    score_delta: {
+      // Difference between the variants' average scores (b - a)
+      average: a.average_score !== null && b.average_score !== null ? round(b.average_score - a.average_score) : null,
+      paired: pairedDelta
+    }
+  };
+}
+
+module.exports = {
+  EXPERIMENT_MODES,
+  validateExperiment,
+  resolveExperiment,
+  describeExperiment,
+  scoreExperimentLead,
+  summarizeExperiment
+};
@@ -0,0 +1,284 @@
+/**
+ * CRM export profiles
+ * A profile is a JSON mapping from CRM import columns to scored lead
+ * values, used by GET /api/results/export?profile=<id>. HubSpot and
+ * Salesforce layouts are built in; workspaces can save their own profiles
+ * in the "exportProfiles" collection.
+ *
+ * Profile shape:
+ * {
+ *   "name": "Pipedrive",
+ *   "columns": [
+ *     { "header": "First name", "source": "first_name" },
+ *     { "header": "Label", "source": "intent", "map": { "High": "Hot" }, "default": "Cold" },
+ *     { "header": "Source", "value": "Lead scoring" }
+ *   ]
+ * }
+ * "source" is any results export column (name, score, ai_reasoning,
+ * details.<key>, custom_fields.<key>, best_offer, ...) or first_name / last_name.
+ * "default" fills empty values and, with "map", values the map doesn't list.
+ */
+
+const dataStore = require('./dataStore');
+const { EXPORT_COLUMNS, resolveColumn } = require('./resultsExport');
+
+const PROFILE_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+const NAME_SOURCES = ['first_name', 'last_name'];
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'mba'];
+const NAME_PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof'];
+
+const BUILT_IN_PROFILES = {
+  hubspot: {
+    name: 'HubSpot contacts import',
+    description: 'Column headers match HubSpot contact properties; "AI Lead Score" and "AI Lead Reasoning" need matching custom properties',
+    columns: [
+      { header: 'First Name', source: 'first_name' },
+      { header: 'Last Name', source: 'last_name' },
+      { header: 'Job Title', source: 'role' },
+      { header: 'Company Name', source: 'company' },
+      { header: 'Industry', source: 'industry' },
+      { header: 'City', source: 'location' },
+      { header: 'LinkedIn URL', source: 'linkedin_url' },
+      { header: 'Lead Status', source: 'intent', map: { High: 'Open', Medium: 'New', Low: 'Unqualified' }, default: 'New' },
+      {
+        header: 'Lifecycle Stage',
+        source: 'intent',
+        map: { High: 'Sales Qualified Lead', Medium: 'Marketing Qualified Lead', Low: 'Lead' },
+        default: 'Lead'
+      },
+      { header: 'AI Lead Score', source: 'score' },
+      { header: 'AI Lead Reasoning', source: 'reasoning' }
+    ]
+  },
+  salesforce: {
+    name: 'Salesforce leads import',
+    description: 'Lead object API names (Data Import Wizard and Data Loader); Lead_Score__c and Lead_Score_Reasoning__c are custom fields',
+    columns: [
+      { header: 'FirstName', source: 'first_name' },
+      { header: 'LastName', source: 'last_name' },
+      { header: 'Title', source: 'role' },
+      { header: 'Company', source: 'company' },
+      { header: 'Industry', source: 'industry' },
+      { header: 'City', source: 'location' },
+      {
+        header: 'Status',
+        source: 'intent',
+        map: { High: 'Open - Not Contacted', Medium: 'Open - Not Contacted', Low: 'Closed - Not Converted' },
+        default: 'Open - Not Contacted'
+      },
+      { header: 'Rating', source: 'intent', map: { High: 'Hot', Medium: 'Warm', Low: 'Cold' }, default: 'Cold' },
+      { header: 'LeadSource', value: 'Lead Scoring' },
+      { header: 'Description', source: 'linkedin_bio' },
+      { header: 'Lead_Score__c', source: 'score' },
+      { header: 'Lead_Score_Reasoning__c', source: 'reasoning' }
+    ]
+  }
+};
+
+/**
+ * Split a full name into first and last name
+ * Honorifics are dropped and suffixes stay with the last name
+ * ("Dr. Jane van Berg Jr." -> { first: "Jane van", last: "Berg Jr." }).
+ * A single word is treated as the last name, which CRMs usually require.
+ */
+function splitName(fullName) {
+  const parts = (fullName || '').toString().trim().split(/\s+/).filter(Boolean);
+  const bare = part => part.toLowerCase().replace(/[.,]/g, '');
+
+  while (parts.length > 1 && NAME_PREFIXES.includes(bare(parts[0]))) parts.shift();
+  if (parts.length === 0) return { first: '', last: '' };
+  if (parts.length === 1) return { first: '', last: parts[0] };
+
+  let lastStart = parts.length - 1;
+  if (parts.length > 2 && NAME_SUFFIXES.includes(bare(parts[lastStart]))) lastStart--;
+
+  return {
+    first: parts.slice(0, lastStart).join(' '),
+    last: parts.slice(lastStart).join(' ').replace(/^,|,$/g, '')
+  };
+}
+
+/**
+ * Validate a profile definition
+ * @returns {Object} { isValid, errors }
+ */
+function validateExportProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { isValid: false, errors: ['Profile must be an object'] };
+  }
+
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('name must be a non-empty string');
+  }
+  if (profile.description !== undefined && typeof profile.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (!Array.isArray(profile.columns) || profile.columns.length === 0) {
+    errors.push('columns must be a non-empty array');
+    return { isValid: false, errors };
+  }
+
+  const headers = new Set();
+  profile.columns.forEach((column, index) => {
+    const path = `columns[${index}]`;
+    if (!column || typeof column !== 'object' || Array.isArray(column)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof column.header !== 'string' || !column.header.trim()) {
+      errors.push(`${path}.header must be a non-empty string`);
+    } else if (headers.has(column.header)) {
+      errors.push(`${path}.header "${column.header}" is duplicated`);
+    } else {
+      headers.add(column.header);
+    }
+
+    const hasSource = column.source !== undefined;
+    const hasValue = column.value !== undefined;
+    if (hasSource === hasValue) {
+      errors.push(`${path} must have either "source" or "value"`);
+    } else if (hasSource && (typeof column.source !== 'string' || (!NAME_SOURCES.includes(column.source) && !resolveColumn(column.source)))) {
+      errors.push(`${path}.source must be one of ${[...NAME_SOURCES, ...Object.keys(EXPORT_COLUMNS)].join(', ')}, details.<key>, custom_fields.<key> or offer_scores.<offer id>`);
+    } else if (hasValue && !['string', 'number', 'boolean'].includes(typeof column.value)) {
+      errors.push(`${path}.value must be a string, number or boolean`);
+    }
+
+    if (column.map !== undefined) {
+      const validMap = column.map && typeof column.map === 'object' && !Array.isArray(column.map) &&
+        Object.values(column.map).every(value => ['string', 'number', 'boolean'].includes(typeof value));
+      if (!validMap) errors.push(`${path}.map must be an object of { "<value>": "<CRM value>" }`);
+    }
+    if (column.default !== undefined && !['string', 'number', 'boolean'].includes(typeof column.default)) {
+      errors.push(`${path}.default must be a string, number or boolean`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Turn a profile into export columns ({ id, title, value(lead) }, see utils/resultsExport)
+ */
+function profileColumns(profile) {
+  return profile.columns.map((column) => {
+    let read;
+    if (column.value !== undefined) {
+      read = () => column.value;
+    } else if (NAME_SOURCES.includes(column.source)) {
+      const part = column.source === 'first_name' ? 'first' : 'last';
+      read = lead => splitName(lead.name)[part];
+    } else {
+      read = resolveColumn(column.source).value;
+    }
+
+    return {
+      id: column.header,
+      title: column.header,
+      value: (lead) => {
+        let value = read(lead);
+        const missing = value === undefined || value === null || value === '';
+        if (column.map && !missing) {
+          if (Object.prototype.hasOwnProperty.call(column.map, String(value))) {
+            value = column.map[String(value)];
+          } else if (column.default !== undefined) {
+            value = column.default;
+          }
+        }
+        if (missing && column.default !== undefined) value = column.default;
+        return value;
+      }
+    };
+  });
+}
+
+class ExportProfileManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  recordId(workspaceId, profileId) {
+    return `${workspaceId}:${profileId}`;
+  }
+
+  /**
+   * Get a built-in or saved profile
+   * @returns {Object|null} { id, builtIn, profile, ... }
+   */
+  get(workspaceId, profileId) {
+    if (BUILT_IN_PROFILES[profileId]) {
+      return { id: profileId, workspaceId, builtIn: true, profile: BUILT_IN_PROFILES[profileId], updatedAt: null };
+    }
+    return this.adapter.get('exportProfiles', this.recordId(workspaceId, profileId)) || null;
+  }
+
+  /**
+   * Built-in profiles followed by the workspace's saved ones
+   */
+  list(workspaceId) {
+    const saved = this.adapter.list('exportProfiles')
+      .filter(record => record.workspaceId === workspaceId)
+      .sort((a, b) => a.id.localeCompare(b.id));
+    return [...Object.keys(BUILT_IN_PROFILES).map(id => this.get(workspaceId, id)), ...saved];
+  }
+
+  /**
+   * Create or replace a saved profile
+   * @param {Object} profile - Validated profile definition
+   */
+  save(workspaceId, profileId, profile) {
+    const existing = this.get(workspaceId, profileId);
+    const now = new Date().toISOString();
+    const record = {
+      id: profileId,
+      workspaceId,
+      builtIn: false,
+      profile,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.adapter.set('exportProfiles', this.recordId(workspaceId, profileId), record);
+    return record;
+  }
+
+  /**
+   * @returns {boolean} Whether a saved profile was removed
+   */
+  delete(workspaceId, profileId) {
+    const key = this.recordId(workspaceId, profileId);
+    if (!this.adapter.get('exportProfiles', key)) return false;
+    this.adapter.delete('exportProfiles', key);
+    return true;
+  }
+
+  /**
+   * Public representation of a profile record
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      built_in: !!record.builtIn,
+      name: record.profile.name,
+      description: record.profile.description || null,
+      columns: record.profile.columns,
+      updated_at: record.updatedAt
+    };
+  }
+}
+
+// Export singleton instance sharing the data store's adapter
+const exportProfiles = new ExportProfileManager(dataStore.adapter);
+module.exports = exportProfiles;
+module.exports.ExportProfileManager = ExportProfileManager;
+module.exports.BUILT_IN_PROFILES = BUILT_IN_PROFILES;
+module.exports.PROFILE_ID_PATTERN = PROFILE_ID_PATTERN;
+module.exports.splitName = splitName;
+module.exports.validateExportProfile = validateExportProfile;
+module.exports.profileColumns = profileColumns;
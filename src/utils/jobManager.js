@@ -0,0 +1,405 @@
+/**
+ * Background job manager for scoring runs
+ * Jobs run in-process after the HTTP response is sent, scoring up to
+ * SCORING_CONCURRENCY leads in parallel (on serverless platforms, see
+ * supportsBackgroundJobs, the request waits for the job). Live progress is kept
+ * in memory; job records are persisted through the storage adapter on every
+ * state change so finished jobs can still be looked up after a restart.
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const { scoreLead, scoreLeadForOffers, buildErrorLead, calculateSummaryStats, leadFingerprint } = require('./scoringPipeline');
+const { runWithConcurrency } = require('./scoringExecutor');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringConfig');
+const webhooks = require('./webhooks');
+const promptTemplates = require('./promptTemplates');
+const { scoreExperimentLead, describeExperiment } = require('./experiments');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * Whether jobs can keep running after the response is sent. Vercel may
+ * freeze or stop a function as soon as it responds, so there scoring
+ * requests always wait for their job to finish.
+ */
+function supportsBackgroundJobs() {
+  return !process.env.VERCEL;
+}
+
+class JobManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   * @param {Object} options
+   * @param {number} options.concurrency - Leads scored in parallel per job (SCORING_CONCURRENCY)
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.concurrency = options.concurrency || parseInt(process.env.SCORING_CONCURRENCY, 10) || 5;
+    this.active = new Map();
+    this.completions = new Map();
+    this.recoverInterruptedJobs();
+  }
+
+  /**
+   * Jobs that were queued or running when the process stopped can't resume
+   */
+  recoverInterruptedJobs() {
+    for (const job of this.adapter.list('jobs')) {
+      if (!FINAL_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.finishedAt = new Date().toISOString();
+        this.adapter.set('jobs', job.id, job);
+      }
+    }
+  }
+
+  /**
+   * Queue a scoring job for a batch of leads
+   * @param {Object} options
+   * @param {Object} options.store - Workspace-scoped data store to save results into
+   * @param {Object} options.offer - Offer to score against
+   * @param {Array} options.offers - Instead of offer/scoringConfig: score every lead against
+   *   each of these ([{ offer, scoringConfig }]) and recommend the best fit
+   * @param {Object} options.leads - Lead batch (as returned by DataStore.getLeads)
+   * @param {Object} options.ruleSet - Rule set record to score with (see utils/ruleSets)
+   * @param {Object} options.scoringConfig - Resolved scoring config (see utils/scoringConfig)
+   * @param {boolean} options.incremental - Reuse unchanged leads' scores from the previous
+   *   compatible run of this batch instead of scoring them again
+   * @param {Object} options.experiment - Resolved A/B experiment (see utils/experiments);
+   *   single-offer, non-incremental runs only
+   * @returns {Object} Public job representation
+   */
+  createScoringJob({ store, offer, offers, leads, ruleSet, scoringConfig, incremental = false, experiment = null }) {
+    const targets = offers || [{ offer, scoringConfig }];
+    const multiOffer = targets.length > 1;
+    // Templates are resolved once so every lead in the run uses the same version
+    const templates = targets.map(target => promptTemplates.resolveForOffer(target.offer));
+
+    const job = {
+      id: crypto.randomUUID(),
+      type: 'scoring',
+      workspaceId: store.workspaceId,
+      status: 'queued',
+      // Multi-offer runs have no single offer; see offerIds
+      offerId: multiOffer ? null : targets[0].offer.id,
+      offerIds: targets.map(target => target.offer.id),
+      leadsId: leads.id,
+      ruleSetVersion: ruleSet ? ruleSet.version : 0,
+      // Multi-offer runs keep one config per offer id
+      scoringConfig: multiOffer
+        ? Object.fromEntries(targets.map(target => [target.offer.id, target.scoringConfig || DEFAULT_SCORING_CONFIG]))
+        : targets[0].scoringConfig || DEFAULT_SCORING_CONFIG,
+      // Prompt template { name, version } used for each offer id (experiments record theirs per variant)
+      promptTemplates: experiment ? null : Object.fromEntries(targets.map((target, index) => [
+        target.offer.id,
+        { name: templates[index].name, version: templates[index].version }
+      ])),
+      incremental: !!incremental,
+      experiment: experiment ? describeExperiment(experiment) : null,
+      baseResultsId: null,
+      reusedCount: 0,
+      aiCache: { hits: 0, misses: 0 },
+      total: leads.data.length,
+      processed: 0,
+      errorCount: 0,
+      errors: [],
+      resultsId: null,
+      summary: null,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.active.set(job.id, job);
+    this.save(job);
+
+    const completion = new Promise((resolve) => {
+      setImmediate(() => {
+        const runTargets = targets.map((target, index) => ({
+          offer: target.offer,
+          scoringConfig: multiOffer ? job.scoringConfig[target.offer.id] : job.scoringConfig,
+          promptTemplate: templates[index]
+        }));
+        this.runScoringJob(job, store, runTargets, leads.data, { ruleSet, cacheStats: job.aiCache, experiment })
+          .catch((error) => {
+            console.error(`Scoring job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.failureReason = error.message;
+            job.finishedAt = new Date().toISOString();
+            this.save(job);
+          })
+          .finally(() => {
+            this.active.delete(job.id);
+            this.completions.delete(job.id);
+            resolve(this.toPublic(job));
+          });
+      });
+    });
+    this.completions.set(job.id, completion);
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * @param {Array} targets - [{ offer, scoringConfig, promptTemplate }]; more than one scores each lead against every offer
+   */
+  async runScoringJob(job, store, targets, leads, options = {}) {
+    if (job.cancelRequested) {
+      this.finish(job, 'cancelled');
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.save(job);
+
+    // Incremental runs only score leads that are new or changed since the base run
+    const baseResults = job.incremental ? this.findBaseResults(store, job) : null;
+    const previousById = new Map();
+    if (baseResults) {
+      job.baseResultsId = baseResults.id;
+      for (const scored of baseResults.data) {
+        if (scored.id && !(scored.details && scored.details.error)) previousById.set(scored.id, scored);
+      }
+    }
+
+    const scoredLeads = new Array(leads.length);
+    const pending = [];
+    leads.forEach((lead, index) => {
+      const previous = previousById.get(lead.id);
+      if (previous && previous.details.lead_fingerprint === leadFingerprint(lead)) {
+        scoredLeads[index] = previous;
+        job.reusedCount++;
+      } else {
+        pending.push(index);
+      }
+    });
+    job.processed = job.reusedCount;
+
+    console.log(`🎯 Starting scoring job ${job.id} for ${pending.length} leads` +
+      (job.reusedCount > 0 ? ` (${job.reusedCount} unchanged, reused from ${job.baseResultsId})...` : '...'));
+
+    const { stopped } = await runWithConcurrency(pending, async (index) => {
+      const lead = leads[index];
+      const { experiment, ...scoringOptions } = options;
+      let scoredLead;
+      try {
+        if (targets.length > 1) {
+          scoredLead = await scoreLeadForOffers(lead, targets, scoringOptions);
+        } else if (experiment) {
+          scoredLead = await scoreExperimentLead(lead, targets[0].offer, experiment, {
+            ...scoringOptions,
+            scoringConfig: targets[0].scoringConfig
+          });
+        } else {
+          scoredLead = await scoreLead(lead, targets[0].offer, {
+            ...scoringOptions,
+            scoringConfig: targets[0].scoringConfig,
+            promptTemplate: targets[0].promptTemplate
+          });
+        }
+      } catch (error) {
+        console.error(`Error scoring lead ${lead.name}:`, error);
+        job.errorCount++;
+        if (job.errors.length < MAX_STORED_ERRORS) {
+          job.errors.push({ lead: lead.name, error: error.message });
+        }
+        scoredLead = buildErrorLead(lead, error);
+      }
+
+      scoredLeads[index] = scoredLead;
+      job.processed++;
+      return scoredLead;
+    }, {
+      concurrency: this.concurrency,
+      shouldStop: () => job.cancelRequested
+    });
+
+    if (stopped) {
+      console.log(`🛑 Scoring job ${job.id} cancelled after ${job.processed}/${job.total} leads`);
+      this.finish(job, 'cancelled');
+      return;
+    }
+
+    const results = store.setResults(scoredLeads, {
+      offerId: job.offerId,
+      offerIds: job.offerIds,
+      leadsId: job.leadsId,
+      ruleSetVersion: job.ruleSetVersion,
+      scoringConfig: job.scoringConfig,
+      promptTemplates: job.promptTemplates,
+      experiment: job.experiment
+    });
+
+    job.resultsId = results.id;
+    job.summary = scoredLeads.length > 0 ? calculateSummaryStats(scoredLeads) : null;
+
+    console.log(`✅ Scoring job ${job.id} completed for ${scoredLeads.length} leads`);
+    this.finish(job, 'completed');
+    this.notifyCompleted(job, store, pending.map(index => scoredLeads[index]));
+  }
+
+  /**
+   * Fire scoring.completed, plus lead.high_intent for each lead scored High in
+   * this run (leads reused by an incremental run were already announced)
+   */
+  notifyCompleted(job, store, rescoredLeads) {
+    webhooks.emit(store.workspaceId, 'scoring.completed', {
+      job_id: job.id,
+      results_id: job.resultsId,
+      leads_id: job.leadsId,
+      offer_id: job.offerId,
+      offer_ids: job.offerIds,
+      total_leads: job.total,
+      rescored_leads: rescoredLeads.length,
+      failed_leads: job.errorCount,
+      summary: job.summary
+    });
+
+    for (const lead of rescoredLeads.filter(scored => scored.intent === 'High')) {
+      webhooks.emit(store.workspaceId, 'lead.high_intent', {
+        job_id: job.id,
+        results_id: job.resultsId,
+        lead: {
+          id: lead.id,
+          name: lead.name,
+          role: lead.role,
+          company: lead.company,
+          intent: lead.intent,
+          score: lead.score,
+          reasoning: lead.reasoning,
+          ...(lead.best_offer && { best_offer: lead.best_offer })
+        }
+      });
+    }
+  }
+
+  /**
+   * Most recent results for the same batch scored with the same offer,
+   * rule set version, scoring config and prompt templates (so unchanged
+   * leads would score the same). Experiment runs are never reused.
+   */
+  findBaseResults(store, job) {
+    const config = JSON.stringify(job.scoringConfig);
+    const offerIds = JSON.stringify(job.offerIds);
+    const templates = JSON.stringify(job.promptTemplates);
+    return store.listResults().find(results =>
+      results.leadsId === job.leadsId &&
+      JSON.stringify(results.offerIds || [results.offerId]) === offerIds &&
+      results.ruleSetVersion === job.ruleSetVersion &&
+      JSON.stringify(results.scoringConfig) === config &&
+      JSON.stringify(results.promptTemplates) === templates &&
+      !results.experiment
+    ) || null;
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.save(job);
+  }
+
+  save(job) {
+    this.adapter.set('jobs', job.id, { ...job, errors: [...job.errors], aiCache: { ...job.aiCache } });
+  }
+
+  /**
+   * Get a job record (live state if running) belonging to a workspace
+   */
+  getJobRecord(jobId, workspaceId) {
+    const job = this.active.get(jobId) || this.adapter.get('jobs', jobId);
+    if (!job || job.workspaceId !== workspaceId) return null;
+    return job;
+  }
+
+  getJob(jobId, workspaceId) {
+    const job = this.getJobRecord(jobId, workspaceId);
+    return job ? this.toPublic(job) : null;
+  }
+
+  listJobs(workspaceId) {
+    return this.adapter.list('jobs')
+      .filter(job => job.workspaceId === workspaceId)
+      .map(job => this.active.get(job.id) || job)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(job => this.toPublic(job));
+  }
+
+  /**
+   * Request cancellation of a queued or running job
+   * @returns {Object|null} Public job, or null if not found
+   */
+  cancelJob(jobId, workspaceId) {
+    const job = this.getJobRecord(jobId, workspaceId);
+    if (!job) return null;
+
+    if (!FINAL_STATUSES.includes(job.status)) {
+      job.cancelRequested = true;
+      this.save(job);
+    }
+    return this.toPublic(job);
+  }
+
+  /**
+   * Resolve once the job reaches a final status
+   */
+  waitForJob(jobId) {
+    return this.completions.get(jobId) || Promise.resolve(this.toPublic(this.adapter.get('jobs', jobId)));
+  }
+
+  /**
+   * Public representation with progress and ETA
+   */
+  toPublic(job) {
+    let etaSeconds = null;
+    if (job.status === 'running' && job.processed > 0) {
+      const elapsed = Date.now() - new Date(job.startedAt).getTime();
+      etaSeconds = Math.round((elapsed / job.processed) * (job.total - job.processed) / 1000);
+    } else if (FINAL_STATUSES.includes(job.status)) {
+      etaSeconds = 0;
+    }
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      cancel_requested: job.cancelRequested,
+      offer_id: job.offerId,
+      offer_ids: job.offerIds || [job.offerId],
+      leads_id: job.leadsId,
+      rule_set_version: job.ruleSetVersion,
+      scoring_config: job.scoringConfig,
+      prompt_templates: job.promptTemplates || null,
+      experiment: job.experiment || null,
+      incremental: job.incremental
+        ? { base_results_id: job.baseResultsId, reused: job.reusedCount, rescored: job.processed - job.reusedCount }
+        : null,
+      ai_cache: job.aiCache || null,
+      progress: {
+        processed: job.processed,
+        total: job.total,
+        percent: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100,
+        errors_count: job.errorCount,
+        eta_seconds: etaSeconds
+      },
+      errors: job.errors.slice(0, 5),
+      results_id: job.resultsId,
+      summary: job.summary,
+      failure_reason: job.failureReason,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      finished_at: job.finishedAt
+    };
+  }
+}
+
+// Export singleton instance sharing the data store's adapter
+const jobManager = new JobManager(dataStore.adapter);
+module.exports = jobManager;
+module.exports.JobManager = JobManager;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.supportsBackgroundJobs = supportsBackgroundJobs;
@@ -0,0 +1,217 @@
+/**
+ * Lead column mapping
+ * Maps uploaded column headers onto lead fields. Explicit mappings win,
+ * then common header synonyms are detected; every other column is kept as
+ * a custom field under `lead.custom_fields`.
+ */
+
+const REQUIRED_FIELDS = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio'];
+const OPTIONAL_FIELDS = ['company_size', 'linkedin_url'];
+const STANDARD_FIELDS = [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS];
+const IGNORE = 'ignore';
+
+const HEADER_SYNONYMS = {
+  name: ['name', 'full name', 'contact name', 'contact', 'lead name', 'person'],
+  role: ['role', 'title', 'job title', 'position', 'job role', 'designation'],
+  company: ['company', 'company name', 'org', 'organization', 'organisation', 'account', 'account name', 'employer'],
+  industry: ['industry', 'sector', 'vertical'],
+  location: ['location', 'city', 'country', 'region', 'geo', 'geography'],
+  linkedin_bio: ['linkedin bio', 'bio', 'summary', 'about', 'headline', 'linkedin summary'],
+  company_size: ['company size', 'employees', 'employee count', 'headcount', 'size'],
+  linkedin_url: ['linkedin url', 'linkedin', 'linkedin profile', 'profile url']
+};
+
+/**
+ * Normalize a header for synonym lookup ("Job_Title " -> "job title")
+ */
+function normalizeHeader(header) {
+  return (header || '').toString().trim().toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Key used for a custom field ("Deal Stage" -> "deal_stage")
+ */
+function customFieldKey(header) {
+  return normalizeHeader(header).replace(/[^a-z0-9 ]/g, '').trim().replace(/ /g, '_');
+}
+
+const SYNONYM_LOOKUP = Object.entries(HEADER_SYNONYMS).reduce((lookup, [field, synonyms]) => {
+  synonyms.forEach(synonym => { lookup[synonym] = field; });
+  return lookup;
+}, {});
+
+/**
+ * Validate a user supplied column mapping ({ "Job Title": "role", "Notes": "ignore" })
+ * @returns {Array<string>} Validation errors
+ */
+function validateColumnMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['column_map must be an object of { "<header>": "<field>" }'];
+  }
+
+  const errors = [];
+  const targets = new Map();
+
+  for (const [header, target] of Object.entries(mapping)) {
+    if (target === IGNORE) continue;
+
+    const isCustom = typeof target === 'string' && /^custom_fields\.[a-z0-9_]+$/.test(target);
+    if (!STANDARD_FIELDS.includes(target) && !isCustom) {
+      errors.push(`column_map["${header}"] must be one of ${STANDARD_FIELDS.join(', ')}, custom_fields.<key> or "${IGNORE}"`);
+      continue;
+    }
+
+    if (targets.has(target)) {
+      errors.push(`column_map maps both "${targets.get(target)}" and "${header}" to ${target}`);
+    }
+    targets.set(target, header);
+  }
+
+  return errors;
+}
+
+/**
+ * Decide which lead field each header feeds
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {Object} mapping - Explicit mapping (header -> field), matched case-insensitively
+ * @returns {Object} { columns: {header: target|null}, mapped, custom_fields, ignored, missing }
+ */
+function buildColumnMap(headers, mapping = {}) {
+  const explicit = Object.entries(mapping || {}).reduce((lookup, [header, target]) => {
+    lookup[normalizeHeader(header)] = target;
+    return lookup;
+  }, {});
+
+  const columns = {};
+  const taken = new Set(Object.values(explicit).filter(target => target !== IGNORE));
+  const customFields = [];
+  const ignored = [];
+
+  // First pass: explicit mappings
+  for (const header of headers) {
+    const target = explicit[normalizeHeader(header)];
+    if (target === undefined) continue;
+
+    columns[header] = target === IGNORE ? null : target;
+    if (target === IGNORE) ignored.push(header);
+  }
+
+  // Second pass: synonyms, then custom fields
+  for (const header of headers) {
+    if (header in columns) continue;
+
+    // JSON imports carry nested custom fields as "custom_fields.<key>"
+    if (header.startsWith('custom_fields.')) {
+      const customKey = customFieldKey(header.slice('custom_fields.'.length));
+      if (customKey && !taken.has(`custom_fields.${customKey}`)) {
+        columns[header] = `custom_fields.${customKey}`;
+        taken.add(columns[header]);
+        continue;
+      }
+    }
+
+    const field = SYNONYM_LOOKUP[normalizeHeader(header)];
+    if (field && !taken.has(field)) {
+      columns[header] = field;
+      taken.add(field);
+      continue;
+    }
+
+    const key = customFieldKey(header);
+    if (!key || taken.has(`custom_fields.${key}`)) {
+      columns[header] = null;
+      ignored.push(header);
+      continue;
+    }
+
+    columns[header] = `custom_fields.${key}`;
+    taken.add(columns[header]);
+  }
+
+  const mapped = {};
+  for (const [header, target] of Object.entries(columns)) {
+    if (!target) continue;
+    if (target.startsWith('custom_fields.')) {
+      customFields.push(target.slice('custom_fields.'.length));
+    } else {
+      mapped[header] = target;
+    }
+  }
+
+  return {
+    columns,
+    mapped,
+    custom_fields: customFields,
+    ignored,
+    missing: REQUIRED_FIELDS.filter(field => !taken.has(field))
+  };
+}
+
+/**
+ * Build a lead from a parsed row
+ * Required fields default to empty strings, optional fields are only set
+ * when present, and custom fields are collected under `custom_fields`.
+ */
+function rowToLead(row, columnMap) {
+  const lead = {};
+  REQUIRED_FIELDS.forEach(field => { lead[field] = ''; });
+
+  const customFields = {};
+
+  for (const [header, target] of Object.entries(columnMap.columns)) {
+    if (!target) continue;
+
+    const raw = row[header];
+    let value = '';
+    if (raw !== undefined && raw !== null) {
+      value = (typeof raw === 'object' ? JSON.stringify(raw) : raw.toString()).trim();
+    }
+
+    if (target.startsWith('custom_fields.')) {
+      customFields[target.slice('custom_fields.'.length)] = value;
+    } else if (REQUIRED_FIELDS.includes(target) || value) {
+      lead[target] = value;
+    }
+  }
+
+  if (columnMap.custom_fields.length > 0) {
+    lead.custom_fields = customFields;
+  }
+
+  return lead;
+}
+
+/**
+ * Parse a column_map parameter (object or JSON string)
+ * @returns {Object} { error, mapping }
+ */
+function parseColumnMapping(value) {
+  if (value === undefined || value === '') return { error: null, mapping: {} };
+
+  let mapping = value;
+  if (typeof value === 'string') {
+    try {
+      mapping = JSON.parse(value);
+    } catch (error) {
+      return { error: 'column_map must be valid JSON', mapping: {} };
+    }
+  }
+
+  const errors = validateColumnMapping(mapping);
+  return errors.length > 0
+    ? { error: errors.join('; '), mapping: {} }
+    : { error: null, mapping };
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  OPTIONAL_FIELDS,
+  STANDARD_FIELDS,
+  HEADER_SYNONYMS,
+  normalizeHeader,
+  customFieldKey,
+  buildColumnMap,
+  rowToLead,
+  validateColumnMapping,
+  parseColumnMapping
+};
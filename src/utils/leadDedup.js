@@ -0,0 +1,227 @@
+/**
+ * Lead deduplication
+ * Two rows are the same person when they share a LinkedIn profile URL, or
+ * when their normalized name + company match. With fuzzy matching enabled,
+ * names and companies only need to be similar (Levenshtein ratio at or
+ * above the threshold) rather than identical. Fuzzy candidates are limited
+ * to kept leads sharing a name or company prefix, and each row is compared
+ * against at most MAX_FUZZY_COMPARISONS of them.
+ */
+
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+const MAX_FUZZY_COMPARISONS = 200;
+const NAME_PREFIX_LENGTH = 2;
+const COMPANY_PREFIX_LENGTH = 3;
+const MERGEABLE_FIELDS = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio', 'linkedin_url', 'company_size'];
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv)\b/g;
+const LINKEDIN_PROFILE = /linkedin\.com\/in\/([A-Za-z0-9_-]+)/i;
+
+function normalizeText(value) {
+  return (value || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeName(name) {
+  return normalizeText(name);
+}
+
+function normalizeCompany(company) {
+  return normalizeText(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * LinkedIn profile slug from the linkedin_url column or a URL inside the bio
+ * @returns {string|null}
+ */
+function linkedInProfile(lead) {
+  for (const value of [lead.linkedin_url, lead.linkedin_bio]) {
+    const match = (value || '').toString().match(LINKEDIN_PROFILE);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Bucket keys a lead is filed under for fuzzy matching. Near matches almost
+ * always share the start of either the name or the company.
+ * @returns {Array<string>}
+ */
+function fuzzyBuckets(name, company) {
+  const buckets = [`name:${name.slice(0, NAME_PREFIX_LENGTH)}`];
+  if (company) buckets.push(`company:${company.slice(0, COMPANY_PREFIX_LENGTH)}`);
+  return buckets;
+}
+
+/**
+ * Levenshtein similarity ratio between two strings (1 = identical)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Fill empty fields on the kept lead with values from its duplicate
+ * @returns {Array<string>} Fields that were filled in
+ */
+function mergeInto(target, duplicate) {
+  const merged = [];
+  for (const field of MERGEABLE_FIELDS) {
+    const current = (target[field] || '').toString().trim();
+    const incoming = (duplicate[field] || '').toString().trim();
+    if (!current && incoming) {
+      target[field] = duplicate[field];
+      merged.push(field);
+    }
+  }
+
+  for (const [key, value] of Object.entries(duplicate.custom_fields || {})) {
+    target.custom_fields = target.custom_fields || {};
+    if (!(target.custom_fields[key] || '').toString().trim() && (value || '').toString().trim()) {
+      target.custom_fields[key] = value;
+      merged.push(`custom_fields.${key}`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Remove duplicate leads, keeping the first occurrence of each person
+ * @param {Array} leads - Parsed leads (with lineNumber)
+ * @param {Object} options
+ * @param {boolean} options.fuzzy - Allow near matches on name/company
+ * @param {number} options.threshold - Minimum similarity (0-1) for fuzzy matches
+ * @param {boolean} options.merge - Copy non-empty fields from duplicates into the kept lead
+ * @param {Array} options.existing - Leads already stored in the batch; new rows are matched
+ *   against them but they are never dropped themselves
+ * @returns {Object} { leads, report } where leads lists existing leads first
+ */
+function dedupeLeads(leads, options = {}) {
+  const fuzzy = !!options.fuzzy;
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_FUZZY_THRESHOLD;
+  const merge = !!options.merge;
+
+  const kept = [];
+  const byProfile = new Map();
+  const byKey = new Map();
+  const byBucket = new Map();
+  const duplicates = [];
+
+  const remember = (lead, name, company, profile) => {
+    const entry = {
+      lead: { ...lead, ...(lead.custom_fields && { custom_fields: { ...lead.custom_fields } }) },
+      dedupe: { name, company }
+    };
+    kept.push(entry);
+    if (profile && !byProfile.has(profile)) byProfile.set(profile, entry);
+    if (name && !byKey.has(`${name}|${company}`)) byKey.set(`${name}|${company}`, entry);
+    if (fuzzy && name) {
+      for (const bucket of fuzzyBuckets(name, company)) {
+        if (!byBucket.has(bucket)) byBucket.set(bucket, []);
+        byBucket.get(bucket).push(entry);
+      }
+    }
+  };
+
+  // Kept leads sharing a bucket with this row, capped at MAX_FUZZY_COMPARISONS
+  const fuzzyCandidates = (name, company) => {
+    const candidates = new Set();
+    for (const bucket of fuzzyBuckets(name, company)) {
+      for (const entry of byBucket.get(bucket) || []) {
+        if (candidates.size >= MAX_FUZZY_COMPARISONS) return candidates;
+        candidates.add(entry);
+      }
+    }
+    return candidates;
+  };
+
+  for (const lead of options.existing || []) {
+    remember(lead, normalizeName(lead.name), normalizeCompany(lead.company), linkedInProfile(lead));
+  }
+
+  for (const lead of leads) {
+    const profile = linkedInProfile(lead);
+    const name = normalizeName(lead.name);
+    const company = normalizeCompany(lead.company);
+    const key = `${name}|${company}`;
+
+    let original = null;
+    let match = null;
+    let score = 1;
+
+    if (profile && byProfile.has(profile)) {
+      original = byProfile.get(profile);
+      match = 'linkedin_url';
+    } else if (name && byKey.has(key)) {
+      original = byKey.get(key);
+      match = 'name_company';
+    } else if (fuzzy && name) {
+      for (const candidate of fuzzyCandidates(name, company)) {
+        const nameScore = similarity(name, candidate.dedupe.name);
+        const companyScore = similarity(company, candidate.dedupe.company);
+        const combined = Math.min(nameScore, companyScore);
+        if (combined >= threshold && combined > (match ? score : 0)) {
+          original = candidate;
+          match = 'fuzzy';
+          score = combined;
+        }
+      }
+    }
+
+    if (original) {
+      const mergedFields = merge ? mergeInto(original.lead, lead) : [];
+      duplicates.push({
+        line: lead.lineNumber,
+        lead: lead.name || `Line ${lead.lineNumber}`,
+        duplicate_of_line: original.lead.lineNumber,
+        ...(original.lead.id && { duplicate_of_id: original.lead.id }),
+        match,
+        similarity: Math.round(score * 100) / 100,
+        merged_fields: mergedFields
+      });
+      continue;
+    }
+
+    remember(lead, name, company, profile);
+  }
+
+  return {
+    leads: kept.map(entry => entry.lead),
+    report: {
+      fuzzy,
+      fuzzy_threshold: fuzzy ? threshold : null,
+      merge,
+      duplicates_found: duplicates.length,
+      merged_rows: duplicates.filter(duplicate => duplicate.merged_fields.length > 0).length,
+      duplicates
+    }
+  };
+}
+
+module.exports = {
+  dedupeLeads,
+  similarity,
+  normalizeName,
+  normalizeCompany,
+  linkedInProfile,
+  DEFAULT_FUZZY_THRESHOLD,
+  MAX_FUZZY_COMPARISONS
+};
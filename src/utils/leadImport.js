@@ -0,0 +1,247 @@
+/**
+ * Lead import readers
+ * Each reader turns a source (CSV file, XLSX file, JSON array, NDJSON
+ * stream) into { headers, records, errors } where records are plain
+ * objects keyed by header and carry the line/row they came from (plus any
+ * row-level validation issues). The records are then mapped into leads
+ * with utils/leadColumns.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const readline = require('readline');
+const ExcelJS = require('exceljs');
+const { rowLengthIssue } = require('./leadValidation');
+
+const IMPORT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024; // Same limit as file uploads
+
+/**
+ * Detect the import format from a file name
+ * @returns {string|null}
+ */
+function formatFromFilename(filename) {
+  const extension = (filename || '').toLowerCase().split('.').pop();
+  if (extension === 'jsonl') return 'ndjson';
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Track headers in first-seen order across records
+ */
+function collectHeaders(records) {
+  const headers = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record.values)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }
+  }
+  return headers;
+}
+
+/**
+ * Flatten a JSON lead so nested custom_fields become "custom_fields.<key>" columns
+ */
+function flattenJSONLead(lead) {
+  const values = {};
+  for (const [key, value] of Object.entries(lead)) {
+    if (key === 'custom_fields' && value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [customKey, customValue] of Object.entries(value)) {
+        values[`custom_fields.${customKey}`] = customValue;
+      }
+    } else {
+      values[key] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Read a CSV file (line 1 is the header row)
+ * @returns {Promise<Object>} { headers, records, errors }
+ */
+function readCsvFile(filePath) {
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const records = [];
+    let lineNumber = 1;
+
+    fs.createReadStream(filePath)
+      .pipe(csv({
+        // Keep headers as written; they are mapped to lead fields later
+        mapHeaders: ({ header }) => header.trim(),
+        // Skip empty lines
+        skipEmptyLines: true
+      }))
+      .on('headers', (parsedHeaders) => {
+        headers = parsedHeaders;
+      })
+      .on('data', (row) => {
+        lineNumber++;
+
+        // csv-parser names surplus values _<index> and leaves missing ones out
+        const values = {};
+        let valueCount = 0;
+        for (const [key, value] of Object.entries(row)) {
+          valueCount++;
+          if (headers.includes(key)) values[key] = value;
+        }
+
+        const record = { line: lineNumber, values };
+        if (valueCount !== headers.length) {
+          record.issues = [rowLengthIssue(valueCount, headers.length)];
+        }
+        records.push(record);
+      })
+      .on('end', () => resolve({ headers, records, errors: [] }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read the first worksheet of an .xlsx file (row 1 is the header row)
+ * @returns {Promise<Object>} { headers, records, errors }
+ */
+async function readXlsxFile(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return { headers: [], records: [], errors: [] };
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = (cell.text || '').trim();
+  });
+
+  const records = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const text = row.getCell(index + 1).text;
+      values[header] = text;
+      if (text && text.trim()) hasValue = true;
+    });
+
+    if (hasValue) records.push({ line: rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), records, errors: [] };
+}
+
+/**
+ * Read leads from a parsed JSON array
+ * Entries are numbered from 1; non-object entries are reported as errors.
+ * @returns {Object} { headers, records, errors }
+ */
+function readJSONArray(leads) {
+  const records = [];
+  const errors = [];
+
+  leads.forEach((lead, index) => {
+    const line = index + 1;
+    if (!lead || typeof lead !== 'object' || Array.isArray(lead)) {
+      errors.push({ line, lead: `Record ${line}`, errors: ['Record must be a JSON object'] });
+      return;
+    }
+    records.push({ line, values: flattenJSONLead(lead) });
+  });
+
+  return { headers: collectHeaders(records), records, errors };
+}
+
+/**
+ * Read newline-delimited JSON from a stream, one lead object per line
+ * Blank lines are skipped; unparseable lines are reported as errors.
+ * @param {Readable} stream - Request or file stream
+ * @param {Object} options
+ * @param {number} options.maxBytes - Abort with a 413-style error beyond this size
+ * @returns {Promise<Object>} { headers, records, errors }
+ */
+async function readNdjsonStream(stream, options = {}) {
+  const maxBytes = options.maxBytes || MAX_IMPORT_BYTES;
+  const records = [];
+  const errors = [];
+  let bytes = 0;
+  let line = 0;
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  for await (const text of lines) {
+    line++;
+    bytes += Buffer.byteLength(text) + 1;
+    if (bytes > maxBytes) {
+      // Discard the rest of the body instead of destroying the stream, so an
+      // HTTP request stays open for the 413 response
+      lines.close();
+      stream.resume();
+      const limit = maxBytes >= 1024 * 1024 ? `${Math.round(maxBytes / (1024 * 1024))}MB` : `${Math.round(maxBytes / 1024)}KB`;
+      const error = new Error(`NDJSON import exceeds ${limit}`);
+      error.code = 'LIMIT_FILE_SIZE';
+      throw error;
+    }
+
+    if (!text.trim()) continue;
+
+    let lead;
+    try {
+      lead = JSON.parse(text);
+    } catch (error) {
+      errors.push({ line, lead: `Line ${line}`, errors: [`Invalid JSON: ${error.message}`] });
+      continue;
+    }
+
+    if (!lead || typeof lead !== 'object' || Array.isArray(lead)) {
+      errors.push({ line, lead: `Line ${line}`, errors: ['Line must contain a JSON object'] });
+      continue;
+    }
+
+    records.push({ line, values: flattenJSONLead(lead) });
+  }
+
+  return { headers: collectHeaders(records), records, errors };
+}
+
+/**
+ * Read an uploaded file in any supported format
+ * @returns {Promise<Object>} { headers, records, errors }
+ */
+async function readImportFile(filePath, format) {
+  switch (format) {
+    case 'csv':
+      return readCsvFile(filePath);
+    case 'xlsx':
+      return readXlsxFile(filePath);
+    case 'ndjson':
+      return readNdjsonStream(fs.createReadStream(filePath));
+    case 'json': {
+      const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      const leads = Array.isArray(parsed) ? parsed : parsed && parsed.leads;
+      if (!Array.isArray(leads)) {
+        throw new Error('JSON file must contain an array of leads (or { "leads": [...] })');
+      }
+      return readJSONArray(leads);
+    }
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_BYTES,
+  formatFromFilename,
+  readCsvFile,
+  readXlsxFile,
+  readJSONArray,
+  readNdjsonStream,
+  readImportFile
+};
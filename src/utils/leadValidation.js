@@ -0,0 +1,194 @@
+/**
+ * Row-level lead validation
+ * Checks each lead for missing or empty required values, overlong fields,
+ * malformed names and text that didn't decode cleanly. Every problem is an
+ * issue { field, code, severity, message }; a lead with any "error" issue is
+ * flagged invalid (it is still stored and scored), "warning" issues are
+ * informational.
+ */
+
+const { REQUIRED_FIELDS } = require('./leadColumns');
+
+const FIELD_MAX_LENGTHS = {
+  name: 100,
+  role: 150,
+  company: 150,
+  industry: 100,
+  location: 150,
+  linkedin_bio: 2000,
+  company_size: 50,
+  linkedin_url: 300
+};
+const CUSTOM_FIELD_MAX_LENGTH = 1000;
+
+const ISSUE_CODES = [
+  'missing_field',
+  'empty_value',
+  'too_long',
+  'malformed_name',
+  'invalid_encoding',
+  'row_length_mismatch',
+  'unparseable_row'
+];
+
+// U+FFFD is what undecodable bytes turn into; control characters never belong in lead text
+const INVALID_TEXT = /[\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M}'’.,\- ]*$/u;
+
+function issue(field, code, message, severity = 'error') {
+  return { field, code, severity, message };
+}
+
+/**
+ * Explain why a name doesn't look like a person's name
+ * @returns {string|null}
+ */
+function nameProblem(name) {
+  if (/@/.test(name)) return 'looks like an email address';
+  if (/https?:|www\./i.test(name)) return 'looks like a URL';
+  if (/\d/.test(name)) return 'contains digits';
+  if (!NAME_PATTERN.test(name)) return 'contains unexpected characters';
+  if ((name.match(/\p{L}/gu) || []).length < 2) return 'is too short';
+  return null;
+}
+
+/**
+ * Validate a single lead
+ * @param {Object} lead - Parsed lead (issues from the source row, e.g.
+ *   row_length_mismatch, can be passed in lead.importIssues)
+ * @returns {Object} { isValid, errors, warnings, issues } where errors and
+ *   warnings are the issue messages
+ */
+function validateLeadData(lead) {
+  const issues = [...(lead.importIssues || [])];
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!Object.prototype.hasOwnProperty.call(lead, field)) {
+      issues.push(issue(field, 'missing_field', `Missing field: ${field}`));
+    } else if (!(lead[field] || '').toString().trim()) {
+      issues.push(issue(field, 'empty_value', `Empty value: ${field}`));
+    }
+  }
+
+  for (const [field, maxLength] of Object.entries(FIELD_MAX_LENGTHS)) {
+    const value = lead[field];
+    if (value === undefined || value === null) continue;
+
+    const text = value.toString();
+    if (INVALID_TEXT.test(text)) {
+      issues.push(issue(field, 'invalid_encoding', `${field} contains invalid or unreadable characters`));
+    }
+    if (text.length > maxLength) {
+      issues.push(issue(field, 'too_long', `${field} is ${text.length} characters (max ${maxLength})`));
+    }
+  }
+
+  for (const [key, value] of Object.entries(lead.custom_fields || {})) {
+    const text = (value === undefined || value === null ? '' : value).toString();
+    const field = `custom_fields.${key}`;
+    if (INVALID_TEXT.test(text)) {
+      issues.push(issue(field, 'invalid_encoding', `${field} contains invalid or unreadable characters`));
+    }
+    if (text.length > CUSTOM_FIELD_MAX_LENGTH) {
+      issues.push(issue(field, 'too_long', `${field} is ${text.length} characters (max ${CUSTOM_FIELD_MAX_LENGTH})`, 'warning'));
+    }
+  }
+
+  const name = (lead.name || '').toString().trim();
+  const problem = name && !INVALID_TEXT.test(name) ? nameProblem(name) : null;
+  if (problem) {
+    issues.push(issue('name', 'malformed_name', `name "${name}" ${problem}`));
+  }
+
+  const errors = issues.filter(item => item.severity === 'error').map(item => item.message);
+  const warnings = issues.filter(item => item.severity === 'warning').map(item => item.message);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    issues
+  };
+}
+
+/**
+ * Issue recorded for a source row that couldn't be turned into a lead
+ */
+function unparseableRowIssue(message) {
+  return issue(null, 'unparseable_row', message);
+}
+
+/**
+ * Issue recorded for a CSV row whose value count doesn't match the header
+ */
+function rowLengthIssue(valueCount, headerCount) {
+  return issue(
+    null,
+    'row_length_mismatch',
+    `Row has ${valueCount} values but the header has ${headerCount} columns`,
+    'warning'
+  );
+}
+
+/**
+ * Count issues by code and rows by status
+ * @param {Iterable<Object>} rows - Report rows (see reportRows)
+ */
+function summarizeReport(rows) {
+  const summary = { total_rows: 0, valid_rows: 0, invalid_rows: 0, rows_with_warnings: 0, rejected_rows: 0, by_code: {} };
+
+  for (const row of rows) {
+    summary.total_rows++;
+    if (row.status === 'rejected') summary.rejected_rows++;
+    else if (row.valid) summary.valid_rows++;
+    else summary.invalid_rows++;
+    if (row.issues.some(item => item.severity === 'warning')) summary.rows_with_warnings++;
+
+    for (const item of row.issues) {
+      summary.by_code[item.code] = (summary.by_code[item.code] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * One report row per stored lead (re-validated, so edits are reflected)
+ * followed by the source rows that were rejected on import
+ * @param {Object} batch - Lead batch (see DataStore.getLeads)
+ */
+function* reportRows(batch) {
+  for (const lead of batch.data) {
+    const validation = validateLeadData(lead);
+    yield {
+      line: lead.lineNumber !== undefined ? lead.lineNumber : null,
+      lead_id: lead.id || null,
+      name: lead.name || '',
+      status: 'stored',
+      valid: validation.isValid,
+      issues: validation.issues
+    };
+  }
+
+  for (const rejected of batch.rejectedRows || []) {
+    yield {
+      line: rejected.line,
+      lead_id: null,
+      name: rejected.lead || '',
+      status: 'rejected',
+      valid: false,
+      issues: rejected.issues
+    };
+  }
+}
+
+module.exports = {
+  FIELD_MAX_LENGTHS,
+  CUSTOM_FIELD_MAX_LENGTH,
+  ISSUE_CODES,
+  validateLeadData,
+  unparseableRowIssue,
+  rowLengthIssue,
+  summarizeReport,
+  reportRows
+};
@@ -0,0 +1,337 @@
+/**
+ * Versioned AI prompt templates
+ * Templates are stored per workspace in the "promptTemplates" collection;
+ * saving a template under an existing name adds a new version. Offers can
+ * pin a template (and optionally a version) with `prompt_template`; other
+ * offers use the latest version of the workspace's "default" template, or
+ * the built-in prompt (version 0) when none has been saved.
+ *
+ * Placeholders look like {{lead.role}} or {{offer.value_props|Not specified}}
+ * (text after the pipe is used when the value is empty).
+ */
+
+const dataStore = require('./dataStore');
+const { STANDARD_FIELDS } = require('./leadColumns');
+const { AI_RESPONSE_SCHEMA } = require('./aiResponseSchema');
+
+const DEFAULT_TEMPLATE_NAME = 'default';
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_DESCRIPTION_LENGTH = 500;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const OFFER_FIELDS = [
+  'name',
+  'value_props',
+  'ideal_use_cases',
+  'target_roles',
+  'excluded_roles',
+  'target_geographies',
+  'company_size_bands',
+  'disqualifiers',
+  'persona'
+];
+
+/**
+ * Placeholders every template may use (lead.custom_fields.<key> is also accepted)
+ */
+const PLACEHOLDERS = [
+  ...STANDARD_FIELDS.map(field => `lead.${field}`),
+  'lead.custom_fields',
+  ...OFFER_FIELDS.map(field => `offer.${field}`),
+  'response_schema'
+];
+
+const DEFAULT_PROMPT_TEMPLATE = `Product/Offer: {{offer.name|Not specified}}
+Value Props: {{offer.value_props|Not specified}}
+Ideal Use Cases: {{offer.ideal_use_cases|Not specified}}
+{{offer.persona}}
+
+Prospect Profile:
+- Name: {{lead.name|Not provided}}
+- Role: {{lead.role|Not provided}}
+- Company: {{lead.company|Not provided}}
+- Industry: {{lead.industry|Not provided}}
+- Location: {{lead.location|Not provided}}
+- LinkedIn Bio: {{lead.linkedin_bio|Not provided}}
+
+Based on the prospect's profile and the product offering, classify their buying intent as High, Medium, or Low.
+
+Consider:
+- Role authority and decision-making power
+- Industry fit with the product
+- Company stage and likely needs
+- Geographic relevance
+- Profile completeness and engagement indicators
+
+Respond with a single JSON object and nothing else, matching this schema:
+{{response_schema}}
+
+Example response:
+{"intent": "High", "confidence": 0.85, "reasoning": "VP of Sales at a mid-market SaaS company fits perfectly with the ICP, has decision-making authority, and the AI automation directly addresses sales productivity challenges.", "signals": {"pain_points": ["sales team productivity"], "buying_triggers": ["scaling outbound pipeline"]}}`;
+
+function isKnownPlaceholder(path) {
+  return PLACEHOLDERS.includes(path) || /^lead\.custom_fields\.[^.]+$/.test(path);
+}
+
+/**
+ * Placeholder paths used by a template, in order of first use
+ */
+function extractPlaceholders(template) {
+  const paths = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(paths)];
+}
+
+/**
+ * Validate a template definition
+ * @param {Object} body - { name, template, description }
+ * @returns {Object} { isValid, errors, warnings }
+ */
+function validatePromptTemplate(body) {
+  const errors = [];
+  const warnings = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { isValid: false, errors: ['Prompt template must be an object'], warnings };
+  }
+
+  const { name, template, description } = body;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    errors.push('name must be 1-64 lowercase letters, digits, "-" or "_", starting with a letter or digit');
+  }
+
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    errors.push('template must be a non-empty string');
+  } else if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  } else {
+    const placeholders = extractPlaceholders(template);
+    const unknown = placeholders.filter(path => !isKnownPlaceholder(path));
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholders: ${unknown.join(', ')}`);
+    }
+    if (!placeholders.some(path => path.startsWith('lead.') && isKnownPlaceholder(path))) {
+      errors.push('template must reference at least one lead field (e.g. {{lead.role}})');
+    }
+    if (!placeholders.includes('response_schema')) {
+      warnings.push('template does not include {{response_schema}}; responses that are not the expected JSON fall back to heuristic scoring');
+    }
+  }
+
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Normalize a template pin ("name" or { name, version }) to { name, version },
+ * where a null version means "latest"
+ * @returns {Object} { error, pin }
+ */
+function normalizePin(value) {
+  const pin = typeof value === 'string'
+    ? { name: value, version: null }
+    : value && typeof value === 'object' && !Array.isArray(value)
+      ? { name: value.name, version: value.version !== undefined && value.version !== null ? value.version : null }
+      : null;
+
+  if (!pin || typeof pin.name !== 'string' || pin.name.length === 0) {
+    return { error: 'prompt_template must be a template name or { name, version }', pin: null };
+  }
+  if (pin.version !== null && (!Number.isInteger(pin.version) || pin.version < 0)) {
+    return { error: 'prompt_template.version must be a non-negative integer', pin: null };
+  }
+  return { error: null, pin };
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? item.label || item.id : item)).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join('; ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Describe the offer's target persona (one line per field that is set)
+ */
+function describePersona(offer) {
+  const lines = [
+    ['Target Roles', offer.target_roles],
+    ['Excluded Roles', offer.excluded_roles],
+    ['Target Geographies', offer.target_geographies],
+    ['Target Company Sizes', offer.company_size_bands],
+    ['Disqualifiers', offer.disqualifiers]
+  ]
+    .filter(([, values]) => Array.isArray(values) && values.length > 0)
+    .map(([label, values]) => `${label}: ${formatValue(values)}`);
+
+  return lines.join('\n');
+}
+
+function placeholderValue(path, lead, offer) {
+  if (path === 'response_schema') return AI_RESPONSE_SCHEMA;
+
+  const [source, field, key] = path.split('.');
+  if (source === 'lead') {
+    const value = field === 'custom_fields' && key !== undefined
+      ? (lead.custom_fields || {})[key]
+      : lead[field];
+    return formatValue(value);
+  }
+
+  if (!offer) return '';
+  return field === 'persona' ? describePersona(offer) : formatValue(offer[field]);
+}
+
+/**
+ * Fill a template's placeholders for one lead and offer
+ * @returns {string} Prompt text
+ */
+function renderPromptTemplate(template, lead, offer) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, path, fallback) => {
+    const value = placeholderValue(path, lead || {}, offer).trim();
+    return value || (fallback !== undefined ? fallback.trim() : '');
+  });
+}
+
+class PromptTemplateManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  builtinRecord(workspaceId) {
+    return {
+      id: `${workspaceId}:${DEFAULT_TEMPLATE_NAME}:0`,
+      workspaceId,
+      name: DEFAULT_TEMPLATE_NAME,
+      version: 0,
+      template: DEFAULT_PROMPT_TEMPLATE,
+      description: 'Built-in lead intent prompt',
+      createdAt: null,
+      isDefault: true
+    };
+  }
+
+  /**
+   * Stored versions of a template, most recent first (the built-in
+   * version 0 is listed last for the default template)
+   */
+  listVersions(workspaceId, name) {
+    const versions = this.adapter.list('promptTemplates')
+      .filter(record => record.workspaceId === workspaceId && record.name === name)
+      .sort((a, b) => b.version - a.version);
+
+    return name === DEFAULT_TEMPLATE_NAME ? [...versions, this.builtinRecord(workspaceId)] : versions;
+  }
+
+  getVersion(workspaceId, name, version) {
+    if (name === DEFAULT_TEMPLATE_NAME && Number(version) === 0) return this.builtinRecord(workspaceId);
+    return this.adapter.get('promptTemplates', `${workspaceId}:${name}:${Number(version)}`) || null;
+  }
+
+  getLatest(workspaceId, name) {
+    return this.listVersions(workspaceId, name)[0] || null;
+  }
+
+  /**
+   * Latest version of every template in the workspace (always includes "default")
+   */
+  list(workspaceId) {
+    const names = new Set([DEFAULT_TEMPLATE_NAME]);
+    for (const record of this.adapter.list('promptTemplates')) {
+      if (record.workspaceId === workspaceId) names.add(record.name);
+    }
+    return [...names].sort().map(name => this.getLatest(workspaceId, name));
+  }
+
+  /**
+   * Store a new version of a template
+   * @param {string} workspaceId
+   * @param {Object} definition - Validated { name, template, description }
+   * @returns {Object} Stored record
+   */
+  saveVersion(workspaceId, { name, template, description }) {
+    const latest = this.getLatest(workspaceId, name);
+    const version = latest ? latest.version + 1 : 1;
+    const record = {
+      id: `${workspaceId}:${name}:${version}`,
+      workspaceId,
+      name,
+      version,
+      template,
+      description: description || null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.adapter.set('promptTemplates', record.id, record);
+    return record;
+  }
+
+  /**
+   * Record a pin refers to
+   * @param {string} workspaceId
+   * @param {Object} pin - { name, version } (see normalizePin); a null version means the latest
+   * @returns {Object|null}
+   */
+  getPinned(workspaceId, pin) {
+    return pin.version !== null && pin.version !== undefined
+      ? this.getVersion(workspaceId, pin.name, pin.version)
+      : this.getLatest(workspaceId, pin.name);
+  }
+
+  /**
+   * Template record to score an offer with
+   * Uses the offer's pinned template (`prompt_template: { name, version }`), else
+   * the workspace default.
+   */
+  resolveForOffer(offer) {
+    const workspaceId = offer && offer.workspaceId;
+    const pinned = offer && offer.prompt_template;
+
+    if (workspaceId && pinned) {
+      const record = this.getPinned(workspaceId, pinned);
+      if (record) return record;
+    }
+
+    return workspaceId
+      ? this.getLatest(workspaceId, DEFAULT_TEMPLATE_NAME)
+      : this.builtinRecord(null);
+  }
+
+  /**
+   * Public representation of a stored record
+   */
+  toPublic(record) {
+    return {
+      name: record.name,
+      version: record.version,
+      description: record.description,
+      is_default: !!record.isDefault,
+      created_at: record.createdAt,
+      placeholders: extractPlaceholders(record.template),
+      template: record.template
+    };
+  }
+}
+
+// Export singleton instance sharing the data store's adapter
+const promptTemplates = new PromptTemplateManager(dataStore.adapter);
+module.exports = promptTemplates;
+module.exports.PromptTemplateManager = PromptTemplateManager;
+module.exports.DEFAULT_TEMPLATE_NAME = DEFAULT_TEMPLATE_NAME;
+module.exports.DEFAULT_PROMPT_TEMPLATE = DEFAULT_PROMPT_TEMPLATE;
+module.exports.PLACEHOLDERS = PLACEHOLDERS;
+module.exports.validatePromptTemplate = validatePromptTemplate;
+module.exports.normalizePin = normalizePin;
+module.exports.renderPromptTemplate = renderPromptTemplate;
+module.exports.extractPlaceholders = extractPlaceholders;
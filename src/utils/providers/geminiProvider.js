@@ -0,0 +1,35 @@
+/**
+ * Google Gemini provider
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-pro';
+
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Model name (defaults to gemini-pro)
+   */
+  constructor({ apiKey, model }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini provider');
+    }
+    this.name = 'gemini';
+    this.model = model || DEFAULT_MODEL;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Send a prompt and return the raw text response
+   */
+  async generate(prompt) {
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const result = await model.generateContent(prompt);
+    return result.response.text();
+  }
+}
+
+GeminiProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+module.exports = GeminiProvider;
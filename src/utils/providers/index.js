@@ -0,0 +1,68 @@
+/**
+ * AI provider factory
+ * Selects the provider from AI_PROVIDER (gemini | openai | mock). When unset,
+ * the first provider with a configured API key is used (Gemini, then OpenAI).
+ *
+ * Every provider exposes: name, model and generate(prompt, context) -> Promise<string>,
+ * where context is { lead } (only the mock provider looks at it)
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+/**
+ * Read an API key, ignoring the placeholder values from .env.example
+ */
+function readApiKey(name) {
+  const value = process.env[name];
+  if (!value || value.startsWith('your_')) return null;
+  return value;
+}
+
+/**
+ * Resolve which provider to use
+ * @returns {string|null} Provider name, or null when no provider is configured
+ */
+function resolveProviderName(requested) {
+  const name = (requested || process.env.AI_PROVIDER || '').toLowerCase();
+  if (name) return name;
+
+  if (readApiKey('GEMINI_API_KEY')) return 'gemini';
+  if (readApiKey('OPENAI_API_KEY')) return 'openai';
+  return null;
+}
+
+/**
+ * Create the configured AI provider
+ * @param {Object} options - Overrides for provider name and model
+ * @returns {Object|null} Provider instance, or null to use heuristic fallback
+ */
+function createProvider(options = {}) {
+  const name = resolveProviderName(options.provider);
+  if (!name) return null;
+
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  const model = options.model || process.env.AI_MODEL || process.env[`${name.toUpperCase()}_MODEL`];
+
+  return new Provider({
+    apiKey: options.apiKey || readApiKey(`${name.toUpperCase()}_API_KEY`),
+    model
+  });
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  PROVIDERS
+};
@@ -0,0 +1,52 @@
+/**
+ * Deterministic local provider for offline development and tests
+ * Classifies intent from the "Role:" line of the prompt, or from the lead's
+ * role when a custom template has no such line, so the same prompt always
+ * produces the same response without any network calls.
+ */
+
+const DEFAULT_MODEL = 'mock-v1';
+
+const HIGH_INTENT_ROLES = ['ceo', 'cto', 'cfo', 'coo', 'founder', 'president', 'vp', 'vice president', 'head of', 'director', 'chief'];
+const MEDIUM_INTENT_ROLES = ['manager', 'lead', 'senior', 'principal', 'architect'];
+
+class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model label reported in status
+   */
+  constructor({ model } = {}) {
+    this.name = 'mock';
+    this.model = model || DEFAULT_MODEL;
+  }
+
+  /**
+   * Return a canned classification derived from the prompt
+   * @param {string} prompt
+   * @param {Object} context - { lead } the prompt was built for
+   */
+  async generate(prompt, { lead } = {}) {
+    const roleMatch = prompt.match(/^\W*Role:\s*(.*)$/im);
+    const role = (roleMatch ? roleMatch[1] : (lead && lead.role) || '').toLowerCase();
+
+    let intent = 'Low';
+    if (HIGH_INTENT_ROLES.some(keyword => role.includes(keyword))) {
+      intent = 'High';
+    } else if (MEDIUM_INTENT_ROLES.some(keyword => role.includes(keyword))) {
+      intent = 'Medium';
+    }
+
+    return JSON.stringify({
+      intent,
+      confidence: intent === 'Low' ? 0.6 : 0.8,
+      reasoning: `Mock classification based on role "${role || 'unknown'}".`,
+      signals: {
+        pain_points: [],
+        buying_triggers: intent === 'High' ? ['decision-making authority'] : []
+      }
+    });
+  }
+}
+
+MockProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+module.exports = MockProvider;
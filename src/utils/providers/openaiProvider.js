@@ -0,0 +1,38 @@
+/**
+ * OpenAI provider (chat completions)
+ */
+
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.model - Model name (defaults to gpt-4o-mini)
+   */
+  constructor({ apiKey, model }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai provider');
+    }
+    this.name = 'openai';
+    this.model = model || DEFAULT_MODEL;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  /**
+   * Send a prompt and return the raw text response
+   */
+  async generate(prompt) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.2
+    });
+    return completion.choices[0].message.content || '';
+  }
+}
+
+OpenAIProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+module.exports = OpenAIProvider;
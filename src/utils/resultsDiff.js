@@ -0,0 +1,108 @@
+/**
+ * Compare two scoring runs
+ * Runs scored from the same leads batch match leads by id. Every upload
+ * assigns fresh ids, so runs from different batches (or leads without an id)
+ * match by normalized name + company instead.
+ */
+
+function normalize(value) {
+  return (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Key used to match the same lead across runs
+ * @param {Object} lead
+ * @param {boolean} byId - Whether lead ids are comparable between the runs
+ */
+function leadKey(lead, byId = true) {
+  if (byId && lead.id) return `id:${lead.id}`;
+  return `${normalize(lead.name)}|${normalize(lead.company)}`;
+}
+
+function indexByKey(leads, byId) {
+  const index = new Map();
+  for (const lead of leads) {
+    const key = leadKey(lead, byId);
+    // Keep the first occurrence if a run contains duplicates
+    if (!index.has(key)) index.set(key, lead);
+  }
+  return index;
+}
+
+function describeLead(lead) {
+  return {
+    name: lead.name,
+    company: lead.company,
+    intent: lead.intent,
+    score: lead.score
+  };
+}
+
+/**
+ * Diff two results records
+ * @param {Object} base - Earlier results record
+ * @param {Object} other - Results record to compare against
+ * @returns {Object} { summary, changed, added, removed }
+ */
+function diffResults(base, other) {
+  const byId = !!base.leadsId && base.leadsId === other.leadsId;
+  const baseLeads = indexByKey(base.data, byId);
+  const otherLeads = indexByKey(other.data, byId);
+
+  const changed = [];
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+  let intentChanges = 0;
+
+  for (const [key, before] of baseLeads) {
+    const after = otherLeads.get(key);
+    if (!after) {
+      removed.push(describeLead(before));
+      continue;
+    }
+
+    const intentChanged = before.intent !== after.intent;
+    const scoreDelta = (after.score || 0) - (before.score || 0);
+
+    if (!intentChanged && scoreDelta === 0) {
+      unchanged++;
+      continue;
+    }
+
+    if (intentChanged) intentChanges++;
+    changed.push({
+      name: after.name,
+      company: after.company,
+      intent: { from: before.intent, to: after.intent, changed: intentChanged },
+      score: { from: before.score, to: after.score, delta: scoreDelta }
+    });
+  }
+
+  for (const [key, lead] of otherLeads) {
+    if (!baseLeads.has(key)) added.push(describeLead(lead));
+  }
+
+  // Biggest movements first
+  changed.sort((a, b) => Math.abs(b.score.delta) - Math.abs(a.score.delta));
+
+  return {
+    summary: {
+      matched: changed.length + unchanged,
+      unchanged,
+      changed: changed.length,
+      intent_changed: intentChanges,
+      score_changed: changed.filter(change => change.score.delta !== 0).length,
+      added: added.length,
+      removed: removed.length
+    },
+    changed,
+    added,
+    removed
+  };
+}
+
+module.exports = {
+  leadKey,
+  diffResults
+};
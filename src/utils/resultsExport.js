@@ -0,0 +1,244 @@
+/**
+ * Results export
+ * Streams scored leads as CSV, JSON, NDJSON or XLSX with a selectable set
+ * of columns. Nothing is written to disk; rows go straight to the response.
+ */
+
+const { createObjectCsvStringifier } = require('csv-writer');
+const ExcelJS = require('exceljs');
+const { writeChunk, assertWritable } = require('./streamWriter');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+const EXPORT_CHUNK_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const details = lead => lead.details || {};
+const bestOffer = lead => lead.best_offer || {};
+const offerScore = (lead, offerId) => (lead.offer_scores || []).find(entry => String(entry.offer_id) === offerId);
+
+/**
+ * Built-in columns: id -> { title, value(lead) }
+ * Any "details.<key>" or "custom_fields.<key>" path can be exported as well,
+ * and "offer_scores.<offer id>" for the score against one offer of a multi-offer run.
+ */
+const EXPORT_COLUMNS = {
+  id: { title: 'Lead ID', value: lead => lead.id },
+  name: { title: 'Name', value: lead => lead.name },
+  role: { title: 'Role', value: lead => lead.role },
+  company: { title: 'Company', value: lead => lead.company },
+  industry: { title: 'Industry', value: lead => lead.industry },
+  location: { title: 'Location', value: lead => lead.location },
+  linkedin_bio: { title: 'LinkedIn Bio', value: lead => lead.linkedin_bio },
+  linkedin_url: { title: 'LinkedIn URL', value: lead => lead.linkedin_url },
+  company_size: { title: 'Company Size', value: lead => lead.company_size },
+  intent: { title: 'Intent', value: lead => lead.intent },
+  score: { title: 'Score', value: lead => lead.score },
+  rule_score: { title: 'Rule Score', value: lead => (lead.breakdown && lead.breakdown.rule_score) || 0 },
+  ai_score: { title: 'AI Score', value: lead => (lead.breakdown && lead.breakdown.ai_score) || 0 },
+  reasoning: { title: 'Reasoning', value: lead => lead.reasoning },
+  ai_reasoning: { title: 'AI Reasoning', value: lead => details(lead).ai_reasoning },
+  ai_source: { title: 'AI Source', value: lead => details(lead).ai_source },
+  ai_confidence: { title: 'AI Confidence', value: lead => details(lead).ai_confidence },
+  'details.rule_breakdown': { title: 'Rule Breakdown', value: lead => details(lead).rule_breakdown },
+  best_offer: { title: 'Best Offer', value: lead => bestOffer(lead).offer_name },
+  best_offer_id: { title: 'Best Offer ID', value: lead => bestOffer(lead).offer_id },
+  best_offer_reasoning: { title: 'Best Offer Reasoning', value: lead => bestOffer(lead).reasoning },
+  offer_scores: { title: 'Offer Scores', value: lead => lead.offer_scores },
+  custom_fields: { title: 'Custom Fields', value: lead => lead.custom_fields }
+};
+
+// The original fixed CSV layout; custom fields get one column each on top
+const DEFAULT_COLUMNS = ['name', 'role', 'company', 'industry', 'location', 'intent', 'score', 'rule_score', 'ai_score', 'reasoning'];
+// Added to the defaults for multi-offer runs, followed by one score column per offer
+const MULTI_OFFER_COLUMNS = ['best_offer', 'best_offer_reasoning'];
+
+const PATH_COLUMN = /^(details|custom_fields|offer_scores)\.([A-Za-z0-9_]+)$/;
+
+/**
+ * Resolve a column id to { id, title, value(lead) }
+ * @returns {Object|null}
+ */
+function resolveColumn(id) {
+  if (EXPORT_COLUMNS[id]) return { id, ...EXPORT_COLUMNS[id] };
+
+  const match = id.match(PATH_COLUMN);
+  if (!match) return null;
+
+  const [, root, key] = match;
+  if (root === 'offer_scores') {
+    return {
+      id,
+      title: id,
+      value: (lead) => {
+        const entry = offerScore(lead, key);
+        return entry ? entry.score : null;
+      }
+    };
+  }
+
+  return {
+    id,
+    // Custom fields keep their own name as the header, as in earlier exports
+    title: root === 'custom_fields' ? key : id,
+    value: lead => (lead[root] || {})[key]
+  };
+}
+
+/**
+ * Parse the columns parameter ("name,score,details.rule_breakdown")
+ * Without it, the default columns are used plus one per custom field
+ * (and the best offer and per-offer scores for multi-offer runs).
+ * @param {string} value - Comma separated column ids
+ * @param {Array} leads - Leads being exported (to discover custom fields)
+ * @returns {Object} { errors, columns }
+ */
+function parseExportColumns(value, leads = []) {
+  if (value === undefined || value === '') {
+    const customFields = [...new Set(leads.flatMap(lead => Object.keys(lead.custom_fields || {})))];
+    const offers = new Map();
+    for (const lead of leads) {
+      for (const entry of lead.offer_scores || []) offers.set(String(entry.offer_id), entry.offer_name);
+    }
+
+    const offerColumns = offers.size > 0
+      ? [
+        ...MULTI_OFFER_COLUMNS.map(resolveColumn),
+        ...[...offers].map(([offerId, offerName]) => ({ ...resolveColumn(`offer_scores.${offerId}`), title: `Score: ${offerName}` }))
+      ]
+      : [];
+
+    return {
+      errors: [],
+      columns: [
+        ...DEFAULT_COLUMNS.map(resolveColumn),
+        ...offerColumns,
+        ...customFields.map(key => resolveColumn(`custom_fields.${key}`))
+      ]
+    };
+  }
+
+  const errors = [];
+  const columns = [];
+  const seen = new Set();
+
+  for (const id of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+    const column = resolveColumn(id);
+    if (!column) {
+      errors.push(`Unknown column "${id}" (use ${Object.keys(EXPORT_COLUMNS).join(', ')}, details.<key>, custom_fields.<key> or offer_scores.<offer id>)`);
+    } else if (!seen.has(id)) {
+      seen.add(id);
+      columns.push(column);
+    }
+  }
+
+  if (errors.length === 0 && columns.length === 0) {
+    errors.push('columns must list at least one column');
+  }
+
+  return { errors, columns };
+}
+
+/**
+ * Flatten a value for a spreadsheet cell (lists joined, objects as JSON)
+ */
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Build an export row keyed by column id
+ * @param {boolean} flat - Flatten values for CSV/XLSX cells
+ */
+function exportRow(lead, columns, flat) {
+  return columns.reduce((row, column) => {
+    const value = column.value(lead);
+    row[column.id] = flat ? cellValue(value) : (value === undefined ? null : value);
+    return row;
+  }, {});
+}
+
+async function streamCsv(stream, leads, columns) {
+  const stringifier = createObjectCsvStringifier({
+    header: columns.map(column => ({ id: column.id, title: column.title }))
+  });
+
+  await writeChunk(stream, stringifier.getHeaderString());
+  for (let start = 0; start < leads.length; start += EXPORT_CHUNK_SIZE) {
+    const chunk = leads.slice(start, start + EXPORT_CHUNK_SIZE).map(lead => exportRow(lead, columns, true));
+    await writeChunk(stream, stringifier.stringifyRecords(chunk));
+  }
+  stream.end();
+}
+
+async function streamJSON(stream, leads, columns) {
+  await writeChunk(stream, '[');
+  for (let start = 0; start < leads.length; start += EXPORT_CHUNK_SIZE) {
+    const chunk = leads.slice(start, start + EXPORT_CHUNK_SIZE)
+      .map(lead => JSON.stringify(exportRow(lead, columns, false)))
+      .join(',');
+    await writeChunk(stream, (start > 0 ? ',' : '') + chunk);
+  }
+  stream.end(']');
+}
+
+async function streamNdjson(stream, leads, columns) {
+  for (let start = 0; start < leads.length; start += EXPORT_CHUNK_SIZE) {
+    const chunk = leads.slice(start, start + EXPORT_CHUNK_SIZE)
+      .map(lead => `${JSON.stringify(exportRow(lead, columns, false))}\n`)
+      .join('');
+    await writeChunk(stream, chunk);
+  }
+  stream.end();
+}
+
+async function streamXlsx(stream, leads, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('Results');
+  worksheet.columns = columns.map(column => ({ header: column.title, key: column.id }));
+
+  for (const lead of leads) {
+    assertWritable(stream);
+    worksheet.addRow(exportRow(lead, columns, true)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+const WRITERS = {
+  csv: streamCsv,
+  json: streamJSON,
+  ndjson: streamNdjson,
+  xlsx: streamXlsx
+};
+
+/**
+ * Stream leads to a writable stream (usually the HTTP response) and end it
+ * @param {Writable} stream
+ * @param {Array} leads - Filtered and sorted scored leads
+ * @param {Object} options - { format, columns } (columns from parseExportColumns)
+ * @returns {Promise<void>}
+ */
+function streamExport(stream, leads, { format, columns }) {
+  return WRITERS[format](stream, leads, columns);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  CONTENT_TYPES,
+  resolveColumn,
+  parseExportColumns,
+  exportRow,
+  streamExport
+};
@@ -0,0 +1,231 @@
+/**
+ * Filtering, sorting and cursor pagination for scored results
+ * Shared by GET /api/results and GET /api/results/:id so the same query
+ * string always selects the same leads.
+ */
+
+const crypto = require('crypto');
+
+const INTENTS = ['High', 'Medium', 'Low'];
+const SORT_FIELDS = ['score', 'name'];
+const MAX_PAGE_SIZE = 500;
+const TEXT_FILTERS = ['industry', 'role', 'location'];
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseScore(value, field, errors) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    errors.push(`${field} must be a number`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Parse and validate query string parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { isValid, errors, options }
+ */
+function parseResultsQuery(query = {}) {
+  const errors = [];
+  const options = { filters: {}, sort: null, order: null, limit: null, cursor: null };
+
+  if (query.intent !== undefined) {
+    const intents = parseList(query.intent).map(value =>
+      INTENTS.find(intent => intent.toLowerCase() === value.toLowerCase()) || value
+    );
+    const invalid = intents.filter(intent => !INTENTS.includes(intent));
+    if (invalid.length > 0) {
+      errors.push(`intent must be one or more of: ${INTENTS.join(', ')}`);
+    } else {
+      options.filters.intent = intents;
+    }
+  }
+
+  const minScore = parseScore(query.min_score, 'min_score', errors);
+  const maxScore = parseScore(query.max_score, 'max_score', errors);
+  if (minScore !== undefined) options.filters.min_score = minScore;
+  if (maxScore !== undefined) options.filters.max_score = maxScore;
+  if (minScore !== undefined && maxScore !== undefined && minScore > maxScore) {
+    errors.push('min_score must not be greater than max_score');
+  }
+
+  for (const field of TEXT_FILTERS) {
+    if (query[field] !== undefined && String(query[field]).trim()) {
+      options.filters[field] = String(query[field]).trim().toLowerCase();
+    }
+  }
+
+  if (query.ai_source !== undefined) {
+    options.filters.ai_source = parseList(query.ai_source).map(source => source.toLowerCase());
+  }
+
+  // Multi-offer runs: leads whose recommended offer is one of these ids
+  if (query.best_offer !== undefined) {
+    options.filters.best_offer = parseList(query.best_offer);
+  }
+
+  if (query.sort !== undefined) {
+    if (!SORT_FIELDS.includes(query.sort)) {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    } else {
+      options.sort = query.sort;
+      options.order = query.sort === 'score' ? 'desc' : 'asc';
+    }
+  }
+
+  if (query.order !== undefined) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      errors.push('order must be asc or desc');
+    } else if (!options.sort) {
+      errors.push('order requires sort');
+    } else {
+      options.order = query.order;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push('cursor is invalid');
+    } else if (cursor.fingerprint !== queryFingerprint(options)) {
+      errors.push('cursor does not match the current filters and sort');
+    } else {
+      options.cursor = cursor;
+      options.limit = options.limit || cursor.limit;
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, options };
+}
+
+function includesText(value, needle) {
+  return (value || '').toString().toLowerCase().includes(needle);
+}
+
+/**
+ * Whether a scored lead passes the filters
+ */
+function matchesFilters(lead, filters) {
+  if (filters.intent && !filters.intent.includes(lead.intent)) return false;
+  if (filters.min_score !== undefined && lead.score < filters.min_score) return false;
+  if (filters.max_score !== undefined && lead.score > filters.max_score) return false;
+
+  for (const field of TEXT_FILTERS) {
+    if (filters[field] && !includesText(lead[field], filters[field])) return false;
+  }
+
+  if (filters.ai_source) {
+    const source = ((lead.details && lead.details.ai_source) || '').toLowerCase();
+    if (!filters.ai_source.includes(source)) return false;
+  }
+
+  if (filters.best_offer) {
+    if (!lead.best_offer || !filters.best_offer.includes(String(lead.best_offer.offer_id))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Filter and sort scored leads (the input array is not modified)
+ */
+function applyResultsQuery(leads, options) {
+  const filtered = leads.filter(lead => matchesFilters(lead, options.filters));
+  if (!options.sort) return filtered;
+
+  const direction = options.order === 'desc' ? -1 : 1;
+  // Stable sort keeps the original CSV order for ties
+  return filtered
+    .map((lead, index) => ({ lead, index }))
+    .sort((a, b) => {
+      const comparison = options.sort === 'score'
+        ? (a.lead.score || 0) - (b.lead.score || 0)
+        : (a.lead.name || '').localeCompare(b.lead.name || '', undefined, { sensitivity: 'base' });
+      return comparison * direction || a.index - b.index;
+    })
+    .map(entry => entry.lead);
+}
+
+/**
+ * Hash of the filters/sort a cursor was issued for
+ */
+function queryFingerprint(options) {
+  const { filters, sort, order } = options;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ filters, sort, order }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.resultsId !== 'string' || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+      return null;
+    }
+    // The page size comes from the client too, so hold it to the same bounds as ?limit
+    if (!Number.isInteger(cursor.limit) || cursor.limit < 1 || cursor.limit > MAX_PAGE_SIZE) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Slice one page out of the filtered leads
+ * Cursors are tied to the results run so paging stays consistent even if a
+ * newer run completes in the meantime.
+ * @param {Array} leads - Filtered and sorted leads
+ * @param {string} resultsId - Results run being paged
+ * @param {Object} options - Parsed query options
+ * @returns {Object} { data, pagination }
+ */
+function paginate(leads, resultsId, options) {
+  if (!options.limit) {
+    return { data: leads, pagination: null };
+  }
+
+  const offset = options.cursor ? options.cursor.offset : 0;
+  const data = leads.slice(offset, offset + options.limit);
+  const nextOffset = offset + data.length;
+  const hasMore = nextOffset < leads.length;
+
+  return {
+    data,
+    pagination: {
+      limit: options.limit,
+      has_more: hasMore,
+      next_cursor: hasMore
+        ? encodeCursor({ resultsId, offset: nextOffset, limit: options.limit, fingerprint: queryFingerprint(options) })
+        : null
+    }
+  };
+}
+
+module.exports = {
+  parseResultsQuery,
+  applyResultsQuery,
+  matchesFilters,
+  paginate,
+  MAX_PAGE_SIZE
+};
@@ -1,8 +1,13 @@
 /**
  * Rule-based scoring logic for lead qualification
- * Maximum possible score from rules: 50 points
+ * Scoring is driven by a rule set (data, not code): groups of rules with
+ * conditions on lead fields, point values and max caps. The default rule
+ * set gives a maximum possible score from rules of 50 points.
  */
 
+// Re-exported for existing callers; lead validation lives in utils/leadValidation
+const { validateLeadData } = require('./leadValidation');
+
 const RULE_SCORES = {
   // Role relevance (max 20 points)
   DECISION_MAKER_ROLES: [
@@ -25,173 +30,703 @@ const RULE_SCORES = {
   ]
 };
 
+const RULE_OPERATORS = ['equals', 'contains', 'contains_any', 'in_list', 'in_range', 'regex', 'exists'];
+const LIST_OPERATORS = ['contains_any', 'in_list', 'in_range'];
+const SIZE_BAND_PATTERN = /^\s*(?:\d[\d,]*\s*(?:-|to)\s*\d[\d,]*|\d[\d,]*\s*\+|<\s*\d[\d,]*|\d[\d,]*)\s*$/i;
+const PERSONA_PENALTY = 10;
+const GROUP_MODES = ['first_match', 'sum'];
+const GROUP_TYPES = ['rules', 'completeness'];
+const LEAD_FIELDS = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio'];
+
+/**
+ * Default rule set - reproduces the built-in 20/20/10 scoring
+ */
+const DEFAULT_RULE_SET = {
+  name: 'Default B2B SaaS ICP',
+  max_total: 50,
+  groups: [
+    {
+      id: 'role',
+      label: 'Role relevance',
+      type: 'rules',
+      mode: 'first_match',
+      max_points: 20,
+      no_match_label: 'Non-decision maker role',
+      rules: [
+        {
+          id: 'decision_maker',
+          label: 'Decision maker role',
+          points: 20,
+          conditions: [{ field: 'role', operator: 'contains_any', value: RULE_SCORES.DECISION_MAKER_ROLES }]
+        },
+        {
+          id: 'influencer',
+          label: 'Influencer role',
+          points: 10,
+          conditions: [{ field: 'role', operator: 'contains_any', value: RULE_SCORES.INFLUENCER_ROLES }]
+        }
+      ]
+    },
+    {
+      id: 'industry',
+      label: 'Industry match',
+      type: 'rules',
+      mode: 'first_match',
+      max_points: 20,
+      no_match_label: 'No industry match',
+      rules: [
+        {
+          id: 'offer_use_case',
+          label: 'Perfect industry match',
+          points: 20,
+          conditions: [{ field: 'industry', operator: 'contains_any', value_from: 'offer.ideal_use_cases' }]
+        },
+        {
+          id: 'icp_industry',
+          label: 'Perfect industry match',
+          points: 20,
+          conditions: [{ field: 'industry', operator: 'contains_any', value: RULE_SCORES.ICP_INDUSTRIES }]
+        },
+        {
+          id: 'adjacent_industry',
+          label: 'Adjacent industry match',
+          points: 10,
+          conditions: [{ field: 'industry', operator: 'contains_any', value: RULE_SCORES.ADJACENT_INDUSTRIES }]
+        }
+      ]
+    },
+    {
+      id: 'completeness',
+      label: 'Data completeness',
+      type: 'completeness',
+      max_points: 10,
+      fields: LEAD_FIELDS,
+      complete_label: 'All fields complete'
+    }
+  ]
+};
+
 /**
  * Calculate rule-based score for a lead
  * @param {Object} lead - Lead data object
- * @param {Object} offer - Offer/product data object
- * @returns {Object} Scoring breakdown with total score and details
+ * @param {Object} offer - Offer/product data object (its persona is applied on top of the rule set)
+ * @param {Object} ruleSet - Rule set to evaluate (defaults to DEFAULT_RULE_SET)
+ * @returns {Object} Scoring breakdown with total score and details.
+ *   Each group's score is also exposed as `<groupId>Score` (e.g. roleScore).
  */
-function calculateRuleScore(lead, offer) {
+function calculateRuleScore(lead, offer, ruleSet = DEFAULT_RULE_SET) {
+  const effectiveRuleSet = applyOfferPersona(ruleSet, offer);
   let score = 0;
   const breakdown = {
-    roleScore: 0,
-    industryScore: 0,
-    completenessScore: 0,
     total: 0,
-    details: []
+    details: [],
+    groups: [],
+    disqualified: []
   };
 
-  // 1. Role relevance scoring (max 20 points)
-  const roleScore = calculateRoleScore(lead.role);
-  score += roleScore;
-  breakdown.roleScore = roleScore;
+  for (const group of effectiveRuleSet.groups) {
+    const result = group.type === 'completeness'
+      ? evaluateCompletenessGroup(group, lead)
+      : evaluateRuleGroup(group, lead, offer);
+
+    score += result.score;
+    breakdown[`${group.id}Score`] = result.score;
+    breakdown.details.push(...result.details);
+    breakdown.groups.push({ id: group.id, score: result.score, matched: result.matched });
+  }
 
-  if (roleScore === 20) {
-    breakdown.details.push('Decision maker role (+20 points)');
-  } else if (roleScore === 10) {
-    breakdown.details.push('Influencer role (+10 points)');
-  } else {
-    breakdown.details.push('Non-decision maker role (0 points)');
+  for (const disqualifier of effectiveRuleSet.disqualifiers || []) {
+    if (evaluateRule(disqualifier, lead, offer)) {
+      breakdown.disqualified.push(disqualifier.id);
+      breakdown.details.push(`Disqualified: ${disqualifier.label} (score set to 0)`);
+    }
   }
 
-  // 2. Industry match scoring (max 20 points)
-  const industryScore = calculateIndustryScore(lead.industry, offer);
-  score += industryScore;
-  breakdown.industryScore = industryScore;
+  breakdown.total = breakdown.disqualified.length > 0
+    ? 0
+    : Math.max(0, Math.min(score, effectiveRuleSet.max_total)); // Cap at the rule set maximum
+  return breakdown;
+}
+
+/**
+ * Layer an offer's target persona on top of a rule set
+ * - target_roles / excluded_roles take precedence in the role group; rule sets
+ *   without a role group get a penalty-only one (like geography)
+ * - target_geographies and company_size_bands penalize leads outside them
+ * - disqualifiers zero the rule score when they match
+ * @returns {Object} Rule set to evaluate (the original if the offer has no persona)
+ */
+function applyOfferPersona(ruleSet, offer) {
+  if (!offer || !hasPersona(offer)) return ruleSet;
+
+  const hasPersonaRoles = isNonEmptyList(offer.target_roles) || isNonEmptyList(offer.excluded_roles);
+  const groups = ruleSet.groups.map(group => {
+    if (group.id !== 'role' || !hasPersonaRoles) return group;
+    return buildPersonaRoleGroup(group, offer);
+  });
 
-  if (industryScore === 20) {
-    breakdown.details.push('Perfect industry match (+20 points)');
-  } else if (industryScore === 10) {
-    breakdown.details.push('Adjacent industry match (+10 points)');
-  } else {
-    breakdown.details.push('No industry match (0 points)');
+  if (hasPersonaRoles && !groups.some(group => group.id === 'role')) {
+    groups.push(buildPersonaRolePenaltyGroup(offer));
   }
 
-  // 3. Data completeness scoring (max 10 points)
-  const completenessScore = calculateCompletenessScore(lead);
-  score += completenessScore;
-  breakdown.completenessScore = completenessScore;
+  if (isNonEmptyList(offer.target_geographies)) {
+    groups.push({
+      id: 'geography',
+      label: 'Target geography',
+      type: 'rules',
+      mode: 'first_match',
+      max_points: 0,
+      no_match_label: 'Location unknown',
+      rules: [
+        {
+          id: 'target_geography',
+          label: 'Target geography',
+          points: 0,
+          conditions: [{ field: 'location', operator: 'contains_any', value: offer.target_geographies }]
+        },
+        {
+          id: 'outside_geography',
+          label: 'Outside target geography',
+          points: -PERSONA_PENALTY,
+          conditions: [{ field: 'location', operator: 'exists' }]
+        }
+      ]
+    });
+  }
 
-  if (completenessScore === 10) {
-    breakdown.details.push('All fields complete (+10 points)');
-  } else {
-    breakdown.details.push(`Missing ${6 - countCompleteFields(lead)} fields (-${10 - completenessScore} points)`);
+  if (isNonEmptyList(offer.company_size_bands)) {
+    groups.push({
+      id: 'companySize',
+      label: 'Company size',
+      type: 'rules',
+      mode: 'first_match',
+      max_points: 0,
+      no_match_label: 'Company size unknown',
+      rules: [
+        {
+          id: 'target_company_size',
+          label: 'Target company size',
+          points: 0,
+          conditions: [{ field: 'company_size', operator: 'in_range', value: offer.company_size_bands }]
+        },
+        {
+          id: 'outside_company_size',
+          label: 'Outside target company size',
+          points: -PERSONA_PENALTY,
+          conditions: [{ field: 'company_size', operator: 'exists' }]
+        }
+      ]
+    });
   }
 
-  breakdown.total = Math.min(score, 50); // Cap at 50 points
-  return breakdown;
+  const offerDisqualifiers = (offer.disqualifiers || []).map(normalizeDisqualifier);
+
+  return {
+    ...ruleSet,
+    groups,
+    disqualifiers: [...(ruleSet.disqualifiers || []), ...offerDisqualifiers]
+  };
 }
 
 /**
- * Calculate role-based score
+ * Role group for an offer persona: excluded roles score 0, target roles
+ * score the group maximum, anything else falls back to the base role rules
  */
-function calculateRoleScore(role) {
-  if (!role) return 0;
-  
-  const roleLower = role.toLowerCase();
-  
-  // Check for decision maker roles
-  for (const decisionRole of RULE_SCORES.DECISION_MAKER_ROLES) {
-    if (roleLower.includes(decisionRole)) {
-      return 20;
-    }
+function buildPersonaRoleGroup(baseGroup, offer) {
+  const rules = [];
+
+  if (isNonEmptyList(offer.excluded_roles)) {
+    rules.push({
+      id: 'excluded_role',
+      label: 'Excluded role for this offer',
+      points: 0,
+      conditions: [{ field: 'role', operator: 'contains_any', value: offer.excluded_roles }]
+    });
   }
-  
-  // Check for influencer roles
-  for (const influencerRole of RULE_SCORES.INFLUENCER_ROLES) {
-    if (roleLower.includes(influencerRole)) {
-      return 10;
-    }
+
+  if (isNonEmptyList(offer.target_roles)) {
+    rules.push({
+      id: 'target_role',
+      label: 'Target role for this offer',
+      points: baseGroup.max_points,
+      conditions: [{ field: 'role', operator: 'contains_any', value: offer.target_roles }]
+    });
   }
-  
-  return 0;
+
+  return {
+    ...baseGroup,
+    mode: 'first_match',
+    rules: [...rules, ...(baseGroup.rules || [])]
+  };
 }
 
 /**
- * Calculate industry match score
+ * Role group for rule sets that have none: excluded roles, and roles outside
+ * the target roles, lose PERSONA_PENALTY points
  */
-function calculateIndustryScore(industry, offer) {
-  if (!industry) return 0;
-  
-  const industryLower = industry.toLowerCase();
-  
-  // Check against offer's ideal use cases if available
-  if (offer && offer.ideal_use_cases) {
-    for (const useCase of offer.ideal_use_cases) {
-      if (industryLower.includes(useCase.toLowerCase())) {
-        return 20;
+function buildPersonaRolePenaltyGroup(offer) {
+  const rules = [];
+
+  if (isNonEmptyList(offer.excluded_roles)) {
+    rules.push({
+      id: 'excluded_role',
+      label: 'Excluded role for this offer',
+      points: -PERSONA_PENALTY,
+      conditions: [{ field: 'role', operator: 'contains_any', value: offer.excluded_roles }]
+    });
+  }
+
+  if (isNonEmptyList(offer.target_roles)) {
+    rules.push(
+      {
+        id: 'target_role',
+        label: 'Target role for this offer',
+        points: 0,
+        conditions: [{ field: 'role', operator: 'contains_any', value: offer.target_roles }]
+      },
+      {
+        id: 'outside_target_role',
+        label: 'Outside target roles',
+        points: -PERSONA_PENALTY,
+        conditions: [{ field: 'role', operator: 'exists' }]
       }
-    }
+    );
   }
-  
-  // Check for exact ICP match
-  for (const icpIndustry of RULE_SCORES.ICP_INDUSTRIES) {
-    if (industryLower.includes(icpIndustry)) {
-      return 20;
-    }
+
+  return {
+    id: 'role',
+    label: 'Target role',
+    type: 'rules',
+    mode: 'first_match',
+    max_points: 0,
+    no_match_label: isNonEmptyList(offer.target_roles) ? 'Role unknown' : 'Role not excluded',
+    rules
+  };
+}
+
+function hasPersona(offer) {
+  return ['target_roles', 'excluded_roles', 'target_geographies', 'company_size_bands', 'disqualifiers']
+    .some(field => isNonEmptyList(offer[field]));
+}
+
+function isNonEmptyList(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+/**
+ * Accept both { label, conditions } and the single-condition shorthand
+ * { label, field, operator, value }
+ */
+function normalizeDisqualifier(disqualifier, index) {
+  const conditions = disqualifier.conditions || [{
+    field: disqualifier.field,
+    operator: disqualifier.operator,
+    value: disqualifier.value,
+    ...(disqualifier.case_sensitive && { case_sensitive: true })
+  }];
+
+  return {
+    id: disqualifier.id || `offer_disqualifier_${index + 1}`,
+    label: disqualifier.label || `Offer disqualifier ${index + 1}`,
+    match: disqualifier.match,
+    conditions
+  };
+}
+
+/**
+ * Evaluate a group of point rules
+ * first_match: the first matching rule wins; sum: every matching rule counts
+ */
+function evaluateRuleGroup(group, lead, offer) {
+  const matched = [];
+  const details = [];
+  let score = 0;
+
+  for (const rule of group.rules) {
+    if (!evaluateRule(rule, lead, offer)) continue;
+
+    matched.push(rule.id);
+    score += rule.points;
+    details.push(`${rule.label} (${formatPoints(rule.points)} points)`);
+
+    if ((group.mode || 'first_match') === 'first_match') break;
   }
-  
-  // Check for adjacent industry match
-  for (const adjacentIndustry of RULE_SCORES.ADJACENT_INDUSTRIES) {
-    if (industryLower.includes(adjacentIndustry)) {
-      return 10;
-    }
+
+  if (matched.length === 0) {
+    details.push(`${group.no_match_label || `No ${group.label || group.id} match`} (0 points)`);
   }
-  
-  return 0;
+
+  return {
+    score: Math.min(score, group.max_points),
+    matched,
+    details
+  };
 }
 
 /**
- * Calculate data completeness score
+ * Evaluate a completeness group - proportional points for filled fields
  */
-function calculateCompletenessScore(lead) {
-  const completeFields = countCompleteFields(lead);
-  const totalFields = 6; // name, role, company, industry, location, linkedin_bio
-  
-  if (completeFields === totalFields) {
-    return 10;
+function evaluateCompletenessGroup(group, lead) {
+  const completeFields = countCompleteFields(lead, group.fields);
+  const totalFields = group.fields.length;
+  const score = completeFields === totalFields
+    ? group.max_points
+    : Math.floor((completeFields / totalFields) * group.max_points);
+
+  const details = completeFields === totalFields
+    ? [`${group.complete_label || 'All fields complete'} (+${group.max_points} points)`]
+    : [`Missing ${totalFields - completeFields} fields (-${group.max_points - score} points)`];
+
+  return { score, matched: [], details };
+}
+
+/**
+ * A rule matches when all (or, with match: "any", any) of its conditions hold
+ */
+function evaluateRule(rule, lead, offer) {
+  const check = condition => evaluateCondition(condition, lead, offer);
+  return rule.match === 'any' ? rule.conditions.some(check) : rule.conditions.every(check);
+}
+
+/**
+ * Evaluate a single condition against a lead
+ * Comparisons are case-insensitive unless case_sensitive is set.
+ */
+function evaluateCondition(condition, lead, offer) {
+  const actual = getFieldValue(lead, condition.field);
+  const expected = condition.value_from
+    ? getFieldValue({ offer: offer || {}, lead }, condition.value_from)
+    : condition.value;
+  const normalize = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value).trim();
+    return condition.case_sensitive ? text : text.toLowerCase();
+  };
+  const actualText = normalize(actual);
+
+  let result;
+  switch (condition.operator) {
+    case 'exists':
+      result = actualText.length > 0;
+      break;
+    case 'equals':
+      result = actualText === normalize(expected);
+      break;
+    case 'contains':
+      result = actualText.length > 0 && normalize(expected).length > 0 && actualText.includes(normalize(expected));
+      break;
+    case 'contains_any':
+      result = toList(expected).some(item => normalize(item).length > 0 && actualText.includes(normalize(item)));
+      break;
+    case 'in_list':
+      result = toList(expected).some(item => actualText === normalize(item));
+      break;
+    case 'in_range':
+      result = toList(expected).some(band => sizeInBand(actual, band));
+      break;
+    case 'regex':
+      result = new RegExp(expected, condition.case_sensitive ? '' : 'i').test(actual === undefined || actual === null ? '' : String(actual));
+      break;
+    default:
+      result = false;
   }
-  
-  // Partial credit for completeness
-  return Math.floor((completeFields / totalFields) * 10);
+
+  return condition.negate ? !result : result;
 }
 
 /**
- * Count complete (non-empty) fields in lead data
+ * Read a (possibly dotted) field path from an object
  */
-function countCompleteFields(lead) {
-  const requiredFields = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio'];
-  return requiredFields.filter(field => 
-    lead[field] && 
-    typeof lead[field] === 'string' && 
-    lead[field].trim().length > 0
-  ).length;
+function getFieldValue(source, field) {
+  return field.split('.').reduce((value, key) =>
+    (value === null || value === undefined ? undefined : value[key]), source);
 }
 
 /**
- * Validate lead data structure
+ * Parse a size band such as "51-200", "1000+", "<10" or "250"
+ * @returns {Object|null} { min, max }
  */
-function validateLeadData(lead) {
-  const requiredFields = ['name', 'role', 'company', 'industry', 'location', 'linkedin_bio'];
+function parseSizeBand(value) {
+  if (typeof value === 'number') return { min: value, max: value };
+  if (typeof value !== 'string') return null;
+
+  const text = value.replace(/,/g, '').toLowerCase();
+  let match = text.match(/(\d+)\s*(?:-|to)\s*(\d+)/);
+  if (match) return { min: Number(match[1]), max: Number(match[2]) };
+
+  match = text.match(/(\d+)\s*\+/);
+  if (match) return { min: Number(match[1]), max: Infinity };
+
+  match = text.match(/<\s*(\d+)/);
+  if (match) return { min: 0, max: Number(match[1]) - 1 };
+
+  match = text.match(/(\d+)/);
+  if (match) return { min: Number(match[1]), max: Number(match[1]) };
+
+  return null;
+}
+
+/**
+ * Whether a lead's company size (number or range) overlaps a band
+ */
+function sizeInBand(size, band) {
+  const leadRange = parseSizeBand(size);
+  const bandRange = parseSizeBand(band);
+  if (!leadRange || !bandRange) return false;
+  return leadRange.min <= bandRange.max && leadRange.max >= bandRange.min;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === null || value === undefined) return [];
+  return [value];
+}
+
+function formatPoints(points) {
+  return points >= 0 ? `+${points}` : `${points}`;
+}
+
+/**
+ * Validate a rule set definition
+ * @returns {Object} { isValid, errors }
+ */
+function validateRuleSet(ruleSet) {
   const errors = [];
-  
-  for (const field of requiredFields) {
-    if (!lead.hasOwnProperty(field)) {
-      errors.push(`Missing field: ${field}`);
+
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return { isValid: false, errors: ['Rule set must be an object'] };
+  }
+
+  if (typeof ruleSet.name !== 'string' || ruleSet.name.trim().length === 0) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (typeof ruleSet.max_total !== 'number' || ruleSet.max_total <= 0) {
+    errors.push('max_total must be a positive number');
+  }
+
+  if (!Array.isArray(ruleSet.groups) || ruleSet.groups.length === 0) {
+    errors.push('groups must be a non-empty array');
+    return { isValid: false, errors };
+  }
+
+  const groupIds = new Set();
+
+  ruleSet.groups.forEach((group, groupIndex) => {
+    const path = `groups[${groupIndex}]`;
+
+    if (!group || typeof group !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof group.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(group.id)) {
+      errors.push(`${path}.id must be lowercase letters, numbers or "_"`);
+    } else if (groupIds.has(group.id)) {
+      errors.push(`${path}.id "${group.id}" is duplicated`);
+    } else {
+      groupIds.add(group.id);
+    }
+
+    const type = group.type || 'rules';
+    if (!GROUP_TYPES.includes(type)) {
+      errors.push(`${path}.type must be one of: ${GROUP_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (typeof group.max_points !== 'number' || group.max_points <= 0) {
+      errors.push(`${path}.max_points must be a positive number`);
+    }
+
+    if (type === 'completeness') {
+      if (!Array.isArray(group.fields) || group.fields.length === 0 ||
+          !group.fields.every(field => typeof field === 'string' && field.length > 0)) {
+        errors.push(`${path}.fields must be a non-empty array of field names`);
+      }
+      return;
+    }
+
+    if (group.mode !== undefined && !GROUP_MODES.includes(group.mode)) {
+      errors.push(`${path}.mode must be one of: ${GROUP_MODES.join(', ')}`);
+    }
+
+    if (!Array.isArray(group.rules) || group.rules.length === 0) {
+      errors.push(`${path}.rules must be a non-empty array`);
+      return;
+    }
+
+    group.rules.forEach((rule, ruleIndex) => {
+      validateRule(rule, `${path}.rules[${ruleIndex}]`, errors);
+    });
+  });
+
+  if (ruleSet.disqualifiers !== undefined) {
+    if (!Array.isArray(ruleSet.disqualifiers)) {
+      errors.push('disqualifiers must be an array');
+    } else {
+      ruleSet.disqualifiers.forEach((disqualifier, index) => {
+        validateRule({ points: 0, ...disqualifier }, `disqualifiers[${index}]`, errors);
+      });
     }
   }
-  
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+function validateRule(rule, path, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (typeof rule.id !== 'string' || rule.id.length === 0) {
+    errors.push(`${path}.id is required`);
+  }
+
+  if (typeof rule.label !== 'string' || rule.label.length === 0) {
+    errors.push(`${path}.label is required`);
+  }
+
+  if (typeof rule.points !== 'number' || Number.isNaN(rule.points)) {
+    errors.push(`${path}.points must be a number`);
+  }
+
+  if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+    errors.push(`${path}.match must be "all" or "any"`);
+  }
+
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push(`${path}.conditions must be a non-empty array`);
+    return;
+  }
+
+  rule.conditions.forEach((condition, conditionIndex) => {
+    validateCondition(condition, `${path}.conditions[${conditionIndex}]`, errors);
+  });
+}
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (typeof condition.field !== 'string' || condition.field.length === 0) {
+    errors.push(`${path}.field is required`);
+  }
+
+  if (!RULE_OPERATORS.includes(condition.operator)) {
+    errors.push(`${path}.operator must be one of: ${RULE_OPERATORS.join(', ')}`);
+    return;
+  }
+
+  if (condition.operator === 'exists') return;
+
+  if (condition.value_from !== undefined) {
+    if (typeof condition.value_from !== 'string' || !/^(offer|lead)\./.test(condition.value_from)) {
+      errors.push(`${path}.value_from must reference an offer.* or lead.* field`);
+    }
+    return;
+  }
+
+  if (LIST_OPERATORS.includes(condition.operator)) {
+    if (!Array.isArray(condition.value) || !condition.value.every(item => typeof item === 'string')) {
+      errors.push(`${path}.value must be an array of strings for ${condition.operator}`);
+    } else if (condition.operator === 'in_range' && !condition.value.every(band => SIZE_BAND_PATTERN.test(band))) {
+      errors.push(`${path}.value must contain size bands like "11-50", "1000+" or "<10"`);
+    }
+    return;
+  }
+
+  if (typeof condition.value !== 'string') {
+    errors.push(`${path}.value must be a string for ${condition.operator}`);
+    return;
+  }
+
+  if (condition.operator === 'regex') {
+    try {
+      new RegExp(condition.value);
+    } catch (error) {
+      errors.push(`${path}.value is not a valid regular expression: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate an offer disqualifier ({ label, conditions } or { label, field, operator, value })
+ * @returns {Array<string>} Validation errors
+ */
+function validateDisqualifier(disqualifier, path = 'disqualifier') {
+  const errors = [];
+
+  if (!disqualifier || typeof disqualifier !== 'object' || Array.isArray(disqualifier)) {
+    return [`${path} must be an object`];
+  }
+
+  validateRule({ points: 0, ...normalizeDisqualifier(disqualifier, 0) }, path, errors);
+  return errors;
+}
+
+/**
+ * Score a lead against one group of DEFAULT_RULE_SET
+ */
+function scoreDefaultGroup(groupId, lead, offer) {
+  const group = DEFAULT_RULE_SET.groups.find(candidate => candidate.id === groupId);
+  const result = group.type === 'completeness'
+    ? evaluateCompletenessGroup(group, lead || {})
+    : evaluateRuleGroup(group, lead || {}, offer);
+  return result.score;
+}
+
+/**
+ * Calculate role-based score (role group of the default rule set)
+ */
+function calculateRoleScore(role) {
+  return scoreDefaultGroup('role', { role });
+}
+
+/**
+ * Calculate industry match score (industry group of the default rule set)
+ */
+function calculateIndustryScore(industry, offer) {
+  return scoreDefaultGroup('industry', { industry }, offer);
+}
+
+/**
+ * Calculate data completeness score (completeness group of the default rule set)
+ */
+function calculateCompletenessScore(lead) {
+  return scoreDefaultGroup('completeness', lead);
+}
+
+/**
+ * Count complete (non-empty) fields in lead data
+ */
+function countCompleteFields(lead, fields = LEAD_FIELDS) {
+  return fields.filter(field => {
+    const value = getFieldValue(lead, field);
+    return value &&
+      typeof value === 'string' &&
+      value.trim().length > 0;
+  }).length;
+}
+
 module.exports = {
   calculateRuleScore,
   calculateRoleScore,
   calculateIndustryScore,
   calculateCompletenessScore,
+  evaluateCondition,
+  applyOfferPersona,
+  sizeInBand,
   validateLeadData,
-  RULE_SCORES
+  validateRuleSet,
+  validateDisqualifier,
+  RULE_SCORES,
+  RULE_OPERATORS,
+  SIZE_BAND_PATTERN,
+  DEFAULT_RULE_SET
 };
\ No newline at end of file
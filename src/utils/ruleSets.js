@@ -0,0 +1,105 @@
+/**
+ * Versioned rule set storage
+ * Each workspace keeps a history of rule set versions in the "ruleSets"
+ * collection; one version is active at a time. Workspaces without a saved
+ * rule set use DEFAULT_RULE_SET (reported as version 0).
+ */
+
+const dataStore = require('./dataStore');
+const { DEFAULT_RULE_SET } = require('./ruleEngine');
+
+class RuleSetManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  activeKey(workspaceId) {
+    return `workspace:${workspaceId}:activeRuleSetVersion`;
+  }
+
+  defaultRecord(workspaceId) {
+    return {
+      id: `${workspaceId}:0`,
+      workspaceId,
+      version: 0,
+      ruleSet: DEFAULT_RULE_SET,
+      createdAt: null,
+      isDefault: true
+    };
+  }
+
+  /**
+   * Get the active rule set record for a workspace
+   */
+  getActive(workspaceId) {
+    const version = this.adapter.getMeta(this.activeKey(workspaceId));
+    if (!version) return this.defaultRecord(workspaceId);
+    return this.getVersion(workspaceId, version) || this.defaultRecord(workspaceId);
+  }
+
+  getVersion(workspaceId, version) {
+    if (Number(version) === 0) return this.defaultRecord(workspaceId);
+    return this.adapter.get('ruleSets', `${workspaceId}:${Number(version)}`) || null;
+  }
+
+  listVersions(workspaceId) {
+    return this.adapter.list('ruleSets')
+      .filter(record => record.workspaceId === workspaceId)
+      .sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * Store a new version and make it active
+   * @param {string} workspaceId
+   * @param {Object} ruleSet - Validated rule set definition
+   * @returns {Object} Stored record
+   */
+  saveVersion(workspaceId, ruleSet) {
+    const latest = this.listVersions(workspaceId)[0];
+    const version = latest ? latest.version + 1 : 1;
+    const record = {
+      id: `${workspaceId}:${version}`,
+      workspaceId,
+      version,
+      ruleSet,
+      createdAt: new Date().toISOString()
+    };
+
+    this.adapter.set('ruleSets', record.id, record);
+    this.adapter.setMeta(this.activeKey(workspaceId), version);
+    return record;
+  }
+
+  /**
+   * Make an existing version active (version 0 restores the default)
+   * @returns {Object|null} Activated record, or null if the version doesn't exist
+   */
+  activate(workspaceId, version) {
+    const record = this.getVersion(workspaceId, version);
+    if (!record) return null;
+
+    this.adapter.setMeta(this.activeKey(workspaceId), record.version || null);
+    return record;
+  }
+
+  /**
+   * Public representation of a stored record
+   */
+  toPublic(record, activeVersion) {
+    return {
+      version: record.version,
+      active: record.version === activeVersion,
+      is_default: !!record.isDefault,
+      created_at: record.createdAt,
+      rule_set: record.ruleSet
+    };
+  }
+}
+
+// Export singleton instance sharing the data store's adapter
+const ruleSets = new RuleSetManager(dataStore.adapter);
+module.exports = ruleSets;
+module.exports.RuleSetManager = RuleSetManager;
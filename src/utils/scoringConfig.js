@@ -0,0 +1,135 @@
+/**
+ * Score blending configuration
+ * Controls how the rule score and AI intent are combined into the final
+ * score and which thresholds map that score to an intent level. The
+ * defaults reproduce the original behaviour (rules + AI points, High >= 70,
+ * Medium >= 40). An offer can store its own config and a scoring run can
+ * override it; later layers win field by field.
+ */
+
+const INTENT_LEVELS = ['High', 'Medium', 'Low'];
+const MAX_FINAL_SCORE = 100;
+const MAX_WEIGHT = 10;
+
+const DEFAULT_SCORING_CONFIG = {
+  rule_weight: 1,
+  ai_weight: 1,
+  ai_points: { High: 50, Medium: 30, Low: 10 },
+  thresholds: { High: 70, Medium: 40 }
+};
+
+/**
+ * Merge config layers (e.g. offer config, then per-run overrides) over the defaults
+ * @param {...Object} layers - Partial configs; null/undefined layers are skipped
+ * @returns {Object} Complete scoring config
+ */
+function resolveScoringConfig(...layers) {
+  return layers.filter(Boolean).reduce((config, layer) => ({
+    rule_weight: layer.rule_weight !== undefined ? layer.rule_weight : config.rule_weight,
+    ai_weight: layer.ai_weight !== undefined ? layer.ai_weight : config.ai_weight,
+    ai_points: { ...config.ai_points, ...layer.ai_points },
+    thresholds: { ...config.thresholds, ...layer.thresholds }
+  }), DEFAULT_SCORING_CONFIG);
+}
+
+/**
+ * Blend a rule score and AI intent into the final score and intent
+ * @param {number} ruleScore - Rule engine total
+ * @param {string} aiIntent - Intent returned by the AI (or fallback)
+ * @param {Object} config - Complete scoring config
+ * @returns {Object} { aiPoints, score, intent }
+ */
+function blendScores(ruleScore, aiIntent, config = DEFAULT_SCORING_CONFIG) {
+  const aiPoints = config.ai_points[aiIntent] !== undefined
+    ? config.ai_points[aiIntent]
+    : config.ai_points.Medium;
+
+  const blended = Math.round(ruleScore * config.rule_weight + aiPoints * config.ai_weight);
+  const score = Math.max(0, Math.min(blended, MAX_FINAL_SCORE));
+
+  return { aiPoints, score, intent: intentForScore(score, config) };
+}
+
+/**
+ * Map a final score to an intent level using the config thresholds
+ */
+function intentForScore(score, config = DEFAULT_SCORING_CONFIG) {
+  if (score >= config.thresholds.High) return 'High';
+  if (score >= config.thresholds.Medium) return 'Medium';
+  return 'Low';
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a (partial) scoring config
+ * @param {Object} config - Config to validate
+ * @param {Object} base - Config it will be layered over (used for the threshold order check)
+ * @returns {Object} { isValid, errors }
+ */
+function validateScoringConfig(config, base = null) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { isValid: false, errors: ['scoring_config must be an object'] };
+  }
+
+  const known = ['rule_weight', 'ai_weight', 'ai_points', 'thresholds'];
+  Object.keys(config)
+    .filter(key => !known.includes(key))
+    .forEach(key => errors.push(`scoring_config.${key} is not a recognised setting`));
+
+  ['rule_weight', 'ai_weight'].forEach(field => {
+    if (config[field] !== undefined && !isNumberInRange(config[field], 0, MAX_WEIGHT)) {
+      errors.push(`scoring_config.${field} must be a number between 0 and ${MAX_WEIGHT}`);
+    }
+  });
+
+  if (config.ai_points !== undefined) {
+    if (!config.ai_points || typeof config.ai_points !== 'object' || Array.isArray(config.ai_points)) {
+      errors.push('scoring_config.ai_points must be an object keyed by intent');
+    } else {
+      Object.entries(config.ai_points).forEach(([intent, points]) => {
+        if (!INTENT_LEVELS.includes(intent)) {
+          errors.push(`scoring_config.ai_points.${intent} is not an intent level (${INTENT_LEVELS.join(', ')})`);
+        } else if (!isNumberInRange(points, 0, MAX_FINAL_SCORE)) {
+          errors.push(`scoring_config.ai_points.${intent} must be a number between 0 and ${MAX_FINAL_SCORE}`);
+        }
+      });
+    }
+  }
+
+  if (config.thresholds !== undefined) {
+    if (!config.thresholds || typeof config.thresholds !== 'object' || Array.isArray(config.thresholds)) {
+      errors.push('scoring_config.thresholds must be an object with High and/or Medium');
+    } else {
+      Object.entries(config.thresholds).forEach(([intent, threshold]) => {
+        if (!['High', 'Medium'].includes(intent)) {
+          errors.push(`scoring_config.thresholds.${intent} must be High or Medium`);
+        } else if (!isNumberInRange(threshold, 0, MAX_FINAL_SCORE)) {
+          errors.push(`scoring_config.thresholds.${intent} must be a number between 0 and ${MAX_FINAL_SCORE}`);
+        }
+      });
+    }
+  }
+
+  if (errors.length === 0) {
+    const { thresholds } = resolveScoringConfig(base, config);
+    if (thresholds.High <= thresholds.Medium) {
+      errors.push('scoring_config.thresholds.High must be greater than thresholds.Medium');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  INTENT_LEVELS,
+  resolveScoringConfig,
+  blendScores,
+  intentForScore,
+  validateScoringConfig
+};
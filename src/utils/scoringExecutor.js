@@ -0,0 +1,193 @@
+/**
+ * Execution helpers for AI scoring
+ * - runWithConcurrency: process items with at most N in flight
+ * - withRetry: retry transient failures with exponential backoff
+ * - RateLimiter: requests-per-minute budget, one limiter per AI provider
+ */
+
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_MESSAGE_PATTERN = /rate limit|too many requests|overloaded|unavailable|timeout|timed out|fetch failed|socket hang up/i;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Decide whether an AI provider error is worth retrying
+ */
+function isTransientError(error) {
+  if (!error) return false;
+
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  if (status) {
+    return TRANSIENT_STATUS_CODES.includes(Number(status));
+  }
+
+  if (error.code && TRANSIENT_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+
+  return TRANSIENT_MESSAGE_PATTERN.test(error.message || '');
+}
+
+/**
+ * Run an async function, retrying transient errors with exponential backoff
+ * @param {Function} fn - Receives the attempt number (1-based)
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry (doubles each time)
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {Function} options.isRetryable - Error classifier
+ * @param {string} options.label - What is being retried, for log messages
+ * @returns {Promise<{value: *, attempts: number}>}
+ * @throws The last error, with `attempts` set on it
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    retries = readIntEnv('AI_MAX_RETRIES', 3),
+    baseDelayMs = readIntEnv('AI_RETRY_BASE_MS', 500),
+    maxDelayMs = 30000,
+    isRetryable = isTransientError,
+    label = 'AI'
+  } = options;
+
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const value = await fn(attempt);
+      return { value, attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      // Exponential backoff with jitter
+      const delay = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+      const jitter = Math.random() * delay * 0.2;
+      console.log(`🔁 Transient ${label} error (attempt ${attempt}): ${error.message} - retrying in ${Math.round(delay + jitter)}ms`);
+      await sleep(delay + jitter);
+    }
+  }
+}
+
+/**
+ * Sliding-window requests-per-minute limiter
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Budget per window (0 = unlimited)
+   * @param {number} options.windowMs - Window length (60s unless overridden in tests)
+   */
+  constructor({ requestsPerMinute, windowMs = 60000 }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.windowMs = windowMs;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Resolve once a request slot is available. Callers are served in order.
+   */
+  acquire() {
+    const slot = this.queue.then(() => this.waitForSlot());
+    this.queue = slot.catch(() => {});
+    return slot;
+  }
+
+  async waitForSlot() {
+    if (!this.requestsPerMinute || this.requestsPerMinute <= 0) return;
+
+    while (true) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(timestamp => now - timestamp < this.windowMs);
+
+      if (this.timestamps.length < this.requestsPerMinute) {
+        this.timestamps.push(now);
+        return;
+      }
+
+      await sleep(this.timestamps[0] + this.windowMs - now);
+    }
+  }
+
+  /**
+   * Run fn once a slot is available
+   */
+  async schedule(fn) {
+    await this.acquire();
+    return fn();
+  }
+}
+
+const rateLimiters = new Map();
+
+/**
+ * Get the shared rate limiter for an AI provider.
+ * Budget comes from <PROVIDER>_REQUESTS_PER_MINUTE, else AI_REQUESTS_PER_MINUTE.
+ */
+function getRateLimiter(provider) {
+  if (!rateLimiters.has(provider)) {
+    const providerBudget = readIntEnv(`${provider.toUpperCase()}_REQUESTS_PER_MINUTE`, null);
+    const requestsPerMinute = providerBudget !== null
+      ? providerBudget
+      : readIntEnv('AI_REQUESTS_PER_MINUTE', 60);
+    rateLimiters.set(provider, new RateLimiter({ requestsPerMinute }));
+  }
+  return rateLimiters.get(provider);
+}
+
+/**
+ * Process items with bounded concurrency, preserving result order
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum items in flight
+ * @param {Function} options.shouldStop - Checked before starting each item
+ * @returns {Promise<{results: Array, stopped: boolean}>}
+ */
+async function runWithConcurrency(items, worker, options = {}) {
+  const {
+    concurrency = readIntEnv('SCORING_CONCURRENCY', 5),
+    shouldStop = () => false
+  } = options;
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let stopped = false;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      if (shouldStop()) {
+        stopped = true;
+        return;
+      }
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return { results, stopped };
+}
+
+module.exports = {
+  withRetry,
+  isTransientError,
+  readIntEnv,
+  RateLimiter,
+  getRateLimiter,
+  runWithConcurrency,
+  sleep
+};
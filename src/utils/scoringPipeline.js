@@ -0,0 +1,305 @@
+/**
+ * Lead scoring pipeline
+ * Combines the rule-based score (max 50) with the AI score (max 50)
+ * into a final score, intent level and human readable reasoning.
+ * Weights, AI points and intent thresholds come from the scoring config
+ * (see utils/scoringConfig).
+ */
+
+const crypto = require('crypto');
+const { calculateRuleScore, DEFAULT_RULE_SET } = require('./ruleEngine');
+const { STANDARD_FIELDS } = require('./leadColumns');
+const { blendScores, DEFAULT_SCORING_CONFIG } = require('./scoringConfig');
+const aiScorer = require('./aiScorer');
+const promptTemplates = require('./promptTemplates');
+
+/**
+ * Hash of the lead content that affects scoring
+ * Used to skip leads that haven't changed since the previous run.
+ */
+function leadFingerprint(lead) {
+  const customFields = lead.custom_fields || {};
+  const content = {
+    fields: STANDARD_FIELDS.map(field => lead[field] || ''),
+    custom_fields: Object.keys(customFields).sort().map(key => [key, customFields[key]])
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Score a single lead against an offer
+ * @param {Object} lead - Lead data
+ * @param {Object} offer - Product/offer data
+ * @param {Object} options
+ * @param {Object} options.ruleSet - Active rule set record (see utils/ruleSets)
+ * @param {Object} options.scoringConfig - Resolved scoring config (see utils/scoringConfig)
+ * @param {Object} options.cacheStats - { hits, misses } counters to update with AI cache lookups
+ * @param {Object} options.promptTemplate - Prompt template record (see utils/promptTemplates);
+ *   defaults to the offer's pinned template or the workspace default
+ * @param {Object} options.aiProvider - AI provider to use instead of the configured one
+ * @returns {Promise<Object>} Scored lead
+ */
+async function scoreLead(lead, offer, options = {}) {
+  const ruleSetRecord = options.ruleSet || { version: 0, ruleSet: DEFAULT_RULE_SET };
+  const scoringConfig = options.scoringConfig || DEFAULT_SCORING_CONFIG;
+  const promptTemplate = options.promptTemplate || promptTemplates.resolveForOffer(offer);
+
+  // Step 1: Calculate rule-based score (max 50 points with the default rules)
+  const ruleScore = calculateRuleScore(lead, offer, ruleSetRecord.ruleSet);
+
+  // Step 2: Get AI-based intent (worth up to 50 points with the default config)
+  const aiScore = await aiScorer.scoreLeadWithAI(lead, offer, promptTemplate, options.aiProvider);
+  if (options.cacheStats && aiScore.cache) {
+    options.cacheStats[aiScore.cache === 'hit' ? 'hits' : 'misses']++;
+  }
+
+  // Step 3: Blend into the final score and intent (a matched offer disqualifier zeroes the lead)
+  const disqualified = ruleScore.disqualified && ruleScore.disqualified.length > 0;
+  const blended = blendScores(ruleScore.total, aiScore.intent, scoringConfig);
+  const finalScore = disqualified ? 0 : blended.score;
+  const finalIntent = disqualified ? 'Low' : blended.intent;
+  const maxRuleScore = ruleSetRecord.ruleSet.max_total;
+
+  // Create comprehensive reasoning
+  const reasoning = buildReasoning(ruleScore, aiScore, finalIntent, maxRuleScore);
+
+  return {
+    ...(lead.id && { id: lead.id }),
+    name: lead.name,
+    role: lead.role,
+    company: lead.company,
+    industry: lead.industry,
+    location: lead.location,
+    linkedin_bio: lead.linkedin_bio,
+    ...(lead.company_size && { company_size: lead.company_size }),
+    ...(lead.linkedin_url && { linkedin_url: lead.linkedin_url }),
+    ...(lead.custom_fields && { custom_fields: lead.custom_fields }),
+    intent: finalIntent,
+    score: finalScore,
+    reasoning: reasoning,
+    breakdown: {
+      rule_score: ruleScore.total,
+      ai_score: blended.aiPoints,
+      final_score: finalScore
+    },
+    details: {
+      rule_breakdown: ruleScore.details,
+      rule_set_version: ruleSetRecord.version,
+      scoring_config: scoringConfig,
+      lead_fingerprint: leadFingerprint(lead),
+      ...(disqualified && { disqualified_by: ruleScore.disqualified }),
+      ai_source: aiScore.source,
+      ai_intent: aiScore.intent,
+      ai_reasoning: aiScore.reasoning,
+      ai_confidence: aiScore.confidence,
+      ai_signals: aiScore.signals,
+      ai_attempts: aiScore.attempts,
+      ...(aiScore.prompt && { prompt_template: aiScore.prompt }),
+      ...(aiScore.cache && { ai_cache: aiScore.cache }),
+      ...(aiScore.repaired && { ai_repaired: true }),
+      ...(aiScore.parse_failed && { ai_parse_failed: true, ai_parse_errors: aiScore.parse_errors }),
+      ...(aiScore.ai_error && { ai_error: aiScore.ai_error })
+    }
+  };
+}
+
+/**
+ * Score a lead against several offers and recommend the best fit
+ * The returned lead carries the best offer's score, intent and reasoning,
+ * plus `offer_scores` (one entry per offer, in the order given) and `best_offer`.
+ * Ties go to the higher rule score, then to the earlier offer.
+ * @param {Object} lead - Lead data
+ * @param {Array} targets - [{ offer, scoringConfig, promptTemplate }]
+ * @param {Object} options - { ruleSet, cacheStats }
+ * @returns {Promise<Object>} Scored lead
+ */
+async function scoreLeadForOffers(lead, targets, options = {}) {
+  const scored = [];
+  for (const { offer, scoringConfig, promptTemplate } of targets) {
+    scored.push({ offer, result: await scoreLead(lead, offer, { ...options, scoringConfig, promptTemplate }) });
+  }
+
+  const ranked = [...scored].sort((a, b) =>
+    (b.result.score - a.result.score) || (b.result.breakdown.rule_score - a.result.breakdown.rule_score)
+  );
+  const [best, runnerUp] = ranked;
+
+  return {
+    ...best.result,
+    offer_scores: scored.map(({ offer, result }) => ({
+      offer_id: offer.id,
+      offer_name: offer.name,
+      score: result.score,
+      intent: result.intent,
+      rule_score: result.breakdown.rule_score,
+      ai_score: result.breakdown.ai_score,
+      ...(result.details.disqualified_by && { disqualified: true })
+    })),
+    best_offer: {
+      offer_id: best.offer.id,
+      offer_name: best.offer.name,
+      score: best.result.score,
+      intent: best.result.intent,
+      reasoning: buildBestOfferReasoning(best, runnerUp)
+    }
+  };
+}
+
+function buildBestOfferReasoning(best, runnerUp) {
+  const describe = ({ offer, result }) => `${offer.name} (${result.score}/100, ${result.intent})`;
+  const parts = [];
+
+  if (!runnerUp) {
+    parts.push(`Best fit: ${describe(best)}.`);
+  } else if (runnerUp.result.score === best.result.score) {
+    const tieBreak = best.result.breakdown.rule_score > runnerUp.result.breakdown.rule_score
+      ? 'ahead on rule fit'
+      : 'listed first';
+    parts.push(`Best fit: ${describe(best)}, tied on score with ${runnerUp.offer.name} and ${tieBreak}.`);
+  } else {
+    parts.push(`Best fit: ${describe(best)}, ${best.result.score - runnerUp.result.score} points ahead of ${describe(runnerUp)}.`);
+  }
+
+  const details = best.result.details;
+  if (details.rule_breakdown && details.rule_breakdown.length > 0) {
+    parts.push(`Rule fit: ${details.rule_breakdown.join(', ')}.`);
+  }
+  if (details.ai_reasoning && details.ai_reasoning !== 'AI analysis completed') {
+    parts.push(`AI analysis: ${details.ai_reasoning}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Build the result entry for a lead that failed to score
+ */
+function buildErrorLead(lead, error) {
+  return {
+    ...(lead.id && { id: lead.id }),
+    name: lead.name,
+    role: lead.role,
+    company: lead.company,
+    industry: lead.industry,
+    location: lead.location,
+    linkedin_bio: lead.linkedin_bio,
+    ...(lead.custom_fields && { custom_fields: lead.custom_fields }),
+    intent: 'Low',
+    score: 0,
+    reasoning: `Error during scoring: ${error.message}`,
+    breakdown: {
+      rule_score: 0,
+      ai_score: 0,
+      final_score: 0
+    },
+    details: {
+      error: true,
+      error_message: error.message
+    }
+  };
+}
+
+/**
+ * Build comprehensive reasoning text
+ */
+function buildReasoning(ruleScore, aiScore, finalIntent, maxRuleScore = 50) {
+  const parts = [];
+
+  // Add rule-based reasoning
+  if (ruleScore.disqualified && ruleScore.disqualified.length > 0) {
+    parts.push(`Disqualified by offer persona (${ruleScore.details.filter(detail => detail.startsWith('Disqualified')).join(', ')}).`);
+  } else if (ruleScore.total > 0) {
+    parts.push(`Rule analysis: ${ruleScore.total}/${maxRuleScore} points`);
+    if (ruleScore.details.length > 0) {
+      parts.push(`(${ruleScore.details.join(', ')})`);
+    }
+  }
+
+  // Add AI reasoning
+  if (aiScore.reasoning && aiScore.reasoning !== 'AI analysis completed') {
+    parts.push(`AI analysis: ${aiScore.reasoning}`);
+  }
+
+  // Add final assessment
+  if (finalIntent === 'High') {
+    parts.push('High buying intent - strong fit and authority.');
+  } else if (finalIntent === 'Medium') {
+    parts.push('Medium buying intent - some positive indicators.');
+  } else {
+    parts.push('Low buying intent - limited fit or authority.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Calculate summary statistics for results
+ */
+function calculateSummaryStats(scoredLeads) {
+  const total = scoredLeads.length;
+  const highIntent = scoredLeads.filter(lead => lead.intent === 'High').length;
+  const mediumIntent = scoredLeads.filter(lead => lead.intent === 'Medium').length;
+  const lowIntent = scoredLeads.filter(lead => lead.intent === 'Low').length;
+
+  const scores = scoredLeads.map(lead => lead.score);
+  const avgScore = scores.reduce((sum, score) => sum + score, 0) / total;
+  const maxScore = Math.max(...scores);
+  const minScore = Math.min(...scores);
+
+  return {
+    total_leads: total,
+    intent_distribution: {
+      high: highIntent,
+      medium: mediumIntent,
+      low: lowIntent
+    },
+    intent_percentages: {
+      high: ((highIntent / total) * 100).toFixed(1) + '%',
+      medium: ((mediumIntent / total) * 100).toFixed(1) + '%',
+      low: ((lowIntent / total) * 100).toFixed(1) + '%'
+    },
+    score_stats: {
+      average: Math.round(avgScore),
+      maximum: maxScore,
+      minimum: minScore
+    },
+    ...(scoredLeads.some(lead => lead.offer_scores) && { offers: summarizeOfferMatrix(scoredLeads) })
+  };
+}
+
+/**
+ * Per-offer totals for multi-offer runs: how many leads each offer is the
+ * best fit for, and its average score and High intent count across all leads
+ */
+function summarizeOfferMatrix(scoredLeads) {
+  const offers = new Map();
+
+  for (const lead of scoredLeads) {
+    for (const entry of lead.offer_scores || []) {
+      if (!offers.has(entry.offer_id)) {
+        offers.set(entry.offer_id, { offer_id: entry.offer_id, offer_name: entry.offer_name, best_fit_leads: 0, high_intent: 0, total: 0, scored: 0 });
+      }
+      const totals = offers.get(entry.offer_id);
+      totals.scored++;
+      totals.total += entry.score;
+      if (entry.intent === 'High') totals.high_intent++;
+    }
+    if (lead.best_offer && offers.has(lead.best_offer.offer_id)) {
+      offers.get(lead.best_offer.offer_id).best_fit_leads++;
+    }
+  }
+
+  return [...offers.values()].map(({ total, scored, ...totals }) => ({
+    ...totals,
+    average_score: scored > 0 ? Math.round(total / scored) : 0
+  }));
+}
+
+module.exports = {
+  scoreLead,
+  scoreLeadForOffers,
+  leadFingerprint,
+  buildErrorLead,
+  buildReasoning,
+  calculateSummaryStats
+};
@@ -0,0 +1,160 @@
+/**
+ * JSON-file storage adapter
+ * Keeps a working copy in memory and writes the whole state to disk after
+ * every change, so offers, leads and results survive restarts. With
+ * flushDelayMs, changes made within that window are written together instead
+ * (used for caches, where losing the last few writes on a crash is acceptable).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('./migrations');
+
+class FileAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Location of the JSON data file
+   * @param {number} options.flushDelayMs - Batch writes made within this many ms (0 writes on every change)
+   */
+  constructor({ filePath, flushDelayMs = 0 }) {
+    if (!filePath) {
+      throw new Error('FileAdapter requires a filePath');
+    }
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+    this.exitHooked = false;
+    this.state = null;
+    this.load();
+  }
+
+  /**
+   * Read the data file (if any) and bring it up to the latest schema
+   */
+  load() {
+    let state = {};
+
+    if (fs.existsSync(this.filePath)) {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      state = raw.trim() ? JSON.parse(raw) : {};
+    }
+
+    const applied = runMigrations(state);
+    this.state = state;
+
+    if (applied.length > 0) {
+      console.log(`🗄️  Storage migrated to schema v${state.schemaVersion} (${this.filePath})`);
+      this.flush();
+    }
+  }
+
+  /**
+   * Persist the working copy atomically (write to temp file, then rename)
+   */
+  flush() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Persist a change now, or schedule a batched write when flushDelayMs is set
+   */
+  changed() {
+    if (!this.flushDelayMs) {
+      this.flush();
+      return;
+    }
+    if (this.flushTimer) return;
+
+    if (!this.exitHooked) {
+      // Write anything still pending when the process exits
+      process.once('exit', () => this.flushPending());
+      this.exitHooked = true;
+    }
+    this.flushTimer = setTimeout(() => this.flushPending(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  flushPending() {
+    if (!this.flushTimer) return;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    try {
+      this.flush();
+    } catch (error) {
+      console.error(`Failed to write ${this.filePath}:`, error.message);
+    }
+  }
+
+  collection(name) {
+    if (!this.state.collections[name]) {
+      this.state.collections[name] = {};
+    }
+    return this.state.collections[name];
+  }
+
+  get(collection, id) {
+    return this.collection(collection)[id];
+  }
+
+  set(collection, id, value) {
+    this.collection(collection)[id] = value;
+    this.changed();
+    return value;
+  }
+
+  delete(collection, id) {
+    const items = this.collection(collection);
+    if (!Object.prototype.hasOwnProperty.call(items, id)) {
+      return false;
+    }
+    delete items[id];
+    this.changed();
+    return true;
+  }
+
+  list(collection) {
+    return Object.values(this.collection(collection));
+  }
+
+  count(collection) {
+    return Object.keys(this.collection(collection)).length;
+  }
+
+  clear(collection) {
+    this.state.collections[collection] = {};
+    this.changed();
+  }
+
+  getMeta(key) {
+    return Object.prototype.hasOwnProperty.call(this.state.meta, key) ? this.state.meta[key] : null;
+  }
+
+  setMeta(key, value) {
+    if (value === null || value === undefined) {
+      delete this.state.meta[key];
+    } else {
+      this.state.meta[key] = value;
+    }
+    this.changed();
+  }
+
+  getStatus() {
+    return {
+      driver: this.name,
+      durable: true,
+      file: this.filePath,
+      schema_version: this.state.schemaVersion
+    };
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,44 @@
+/**
+ * Storage adapter factory
+ * Selects the backend from STORAGE_DRIVER (memory | file).
+ *
+ * Every adapter implements the same synchronous interface:
+ *   get(collection, id), set(collection, id, value), delete(collection, id),
+ *   list(collection), count(collection), clear(collection),
+ *   getMeta(key), setMeta(key, value), getStatus()
+ */
+
+const path = require('path');
+const MemoryAdapter = require('./memoryAdapter');
+const FileAdapter = require('./fileAdapter');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '../../../data/store.json');
+
+/**
+ * Create a storage adapter
+ * @param {Object} options - Overrides for driver and file path (defaults come from env),
+ *   and flushDelayMs for the file driver
+ * @returns {MemoryAdapter|FileAdapter}
+ */
+function createStorageAdapter(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'file':
+    case 'json':
+      return new FileAdapter({
+        filePath: options.filePath || process.env.STORAGE_FILE || DEFAULT_FILE_PATH,
+        flushDelayMs: options.flushDelayMs
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  MemoryAdapter,
+  FileAdapter
+};
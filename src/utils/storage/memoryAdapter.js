@@ -0,0 +1,69 @@
+/**
+ * In-memory storage adapter
+ * Keeps every collection in a Map - data is lost when the process exits.
+ * Used by default and in tests.
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+    this.meta = new Map();
+  }
+
+  /**
+   * Get (and lazily create) a collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  get(collection, id) {
+    return this.collection(collection).get(id);
+  }
+
+  set(collection, id, value) {
+    this.collection(collection).set(id, value);
+    return value;
+  }
+
+  delete(collection, id) {
+    return this.collection(collection).delete(id);
+  }
+
+  list(collection) {
+    return Array.from(this.collection(collection).values());
+  }
+
+  count(collection) {
+    return this.collection(collection).size;
+  }
+
+  clear(collection) {
+    this.collection(collection).clear();
+  }
+
+  getMeta(key) {
+    return this.meta.has(key) ? this.meta.get(key) : null;
+  }
+
+  setMeta(key, value) {
+    if (value === null || value === undefined) {
+      this.meta.delete(key);
+    } else {
+      this.meta.set(key, value);
+    }
+  }
+
+  getStatus() {
+    return {
+      driver: this.name,
+      durable: false
+    };
+  }
+}
+
+module.exports = MemoryAdapter;
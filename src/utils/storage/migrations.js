@@ -0,0 +1,84 @@
+/**
+ * Schema migrations for durable storage adapters
+ * Each migration receives the raw persisted state and upgrades it in place.
+ * Migrations run in order on startup for every version above the stored one.
+ */
+
+const crypto = require('crypto');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema: offers, leads and results collections',
+    up(state) {
+      state.collections = state.collections || {};
+      for (const name of ['offers', 'leads', 'results']) {
+        state.collections[name] = state.collections[name] || {};
+      }
+      state.meta = state.meta || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Workspace scoping: assign existing records and current pointers to the default workspace',
+    up(state) {
+      for (const name of ['offers', 'leads', 'results']) {
+        for (const record of Object.values(state.collections[name] || {})) {
+          record.workspaceId = record.workspaceId || 'default';
+        }
+      }
+
+      for (const key of ['currentOfferId', 'currentLeadsId']) {
+        if (Object.prototype.hasOwnProperty.call(state.meta, key)) {
+          state.meta[`workspace:default:${key}`] = state.meta[key];
+          delete state.meta[key];
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Persistent lead ids: give every stored lead an id',
+    up(state) {
+      for (const batch of Object.values(state.collections.leads || {})) {
+        for (const lead of batch.data || []) {
+          lead.id = lead.id || `lead_${crypto.randomUUID()}`;
+        }
+      }
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply all pending migrations to a persisted state object
+ * @param {Object} state - Raw persisted state (mutated in place)
+ * @returns {Array<number>} Versions that were applied
+ */
+function runMigrations(state) {
+  const currentVersion = state.schemaVersion || 0;
+  const applied = [];
+
+  if (currentVersion > LATEST_VERSION) {
+    throw new Error(
+      `Storage schema version ${currentVersion} is newer than supported version ${LATEST_VERSION}`
+    );
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version > currentVersion) {
+      migration.up(state);
+      state.schemaVersion = migration.version;
+      applied.push(migration.version);
+    }
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  runMigrations
+};
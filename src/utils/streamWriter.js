@@ -0,0 +1,57 @@
+/**
+ * Helpers for streaming large responses
+ */
+
+/**
+ * Error for writes to a stream that has closed (e.g. the client disconnected)
+ */
+function streamClosedError() {
+  const error = new Error('Stream closed before the response was complete');
+  error.code = 'STREAM_CLOSED';
+  return error;
+}
+
+function isStreamClosed(error) {
+  return !!error && error.code === 'STREAM_CLOSED';
+}
+
+/**
+ * Throw if the stream can no longer be written to
+ */
+function assertWritable(stream) {
+  if (stream.destroyed) throw streamClosedError();
+}
+
+/**
+ * Write a chunk to a writable stream, waiting for it to drain when its buffer is full
+ * Rejects with a STREAM_CLOSED error if the stream is (or gets) closed or
+ * errors before draining, so callers stop producing output.
+ * @returns {Promise<void>}
+ */
+function writeChunk(stream, chunk) {
+  if (stream.destroyed) return Promise.reject(streamClosedError());
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      stream.off('drain', settle);
+      stream.off('close', settle);
+      stream.off('error', settle);
+      if (error || stream.destroyed) {
+        reject(streamClosedError());
+      } else {
+        resolve();
+      }
+    };
+
+    stream.on('drain', settle);
+    stream.on('close', settle);
+    stream.on('error', settle);
+  });
+}
+
+module.exports = {
+  writeChunk,
+  assertWritable,
+  isStreamClosed
+};
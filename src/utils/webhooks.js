@@ -0,0 +1,490 @@
+/**
+ * Webhook subscriptions and deliveries
+ * Subscriptions live in the "webhooks" collection, one workspace each.
+ * Every delivery is a signed JSON POST, retried with exponential backoff on
+ * network errors, timeouts, 429 and 5xx responses, and logged (with each
+ * attempt) in the "webhookDeliveries" collection.
+ *
+ * Signature header (verify with verifySignature):
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * URLs pointing at loopback, link-local or private addresses are rejected
+ * unless the host is listed in WEBHOOK_ALLOWED_HOSTS: when registering, and
+ * again on every delivery by checking the addresses the connection is made
+ * to. Redirects are never followed; a 3xx response fails the delivery.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dataStore = require('./dataStore');
+const { withRetry, isTransientError, readIntEnv } = require('./scoringExecutor');
+
+const WEBHOOK_EVENTS = ['scoring.completed', 'lead.high_intent', 'upload.completed'];
+const TEST_EVENT = 'webhook.test';
+const SECRET_PREFIX = 'whsec_';
+const MAX_DELIVERIES_PER_WEBHOOK = 100;
+const MAX_RESPONSE_BODY = 500;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Loopback, link-local (incl. cloud metadata at 169.254.169.254), private and
+// other non-public ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * Hosts exempt from the private address check (WEBHOOK_ALLOWED_HOSTS, comma separated)
+ */
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether an IP address is loopback, link-local or in a private range
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * URL hostname without the brackets around IPv6 addresses
+ */
+function urlHost(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+/**
+ * Whether a URL's host (as written) is an internal address or name
+ * @param {URL} url
+ */
+function isBlockedHost(url) {
+  const host = urlHost(url);
+  if (allowedHosts().includes(host)) return false;
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+function blockedHostError(hostname, address) {
+  const error = new Error(`Refusing to deliver to ${hostname}: ${address} is a loopback, link-local or private address (see WEBHOOK_ALLOWED_HOSTS)`);
+  error.code = 'WEBHOOK_HOST_BLOCKED';
+  return error;
+}
+
+/**
+ * dns.lookup for webhook connections: refuses to connect when the host
+ * resolves to an internal address. The socket connects to the address
+ * checked here, so a DNS answer that changes after registration (DNS
+ * rebinding) can't reach internal hosts either.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const internal = addresses.find(entry => isPrivateAddress(entry.address));
+    if (internal) return callback(blockedHostError(hostname, internal.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a body to a webhook URL without following redirects
+ * @param {string} url
+ * @param {Object} options - { headers, body, timeoutMs }
+ * @returns {Promise<Object>} { status, ok, body } (body truncated to MAX_RESPONSE_BODY)
+ */
+function postWebhook(url, { headers, body, timeoutMs }) {
+  const parsed = new URL(url);
+  const host = urlHost(parsed);
+  const allowed = allowedHosts().includes(host);
+  // IP literals are connected to without a lookup, so check them here
+  if (!allowed && isBlockedHost(parsed)) {
+    return Promise.reject(blockedHostError(parsed.hostname, host));
+  }
+
+  const transport = parsed.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowed ? dns.lookup : publicLookup
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (text.length < MAX_RESPONSE_BODY) text += chunk;
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          body: text.slice(0, MAX_RESPONSE_BODY)
+        });
+      });
+      res.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    }, timeoutMs);
+
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Sign a raw payload body
+ * @returns {string} Header value "t=<timestamp>,v1=<signature>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header against the raw body a receiver got
+ * @param {number} toleranceSeconds - Reject timestamps older than this (replay protection)
+ */
+function verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate a subscription payload
+ * @returns {Object} { isValid, errors }
+ */
+function validateWebhook({ url, events, description } = {}) {
+  const errors = [];
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('url must be an http(s) URL');
+  } else if (isBlockedHost(parsed)) {
+    errors.push('url must not point to a loopback, link-local or private address (allow the host with WEBHOOK_ALLOWED_HOSTS)');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  } else {
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      errors.push(`Unknown events: ${unknown.join(', ')} (use ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+    errors.push('description must be a string of at most 200 characters');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Error for a delivery the receiver didn't accept
+ */
+function deliveryError(response, body) {
+  const redirected = response.status >= 300 && response.status < 400;
+  const error = new Error(`Receiver responded with HTTP ${response.status}${redirected ? ' (redirects are not followed)' : ''}`);
+  error.status = response.status;
+  error.responseBody = body;
+  return error;
+}
+
+class WebhookManager {
+  /**
+   * @param {Object} adapter - Storage adapter (see utils/storage)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.pending = new Set();
+    this.recoverInterruptedDeliveries();
+  }
+
+  /**
+   * Deliveries still retrying when the process stopped are not resumed
+   */
+  recoverInterruptedDeliveries() {
+    for (const delivery of this.adapter.list('webhookDeliveries')) {
+      if (delivery.status === 'pending') {
+        delivery.status = 'interrupted';
+        delivery.completedAt = new Date().toISOString();
+        this.adapter.set('webhookDeliveries', delivery.id, delivery);
+      }
+    }
+  }
+
+  /**
+   * Register a subscription
+   * @param {Object} options - { workspaceId, url, events, description }
+   * @returns {Object} Public record plus the signing `secret`
+   */
+  register({ workspaceId, url, events, description = null }) {
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = {
+      id: `wh_${crypto.randomUUID()}`,
+      workspaceId,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+
+    this.adapter.set('webhooks', record.id, record);
+    return { ...this.toPublic(record), secret };
+  }
+
+  get(workspaceId, webhookId) {
+    const record = this.adapter.get('webhooks', webhookId);
+    if (!record || record.workspaceId !== workspaceId) return null;
+    return record;
+  }
+
+  list(workspaceId) {
+    return this.adapter.list('webhooks')
+      .filter(record => record.workspaceId === workspaceId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Remove a subscription and its delivery log
+   * @returns {boolean} Whether it existed
+   */
+  delete(workspaceId, webhookId) {
+    if (!this.get(workspaceId, webhookId)) return false;
+
+    this.adapter.delete('webhooks', webhookId);
+    for (const delivery of this.adapter.list('webhookDeliveries')) {
+      if (delivery.webhookId === webhookId) this.adapter.delete('webhookDeliveries', delivery.id);
+    }
+    return true;
+  }
+
+  /**
+   * Delivery log for a subscription, newest first
+   */
+  listDeliveries(webhookId) {
+    return this.adapter.list('webhookDeliveries')
+      .filter(delivery => delivery.webhookId === webhookId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Notify every active subscription in a workspace listening for an event.
+   * Deliveries run in the background; callers don't need to wait for them.
+   * @returns {Promise<Array>} Settles with the delivery records once all are done
+   */
+  emit(workspaceId, event, data) {
+    const targets = this.list(workspaceId).filter(record => record.active && record.events.includes(event));
+    if (targets.length === 0) return Promise.resolve([]);
+
+    const payload = this.buildPayload(workspaceId, event, data);
+    return Promise.all(targets.map(record => this.track(this.deliver(record, payload))));
+  }
+
+  /**
+   * Send a webhook.test event to one subscription, regardless of its events
+   * @returns {Promise<Object>} Delivery record
+   */
+  sendTest(record) {
+    const payload = this.buildPayload(record.workspaceId, TEST_EVENT, {
+      webhook_id: record.id,
+      message: 'Test event from the lead scoring API'
+    });
+    return this.track(this.deliver(record, payload, { retries: 0 }));
+  }
+
+  buildPayload(workspaceId, event, data) {
+    return {
+      id: `evt_${crypto.randomUUID()}`,
+      event,
+      workspace: workspaceId,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  /**
+   * Wait for in-flight deliveries (used by tests and graceful shutdown)
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  /**
+   * POST a payload to a subscription, retrying transient failures.
+   * Never throws; the outcome is recorded in the delivery log.
+   * @param {Object} options - { retries } overrides WEBHOOK_MAX_RETRIES
+   * @returns {Promise<Object>} Delivery record
+   */
+  async deliver(record, payload, options = {}) {
+    const body = JSON.stringify(payload);
+    const delivery = {
+      id: `whd_${crypto.randomUUID()}`,
+      webhookId: record.id,
+      workspaceId: record.workspaceId,
+      event: payload.event,
+      eventId: payload.id,
+      url: record.url,
+      status: 'pending',
+      attempts: [],
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.saveDelivery(delivery);
+
+    const timeoutMs = readIntEnv('WEBHOOK_TIMEOUT_MS', 10000);
+
+    try {
+      await withRetry(async (attempt) => {
+        const startedAt = Date.now();
+        const entry = { attempt, at: new Date(startedAt).toISOString(), status: null, error: null, duration_ms: null };
+        delivery.attempts.push(entry);
+
+        try {
+          const response = await postWebhook(record.url, {
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'lead-scoring-webhooks/1.0',
+              'X-Webhook-Id': delivery.id,
+              'X-Webhook-Event': payload.event,
+              'X-Webhook-Signature': signPayload(record.secret, body)
+            },
+            body,
+            timeoutMs
+          });
+          entry.status = response.status;
+          delivery.responseStatus = response.status;
+
+          if (!response.ok) throw deliveryError(response, response.body);
+          return response.status;
+
+        } catch (error) {
+          entry.error = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+          throw error;
+
+        } finally {
+          entry.duration_ms = Date.now() - startedAt;
+          this.saveDelivery(delivery);
+        }
+      }, {
+        retries: options.retries !== undefined ? options.retries : readIntEnv('WEBHOOK_MAX_RETRIES', 4),
+        baseDelayMs: readIntEnv('WEBHOOK_RETRY_BASE_MS', 1000),
+        maxDelayMs: 60000,
+        isRetryable: error => error.name === 'TimeoutError' || isTransientError(error),
+        label: 'webhook'
+      });
+
+      delivery.status = 'succeeded';
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = delivery.attempts[delivery.attempts.length - 1].error;
+      console.log(`⚠️  Webhook ${record.id} failed for ${payload.event} after ${delivery.attempts.length} attempt(s): ${delivery.error}`);
+    }
+
+    delivery.completedAt = new Date().toISOString();
+    this.saveDelivery(delivery);
+    return delivery;
+  }
+
+  /**
+   * Store a delivery, dropping the oldest ones past MAX_DELIVERIES_PER_WEBHOOK
+   */
+  saveDelivery(delivery) {
+    const isNew = !this.adapter.get('webhookDeliveries', delivery.id);
+    this.adapter.set('webhookDeliveries', delivery.id, { ...delivery, attempts: delivery.attempts.map(entry => ({ ...entry })) });
+    if (!isNew) return;
+
+    const stale = this.listDeliveries(delivery.webhookId).slice(MAX_DELIVERIES_PER_WEBHOOK);
+    for (const old of stale) this.adapter.delete('webhookDeliveries', old.id);
+  }
+
+  /**
+   * Public representation of a subscription (the secret is never returned again)
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      url: record.url,
+      events: record.events,
+      description: record.description,
+      active: record.active,
+      secret_prefix: record.secret.slice(0, SECRET_PREFIX.length + 6),
+      created_at: record.createdAt
+    };
+  }
+
+  deliveryToPublic(delivery) {
+    return {
+      id: delivery.id,
+      webhook_id: delivery.webhookId,
+      event: delivery.event,
+      event_id: delivery.eventId,
+      status: delivery.status,
+      response_status: delivery.responseStatus,
+      error: delivery.error,
+      attempts: delivery.attempts,
+      created_at: delivery.createdAt,
+      completed_at: delivery.completedAt
+    };
+  }
+}
+
+// Export singleton instance sharing the data store's adapter
+const webhooks = new WebhookManager(dataStore.adapter);
+module.exports = webhooks;
+module.exports.WebhookManager = WebhookManager;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.TEST_EVENT = TEST_EVENT;
+module.exports.signPayload = signPayload;
+module.exports.verifySignature = verifySignature;
+module.exports.validateWebhook = validateWebhook;
+module.exports.isPrivateAddress = isPrivateAddress;
+module.exports.postWebhook = postWebhook;